@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+const {run, parseArgs, CANCELLABLE_COMMANDS} = require('../lib/cli');
+const {createAbortController} = require('../lib/utils');
+
+const argv = process.argv.slice(2);
+
+let command;
+try {
+  ({command} = parseArgs(argv));
+} catch (_) {
+  // `run()` reports the usage error
+}
+
+let signal;
+
+// Let cancellable commands stop cleanly on Ctrl-C, others keep the default
+if (CANCELLABLE_COMMANDS.includes(command)) {
+  const controller = createAbortController();
+  signal = controller.signal;
+
+  process.once('SIGINT', () => {
+    controller.abort();
+
+    // Exit anyway if stopping hangs, or on a second Ctrl-C
+    setTimeout(() => process.exit(130), 2000).unref();
+    process.once('SIGINT', () => process.exit(130));
+  });
+}
+
+run(argv, {signal}).then(code => {
+  process.exitCode = code;
+});
@@ -1,5 +1,6 @@
 declare module 'tuyapi' {
     import { EventEmitter } from 'events';
+    import { Socket } from 'dgram';
 
     interface TuyaDeviceOptions {
         ip?: string;
@@ -13,8 +14,29 @@ declare module 'tuyapi' {
         issueGetOnConnect?: boolean;
         issueRefreshOnConnect?: boolean;
         issueRefreshOnPing?: boolean;
+        autoReconnect?: boolean|ReconnectOptions;
+        localAddress?: string;
+        responseTimeout?: number;
+        connectTimeout?: number;
+        retries?: number;
+        setConcurrency?: number;
+        recorder?: import('tuyapi/lib/recording').SessionRecorder;
+        transport?: (device: TuyaDevice) => import('tuyapi/lib/transport').Transport;
+        schema?: SchemaInput;
     }
 
+    type SchemaInput = import('tuyapi/lib/schema').DeviceSchema|import('tuyapi/lib/schema').DPDefinitions;
+
+    interface ReconnectOptions {
+        maxAttempts?: number;
+        minDelay?: number;
+        maxDelay?: number;
+        factor?: number;
+        jitter?: number;
+    }
+
+    type ConnectionState = 'idle'|'connecting'|'negotiating'|'ready'|'closing'|'closed'|'failed';
+
     type UnionTypes = Object|number|string|boolean;
 
     interface Object {
@@ -23,11 +45,25 @@ declare module 'tuyapi' {
 
     interface DPSObject {
         dps: Object;
+        cid?: string;
+        values?: {[code: string]: any};
+    }
+
+    interface RequestOptions {
+        timeout?: number;
+        retries?: number;
+        signal?: AbortSignal;
+    }
+
+    interface ConnectOptions {
+        timeout?: number;
+        signal?: AbortSignal;
     }
 
-    interface GetOptions {
+    interface GetOptions extends RequestOptions {
         schema?: boolean;
         dps?: number;
+        dp?: number|string;
         cid?: string;
     }
 
@@ -35,28 +71,71 @@ declare module 'tuyapi' {
         requestedDPS?: Array<number>;
     }
 
-    interface SingleSetOptions {
-        dps: number;
-        set: string|number|boolean;
+    interface SingleSetOptions extends RequestOptions {
+        dps?: number;
+        dp?: number|string;
+        set: any;
         cid?: string;
         multiple?: boolean;
         shouldWaitForResponse?: boolean;
     }
-    interface MultipleSetOptions {
+    interface MultipleSetOptions extends RequestOptions {
         multiple: boolean;
         data: Object;
+        cid?: string;
         shouldWaitForResponse?: boolean;
     }
 
     interface FindOptions {
         timeout?: number;
         all?: boolean;
+        active?: boolean;
+        targets?: string[];
+        ports?: number[];
+        bindAddress?: string;
+        sockets?: Socket[];
+        signal?: AbortSignal;
+    }
+
+    interface MiddlewareRequest {
+        payload: any;
+        commandByte: number;
+        sequenceN: number;
+        [key: string]: any;
+    }
+
+    interface MiddlewareResponse {
+        payload: any;
+        commandByte?: number;
+        sequenceN?: number;
+        request: MiddlewareRequest;
+        [key: string]: any;
+    }
+
+    interface Packet {
+        payload: any;
+        commandByte: number;
+        sequenceN: number;
+        returnCode?: number;
+        prefix: '55AA' | '6699';
+        frame: Buffer;
+        version: string;
+        [key: string]: any;
+    }
+
+    type MiddlewareResult<T> = T|false|void;
+
+    interface Middleware {
+        onRequest?: (request: MiddlewareRequest) => MiddlewareResult<MiddlewareRequest>|boolean;
+        onResponse?: (response: MiddlewareResponse) => MiddlewareResult<MiddlewareResponse>|boolean;
+        onPacket?: (packet: Packet) => MiddlewareResult<Packet>|boolean;
     }
 
     type EventDataFn = (
         data: DPSObject,
         commandByte: number,
-        sequenceN: number
+        sequenceN: number,
+        packet: Packet
     ) => void;
 
     interface Events {
@@ -66,22 +145,608 @@ declare module 'tuyapi' {
         "error": (error: Error) => void;
         "dp-refresh": EventDataFn;
         "data": EventDataFn;
+        "stateChange": (state: ConnectionState, previousState: ConnectionState) => void;
+        "reconnecting": (attempt: number, delay: number) => void;
+        "reconnected": (attempts: number) => void;
+        "reconnect-failed": (attempts: number) => void;
+        "wifi": (wifi: WifiInfo) => void;
+    }
+
+    interface WifiInfo {
+        ssid?: string;
+        rssi?: number;
+        channel?: number;
     }
 
     export default class TuyaDevice extends EventEmitter {
         constructor(options: TuyaDeviceOptions);
 
-        connect(): Promise<boolean>;
+        static ConnectionState: {
+            IDLE: 'idle';
+            CONNECTING: 'connecting';
+            NEGOTIATING: 'negotiating';
+            READY: 'ready';
+            CLOSING: 'closing';
+            CLOSED: 'closed';
+            FAILED: 'failed';
+        };
+
+        state: ConnectionState;
+        schema: import('tuyapi/lib/schema').DeviceSchema|null;
+
+        connect(options?: ConnectOptions): Promise<boolean>;
         disconnect(): void;
+        stopReconnecting(): void;
+        use(middleware: Middleware): () => void;
+        updateDeviceInfo(info: {ip?: string; id?: string; productKey?: string; version?: number|string}): boolean;
         isConnected(): boolean;
 
-        get(options: GetOptions): Promise<DPSObject|number|boolean|string>;
+        setSchema(schema: SchemaInput|null): void;
+        loadSchema(directory: string): Promise<import('tuyapi/lib/schema').DeviceSchema>;
+
+        get(options: GetOptions): Promise<DPSObject|number|boolean|string|string[]|Buffer>;
         refresh(options: RefreshOptions): Promise<DPSObject>;
         set(options: SingleSetOptions|MultipleSetOptions): Promise<DPSObject>;
-        toggle(property: number): Promise<boolean>;
+        toggle(property?: number|string): Promise<boolean>;
+        executeScene(sceneId: string|number, options?: RequestOptions): Promise<boolean>;
+        queryWifi(options?: RequestOptions): Promise<WifiInfo>;
+        startWifiPolling(options?: {interval?: number}): void;
+        stopWifiPolling(): void;
         find(options?: FindOptions): Promise<boolean|Array<DPSObject>>;
 
         on<K extends keyof Events>(event: K, listener: Events[K]): this;
     }
 
 }
+
+declare module 'tuyapi/lib/device-manager' {
+    import { EventEmitter } from 'events';
+    import TuyaDevice, { TuyaDeviceOptions } from 'tuyapi';
+    import { TuyaDiscoveryOptions } from 'tuyapi/lib/discovery';
+
+    interface TuyaDeviceManagerOptions {
+        keys?: {[id: string]: string};
+        deviceOptions?: Partial<TuyaDeviceOptions>;
+        concurrency?: number;
+    }
+
+    interface ConnectResult {
+        id: string;
+        connected: boolean;
+        error?: Error;
+    }
+
+    export default class TuyaDeviceManager extends EventEmitter {
+        constructor(options?: TuyaDeviceManagerOptions);
+
+        add(device: TuyaDevice|TuyaDeviceOptions): TuyaDevice;
+        remove(id: string): boolean;
+        getDevice(id: string): TuyaDevice|undefined;
+        getDevices(): TuyaDevice[];
+        connectAll(): Promise<ConnectResult[]>;
+        disconnectAll(): void;
+        startDiscovery(options?: TuyaDiscoveryOptions): Promise<boolean>;
+        stopDiscovery(): void;
+    }
+}
+
+declare module 'tuyapi/lib/discovery' {
+    import { EventEmitter } from 'events';
+    import TuyaDevice from 'tuyapi';
+    import { Socket } from 'dgram';
+
+    interface DiscoveredDevice {
+        id: string;
+        ip: string;
+        version?: string;
+        productKey?: string;
+        lastSeen: Date;
+    }
+
+    interface TuyaDiscoveryOptions {
+        ports?: number[];
+        address?: string;
+        sockets?: Socket[];
+        interval?: number;
+        lostAfter?: number;
+    }
+
+    interface DiscoveryEvents {
+        "deviceFound": (device: DiscoveredDevice) => void;
+        "deviceUpdated": (device: DiscoveredDevice, previous: DiscoveredDevice) => void;
+        "deviceLost": (device: DiscoveredDevice) => void;
+        "error": (error: Error) => void;
+    }
+
+    export class TuyaDiscovery extends EventEmitter {
+        constructor(options?: TuyaDiscoveryOptions);
+
+        start(): Promise<boolean>;
+        stop(): void;
+        isListening(): boolean;
+        getDevice(id: string): DiscoveredDevice|undefined;
+        getDevices(): DiscoveredDevice[];
+        probe(options?: {targets?: string[]; port?: number; localAddress?: string}): Promise<number>;
+        track(device: TuyaDevice): void;
+        untrack(device: TuyaDevice): void;
+
+        on<K extends keyof DiscoveryEvents>(event: K, listener: DiscoveryEvents[K]): this;
+    }
+}
+
+declare module 'tuyapi/lib/errors' {
+    interface TuyaErrorDetails {
+        code?: string;
+        deviceId?: string;
+        commandByte?: number;
+        sequenceN?: number;
+        cause?: unknown;
+    }
+
+    export class TuyaError extends Error {
+        constructor(message: string, details?: TuyaErrorDetails);
+
+        code: string;
+        deviceId?: string;
+        commandByte?: number;
+        sequenceN?: number;
+        cause?: unknown;
+    }
+
+    export class TuyaTimeoutError extends TuyaError {}
+    export class TuyaConnectionError extends TuyaError {}
+    export class TuyaParseError extends TuyaError {}
+    export class TuyaCrcError extends TuyaParseError {}
+    export class TuyaHmacMismatchError extends TuyaParseError {}
+    export class TuyaDecryptError extends TuyaParseError {}
+
+    export class TuyaDeviceError extends TuyaError {
+        constructor(message: string, details?: TuyaErrorDetails & {returnCode?: number; payload?: unknown});
+
+        returnCode?: number;
+        payload?: unknown;
+    }
+
+    export class TuyaUnsupportedError extends TuyaDeviceError {}
+}
+
+declare module 'tuyapi/lib/recording' {
+    import { EventEmitter } from 'events';
+    import TuyaDevice from 'tuyapi';
+
+    interface RecordedFrame {
+        direction: 'in'|'out';
+        time: number;
+        data: string;
+    }
+
+    interface RecordedSession {
+        id: string;
+        ip: string;
+        version: string;
+        startedAt: string;
+        localNonce?: string;
+        closedAt?: number;
+        frames: RecordedFrame[];
+    }
+
+    interface Recording {
+        format: number;
+        sessions: RecordedSession[];
+    }
+
+    export class SessionRecorder {
+        sessions: RecordedSession[];
+
+        tap(socket: import('tuyapi/lib/transport').Transport, device: TuyaDevice): void;
+        toJSON(): Recording;
+        save(file: string): Promise<void>;
+        static load(file: string): Promise<Recording>;
+    }
+
+    export class ReplaySocket extends EventEmitter {
+        constructor(session: RecordedSession, options?: {speed?: number});
+
+        written: Buffer[];
+        destroyed: boolean;
+
+        connect(): this;
+        write(data: Buffer): boolean;
+        localNonce(): Buffer;
+        destroy(): void;
+    }
+
+    export function replaySession(recording: Recording, options?: {session?: number; speed?: number}): (device: TuyaDevice) => ReplaySocket;
+}
+
+declare module 'tuyapi/lib/transport' {
+    import { EventEmitter } from 'events';
+    import { Duplex } from 'stream';
+    import { Socket } from 'net';
+
+    interface Transport extends EventEmitter {
+        connect(options: {host?: string; port: number; localAddress?: string}): unknown;
+        write(data: Buffer): unknown;
+        destroy(): unknown;
+        localNonce?(): Buffer;
+    }
+
+    export function tcpTransport(): Socket;
+
+    export class StreamTransport extends EventEmitter implements Transport {
+        constructor(stream: Duplex);
+
+        stream: Duplex;
+        destroyed: boolean;
+
+        connect(): this;
+        write(data: Buffer): boolean;
+        destroy(): void;
+    }
+}
+
+declare module 'tuyapi/lib/emulator' {
+    import { EventEmitter } from 'events';
+    import { Socket } from 'net';
+
+    interface TuyaEmulatorOptions {
+        id: string;
+        key: string;
+        version?: number|string;
+        gwID?: string;
+        productKey?: string;
+        ip?: string;
+        state?: Record<string, unknown>;
+        subDevices?: Record<string, Record<string, unknown>>;
+        scenes?: Array<string|number>;
+        wifi?: Record<string, unknown>|null;
+    }
+
+    interface EmulatorPacket {
+        payload: unknown;
+        commandByte: number;
+        sequenceN: number;
+        prefix: '55AA' | '6699';
+        frame: Buffer;
+        version: string;
+    }
+
+    interface EmulatorEvents {
+        "connection": (socket: Socket) => void;
+        "request": (packet: EmulatorPacket) => void;
+        "set": (dps: Record<string, unknown>, cid?: string) => void;
+        "scene": (sceneId: string|number) => void;
+        "clientError": (error: Error, socket: Socket) => void;
+        "error": (error: Error) => void;
+    }
+
+    interface BroadcastOptions {
+        address?: string;
+        port?: number;
+    }
+
+    export const BROADCAST_PORTS: Record<string, number>;
+
+    export class TuyaEmulator extends EventEmitter {
+        constructor(options: TuyaEmulatorOptions);
+
+        state: Record<string, unknown>;
+        subDevices: Record<string, Record<string, unknown>>;
+        scenes: string[];
+        wifi: Record<string, unknown>|null;
+
+        listen(options?: {port?: number; host?: string}): Promise<number>;
+        close(): Promise<void>;
+        setState(dps: Record<string, unknown>): void;
+        setSubDeviceState(cid: string, dps: Record<string, unknown>): void;
+        addSubDevice(cid: string, state?: Record<string, unknown>): void;
+        removeSubDevice(cid: string): void;
+        broadcast(options?: BroadcastOptions): Promise<void>;
+        startBroadcasting(options?: BroadcastOptions & {interval?: number}): void;
+        stopBroadcasting(): void;
+
+        on<K extends keyof EmulatorEvents>(event: K, listener: EmulatorEvents[K]): this;
+    }
+}
+
+declare module 'tuyapi/lib/cli' {
+    interface ParsedArgs {
+        command?: string;
+        args: string[];
+        options: Record<string, string|string[]|boolean>;
+    }
+
+    interface CliIO {
+        stdout?: {write(chunk: string): unknown};
+        stderr?: {write(chunk: string): unknown};
+        env?: Record<string, string|undefined>;
+        signal?: AbortSignal;
+    }
+
+    export function parseArgs(argv: string[]): ParsedArgs;
+    export function run(argv: string[], io?: CliIO): Promise<number>;
+    export const CANCELLABLE_COMMANDS: string[];
+}
+
+declare module 'tuyapi/lib/decoder' {
+    interface TranscriptEntry {
+        time?: Date;
+        source?: string;
+        destination?: string;
+        direction: 'to-device' | 'from-device' | 'broadcast';
+        sequenceN?: number;
+        commandByte?: number;
+        command?: string;
+        returnCode?: number;
+        version?: string;
+        payload: object | string | Buffer | boolean;
+        sessionKey?: Buffer;
+        error?: string;
+    }
+
+    interface DecodeOptions {
+        keys?: string | string[];
+        version?: number | string;
+    }
+
+    interface DecodeHexOptions extends DecodeOptions {
+        direction?: 'to-device' | 'from-device';
+        sessionKey?: string | Buffer;
+    }
+
+    interface DecodeCaptureOptions extends DecodeOptions {
+        port?: number;
+    }
+
+    export function decodeHex(hex: string, options?: DecodeHexOptions): TranscriptEntry[];
+    export function decodeCapture(capture: Buffer, options?: DecodeCaptureOptions): TranscriptEntry[];
+    export function decodeCaptureFile(file: string, options?: DecodeCaptureOptions): Promise<TranscriptEntry[]>;
+    export function formatTranscript(entries: TranscriptEntry[]): string;
+    export function commandName(commandByte: number): string;
+}
+
+declare module 'tuyapi/lib/schema' {
+    type DPType = 'bool' | 'value' | 'enum' | 'string' | 'raw' | 'bitmap';
+
+    interface DPDefinition {
+        id?: string | number;
+        code: string;
+        type: DPType;
+        min?: number;
+        max?: number;
+        step?: number;
+        scale?: number;
+        unit?: string;
+        range?: string[];
+        label?: string[];
+        maxlen?: number;
+        format?: 'colour' | 'colour-legacy' | 'scene' | 'music';
+        readOnly?: boolean;
+    }
+
+    type DPDefinitions = {[id: string]: DPDefinition} | DPDefinition[];
+
+    export const TYPES: DPType[];
+
+    export class DeviceSchema {
+        constructor(definitions?: DPDefinitions);
+
+        readonly definitions: Array<DPDefinition & {id: string}>;
+
+        find(dp: string | number): (DPDefinition & {id: string}) | undefined;
+        resolve(dp: string | number): string;
+        encode(dp: string | number, value: any): {id: string; value: any};
+        encodeDps(dps: {[dp: string]: any}): {[id: string]: any};
+        decodeValue(dp: string | number, value: any): any;
+        decode(dps: {[id: string]: any}): {[code: string]: any};
+
+        static fromModel(model: object | string): DeviceSchema;
+        static load(file: string): Promise<DeviceSchema>;
+        static loadProduct(productKey: string, directory: string): Promise<DeviceSchema>;
+    }
+}
+
+declare module 'tuyapi/lib/devices' {
+    import TuyaDevice, { TuyaDeviceOptions, Events } from 'tuyapi';
+    import { Colour, HSV, Scene, Music } from 'tuyapi/lib/colour';
+
+    interface Metering {
+        power?: number;
+        current?: number;
+        voltage?: number;
+    }
+
+    export class TypedDevice extends TuyaDevice {
+        constructor(options: TuyaDeviceOptions, definitions?: import('tuyapi/lib/schema').DPDefinitions);
+
+        values: {[code: string]: any};
+
+        on(event: 'change', listener: (changes: {[code: string]: any}, values: {[code: string]: any}) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+
+    export class TuyaSwitch extends TypedDevice {
+        constructor(options: TuyaDeviceOptions & {gangs?: number});
+
+        gangs: number;
+
+        turnOn(gang?: number): Promise<object>;
+        turnOff(gang?: number): Promise<object>;
+        isOn(gang?: number): Promise<boolean>;
+
+        on(event: 'switch', listener: (on: boolean, gang: number) => void): this;
+        on(event: 'change', listener: (changes: {[code: string]: any}, values: {[code: string]: any}) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+
+    export class TuyaPlug extends TuyaSwitch {
+        constructor(options: TuyaDeviceOptions & {gangs?: number; metering?: 4 | 18});
+
+        readonly power?: number;
+        readonly current?: number;
+        readonly voltage?: number;
+
+        getMetering(options?: import('tuyapi').RefreshOptions): Promise<Metering>;
+
+        on(event: 'power', listener: (metering: Metering) => void): this;
+        on(event: 'switch', listener: (on: boolean, gang: number) => void): this;
+        on(event: 'change', listener: (changes: {[code: string]: any}, values: {[code: string]: any}) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+
+    export class TuyaBulb extends TypedDevice {
+        constructor(options: TuyaDeviceOptions & {legacy?: boolean});
+
+        legacy: boolean;
+
+        turnOn(): Promise<object>;
+        turnOff(): Promise<object>;
+        isOn(): Promise<boolean>;
+        getMode(): Promise<string>;
+        setBrightness(percent: number): Promise<object>;
+        getBrightness(): Promise<number>;
+        setColourTemperature(percent: number): Promise<object>;
+        getColourTemperature(): Promise<number>;
+        setColour(colour: Colour): Promise<object>;
+        getColour(): Promise<HSV>;
+        setScene(scene: Scene): Promise<object>;
+        setMusic(music: Music): Promise<object>;
+
+        on(event: 'switch', listener: (on: boolean) => void): this;
+        on(event: 'mode', listener: (mode: string) => void): this;
+        on(event: 'brightness' | 'colour-temperature', listener: (percent: number) => void): this;
+        on(event: 'colour', listener: (colour: HSV) => void): this;
+        on(event: 'change', listener: (changes: {[code: string]: any}, values: {[code: string]: any}) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+
+    export class TuyaCover extends TypedDevice {
+        constructor(options: TuyaDeviceOptions);
+
+        open(): Promise<object>;
+        close(): Promise<object>;
+        stop(): Promise<object>;
+        setPosition(percent: number): Promise<object>;
+        getPosition(): Promise<number>;
+
+        on(event: 'position', listener: (percent: number) => void): this;
+        on(event: 'moving', listener: (direction: 'opening' | 'closing') => void): this;
+        on(event: 'change', listener: (changes: {[code: string]: any}, values: {[code: string]: any}) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+
+    export class TuyaThermostat extends TypedDevice {
+        constructor(options: TuyaDeviceOptions);
+
+        turnOn(): Promise<object>;
+        turnOff(): Promise<object>;
+        isOn(): Promise<boolean>;
+        setTargetTemperature(celsius: number): Promise<object>;
+        getTargetTemperature(): Promise<number>;
+        getTemperature(): Promise<number>;
+        setMode(mode: string): Promise<object>;
+        getMode(): Promise<string>;
+
+        on(event: 'switch', listener: (on: boolean) => void): this;
+        on(event: 'temperature' | 'target-temperature', listener: (celsius: number) => void): this;
+        on(event: 'mode', listener: (mode: string) => void): this;
+        on(event: 'change', listener: (changes: {[code: string]: any}, values: {[code: string]: any}) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+}
+
+declare module 'tuyapi/lib/colour' {
+    interface HSV {
+        h: number;
+        s: number;
+        v: number;
+    }
+
+    interface RGB {
+        r: number;
+        g: number;
+        b: number;
+    }
+
+    type Colour = HSV | RGB;
+
+    interface ColourTemperatureOptions {
+        warmest?: number;
+        coldest?: number;
+        max?: number;
+    }
+
+    interface Light {
+        colour?: Colour;
+        brightness?: number;
+        temperature?: number;
+    }
+
+    interface SceneUnit extends Light {
+        mode?: 'static' | 'jump' | 'gradient';
+        switchDuration?: number;
+        gradientDuration?: number;
+    }
+
+    interface Scene {
+        scene: number;
+        units: SceneUnit[];
+    }
+
+    interface Music extends Light {
+        mode?: 'jump' | 'gradient';
+    }
+
+    export function hsvToRgb(colour: HSV): RGB;
+    export function rgbToHsv(colour: RGB): HSV;
+    export function encodeColour(colour: Colour): string;
+    export function encodeLegacyColour(colour: Colour): string;
+    export function decodeColour(data: string): HSV;
+    export function encodeColourTemperature(kelvin: number, options?: ColourTemperatureOptions): number;
+    export function decodeColourTemperature(value: number, options?: ColourTemperatureOptions): number;
+    export function encodeScene(scene: Scene): string;
+    export function decodeScene(data: string): Scene;
+    export function encodeMusic(music?: Music): string;
+    export function decodeMusic(data: string): Music;
+}
+
+declare module 'tuyapi/lib/gateway' {
+    import { EventEmitter } from 'events';
+    import TuyaDevice, { TuyaDeviceOptions, Events, GetOptions, RefreshOptions, SingleSetOptions, MultipleSetOptions, DPSObject, RequestOptions } from 'tuyapi';
+
+    interface SubDeviceStatus {
+        cid: string;
+        online?: boolean;
+    }
+
+    export class TuyaSubDevice extends EventEmitter {
+        constructor(gateway: TuyaGateway, cid: string);
+
+        gateway: TuyaGateway;
+        cid: string;
+        online?: boolean;
+
+        get(options?: GetOptions): Promise<DPSObject|number|boolean|string|string[]|Buffer>;
+        refresh(options?: RefreshOptions): Promise<DPSObject>;
+        set(options: SingleSetOptions|MultipleSetOptions): Promise<DPSObject>;
+        toggle(property?: number|string): Promise<boolean>;
+
+        on(event: 'online', listener: (online: boolean) => void): this;
+        on(event: 'removed', listener: () => void): this;
+        on(event: 'data'|'dp-refresh', listener: Events['data']): this;
+    }
+
+    export class TuyaGateway extends TuyaDevice {
+        constructor(options: TuyaDeviceOptions & {subDevices?: string[]});
+
+        readonly subDevices: TuyaSubDevice[];
+
+        subDevice(cid: string): TuyaSubDevice;
+        listSubDevices(options?: RequestOptions): Promise<SubDeviceStatus[]>;
+
+        on(event: 'sub-device', listener: (subDevice: TuyaSubDevice) => void): this;
+        on(event: 'sub-devices', listener: (subDevices: SubDeviceStatus[]) => void): this;
+        on(event: 'sub-device-removed', listener: (cid: string) => void): this;
+        on<K extends keyof Events>(event: K, listener: Events[K]): this;
+    }
+}
@@ -1,6 +1,4 @@
 // Import packages
-const dgram = require('dgram');
-const net = require('net');
 const {EventEmitter} = require('events');
 const pTimeout = require('p-timeout');
 const pRetry = require('p-retry');
@@ -8,9 +6,36 @@ const {default: PQueue} = require('p-queue');
 const debug = require('debug')('TuyAPI');
 
 // Helpers
-const {isValidString} = require('./lib/utils');
+const {isValidString, expandTargets, abortError, cancellable} = require('./lib/utils');
 const {MessageParser, CommandType} = require('./lib/message-parser');
-const {UDP_KEY} = require('./lib/config');
+const {decodeBroadcast, listenForBroadcasts, sendDiscoveryRequest} = require('./lib/discovery');
+const {tcpTransport} = require('./lib/transport');
+const {DeviceSchema} = require('./lib/schema');
+const {
+  TuyaError,
+  TuyaTimeoutError,
+  TuyaConnectionError,
+  TuyaHmacMismatchError,
+  TuyaDeviceError,
+  TuyaUnsupportedError
+} = require('./lib/errors');
+
+/**
+ * States of the connection to a device.
+ * `negotiating` is only used by protocol 3.4 and 3.5,
+ * while the session key is being negotiated.
+ * @readonly
+ * @enum {String}
+ */
+const ConnectionState = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  NEGOTIATING: 'negotiating',
+  READY: 'ready',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+  FAILED: 'failed'
+});
 
 /**
  * Represents a Tuya device.
@@ -26,7 +51,7 @@ const {UDP_KEY} = require('./lib/config');
  * @param {String} [options.gwID=''] gateway ID (not needed for most devices),
  * if omitted assumed to be the same as `options.id`
  * @param {String} options.key encryption key of device (also called `localKey`)
- * @param {String} [options.productKey] product key of device (currently unused)
+ * @param {String} [options.productKey] product key of device, see `loadSchema()`
  * @param {Number} [options.version=3.1] protocol version
  * @param {Boolean} [options.nullPayloadOnJSONError=false] if true, emits a data event
  * containing a payload of null values for on-device JSON parsing errors
@@ -36,6 +61,31 @@ const {UDP_KEY} = require('./lib/config');
  * connection is established. This should probably be `false` in synchronous usage.
  * @param {Boolean} [options.issueRefreshOnPing=false] if true, sends DP_REFRESH and GET request after
  * every ping. This should probably be `false` in synchronous usage.
+ * @param {Boolean|Object} [options.autoReconnect=false] if truthy, automatically reconnects
+ * with exponential backoff when the connection to the device is lost. Pass an object to
+ * tune the backoff.
+ * @param {Number} [options.autoReconnect.maxAttempts=Infinity] attempts before giving up
+ * @param {Number} [options.autoReconnect.minDelay=1] delay, in seconds, before the first attempt
+ * @param {Number} [options.autoReconnect.maxDelay=60] upper bound, in seconds, for the delay
+ * @param {Number} [options.autoReconnect.factor=2] multiplier applied to the delay after each attempt
+ * @param {Number} [options.autoReconnect.jitter=0.2] fraction of the delay to randomize by
+ * @param {String} [options.localAddress] local address to connect to the device from,
+ * to choose the network interface on hosts with more than one
+ * @param {Number} [options.responseTimeout=2] how long, in seconds, to wait for
+ * a heartbeat response. `set()` waits 2.5 times as long for its response.
+ * @param {Number} [options.connectTimeout=5] how long, in seconds, to wait for
+ * the connection to be established
+ * @param {Number} [options.retries=5] how often to retry sending a request
+ * if connecting or writing fails
+ * @param {Number} [options.setConcurrency=1] how many `set()` requests may wait
+ * for a response at once. Responses are matched to requests by sequence number,
+ * then by the DPS they contain.
+ * @param {SessionRecorder} [options.recorder] records every connection's
+ * raw traffic, see `lib/recording.js`
+ * @param {Function} [options.transport] called with the `TuyaDevice` to create
+ * the transport for a new connection, instead of a TCP socket. See `lib/transport.js`.
+ * @param {DeviceSchema|Object} [options.schema] DP definitions, to access DPs
+ * by name with validated, scaled values. See `lib/schema.js`.
  * @example
  * const tuya = new TuyaDevice({id: 'xxxxxxxxxxxxxxxxxxxx',
  *                              key: 'xxxxxxxxxxxxxxxx'})
@@ -52,7 +102,16 @@ class TuyaDevice extends EventEmitter {
     nullPayloadOnJSONError = false,
     issueGetOnConnect = true,
     issueRefreshOnConnect = false,
-    issueRefreshOnPing = false
+    issueRefreshOnPing = false,
+    autoReconnect = false,
+    localAddress,
+    responseTimeout = 2,
+    connectTimeout = 5,
+    retries = 5,
+    setConcurrency = 1,
+    recorder,
+    transport = tcpTransport,
+    schema
   } = {}) {
     super();
 
@@ -66,6 +125,19 @@ class TuyaDevice extends EventEmitter {
     };
 
     this.nullPayloadOnJSONError = nullPayloadOnJSONError;
+    this._localAddress = localAddress;
+    this._recorder = recorder;
+    this._transport = transport;
+    this.setSchema(schema);
+
+    this._reconnectOptions = autoReconnect ? {
+      maxAttempts: Infinity,
+      minDelay: 1,
+      maxDelay: 60,
+      factor: 2,
+      jitter: 0.2,
+      ...(typeof autoReconnect === 'object' ? autoReconnect : {})
+    } : null;
 
     // Check arguments
     if (!(isValidString(id) ||
@@ -89,27 +161,139 @@ class TuyaDevice extends EventEmitter {
 
     // Private instance variables
 
-    // Socket connected state
-    this._connected = false;
+    // Connection state, see ConnectionState
+    this.state = ConnectionState.IDLE;
 
-    this._responseTimeout = 2; // Seconds
-    this._connectTimeout = 5; // Seconds
+    this._responseTimeout = responseTimeout; // Seconds
+    this._connectTimeout = connectTimeout; // Seconds
+    this._retries = retries;
     this._pingPongPeriod = 10; // Seconds
     this._pingPongTimeout = null;
     this._lastPingAt = new Date();
+    this._wifiPollInterval = null;
 
     this._currentSequenceN = 0;
     this._resolvers = {};
     this._setQueue = new PQueue({
-      concurrency: 1
+      concurrency: setConcurrency
     });
 
+    // Set requests waiting for a response, by sequence number
+    this._setRequests = new Map();
+
+    // Added with use()
+    this._middleware = [];
+
     // List of dps which needed CommandType.DP_REFRESH (command 18) to force refresh their values.
     // Power data - DP 19 on some 3.1/3.3 devices, DP 5 for some 3.1 devices.
     this._dpRefreshIds = [4, 5, 6, 18, 19, 20];
     this._tmpLocalKey = null;
     this._tmpRemoteKey = null;
     this.sessionKey = null;
+
+    // Automatic reconnection
+    this._reconnectAttempt = 0;
+    this._reconnectTimeout = null;
+    this._reconnectStopped = false;
+  }
+
+  /**
+   * Adds middleware to log, rewrite or block messages.
+   * Hooks are called synchronously, in the order they were
+   * added, with a message object they can modify or annotate
+   * in place. A hook can also return a new message object to
+   * replace it, or `false` to veto it.
+   * @param {Object} middleware Middleware object
+   * @param {Function} [middleware.onRequest] called with
+   * `{payload, commandByte, sequenceN}` before a request from
+   * `get()`, `set()` or `refresh()` is encoded. `payload` and `commandByte`
+   * can be changed. Vetoing rejects the request with an `ERR_TUYA_VETOED` error.
+   * @param {Function} [middleware.onResponse] called with
+   * `{payload, commandByte, sequenceN, request}` before a response resolves
+   * its request. Vetoing rejects the request with an `ERR_TUYA_VETOED` error.
+   * @param {Function} [middleware.onPacket] called with every packet
+   * received from the device before it's handled. Vetoing drops the packet.
+   * @example
+   * // refuse to turn off the fridge
+   * tuya.use({
+   *   onRequest: request => !(request.payload.dps && request.payload.dps['1'] === false)
+   * })
+   * @returns {Function} call to remove the middleware again
+   */
+  use(middleware) {
+    if (!middleware || !['onRequest', 'onResponse', 'onPacket'].some(hook => typeof middleware[hook] === 'function')) {
+      throw new TypeError('Middleware must have an onRequest, onResponse or onPacket function.');
+    }
+
+    this._middleware.push(middleware);
+
+    return () => {
+      const index = this._middleware.indexOf(middleware);
+
+      if (index !== -1) {
+        this._middleware.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Attaches DP definitions to the device. With a schema, `get()`,
+   * `set()` and `toggle()` accept DP codes, values are validated
+   * before they are sent, and received data has the decoded values
+   * by code in `values`.
+   * @param {DeviceSchema|Object|Array|null} schema schema, or definitions
+   * to create one from. `null` to remove the schema
+   * @example
+   * tuya.setSchema({1: {code: 'switch_led', type: 'bool'}});
+   * tuya.set({dp: 'switch_led', set: true});
+   */
+  setSchema(schema) {
+    if (schema === undefined || schema === null) {
+      this.schema = null;
+    } else {
+      this.schema = schema instanceof DeviceSchema ? schema : new DeviceSchema(schema);
+    }
+  }
+
+  /**
+   * Loads the schema of the device's product from a directory of data
+   * models exported from Tuya's IoT platform, named after their product
+   * key. The product key is given as option or found by `find()`.
+   * See `DeviceSchema.loadProduct()`.
+   * @param {String} directory path of directory
+   * @returns {Promise<DeviceSchema>} the loaded schema
+   * @example
+   * await tuya.find();
+   * await tuya.loadSchema('./schemas');
+   * tuya.set({dp: 'switch_led', set: true});
+   */
+  async loadSchema(directory) {
+    if (!this.device.productKey) {
+      throw new TypeError('Product key of device is unknown, call find() first.');
+    }
+
+    this.setSchema(await DeviceSchema.loadProduct(this.device.productKey, directory));
+
+    return this.schema;
+  }
+
+  /**
+   * Returns the index of a DP given by index or code.
+   * @private
+   * @param {String|Number} dp DP index or code
+   * @returns {String} DP index
+   * @throws {TypeError} for codes without a schema that defines them
+   */
+  _resolveDp(dp) {
+    if (this.schema) {
+      return this.schema.resolve(dp);
+    }
+
+    if (!/^\d+$/.test(String(dp))) {
+      throw new TypeError(`DP ${dp} needs a schema to be used by name.`);
+    }
+
+    return String(dp);
   }
 
   /**
@@ -120,8 +304,16 @@ class TuyaDevice extends EventEmitter {
    * true to return entire list of properties from device
    * @param {Number} [options.dps=1]
    * DPS index to return
+   * @param {String|Number} [options.dp]
+   * DP index or code to return the decoded value of, see `setSchema()`
    * @param {String} [options.cid]
    * if specified, use device id of zigbee gateway and cid of subdevice to get its status
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the response, waits indefinitely if omitted
+   * @param {Number} [options.retries]
+   * how often to retry sending, defaults to the `retries` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel the request with
    * @example
    * // get first, default property from device
    * tuya.get().then(status => console.log(status))
@@ -131,10 +323,22 @@ class TuyaDevice extends EventEmitter {
    * @example
    * // get all available data from device
    * tuya.get({schema: true}).then(data => console.log(data))
+   * @example
+   * // give up after one second
+   * tuya.get({timeout: 1, signal: request.signal}).then(status => console.log(status))
    * @returns {Promise<Boolean|undefined|Object>}
    * returns boolean if single property is requested, otherwise returns object of results
    */
   async get(options = {}) {
+    const {timeout, retries, signal} = options;
+
+    if (options.dp !== undefined) {
+      const dp = this._resolveDp(options.dp);
+      const value = await this.get({...options, dp: undefined, dps: dp, schema: false});
+
+      return this.schema ? this.schema.decodeValue(dp, value) : value;
+    }
+
     const payload = {
       gwId: this.device.gwID,
       devId: this.device.id,
@@ -149,20 +353,29 @@ class TuyaDevice extends EventEmitter {
 
     const commandByte = this.device.version === '3.4' || this.device.version === '3.5' ? CommandType.DP_QUERY_NEW : CommandType.DP_QUERY;
 
-    // Create byte buffer
-    const buffer = this.device.parser.encode({
-      data: payload,
-      commandByte,
-      sequenceN: ++this._currentSequenceN
-    });
-
     let data;
     // Send request to read data - should work in most cases beside Protocol 3.2
     if (this.device.version !== '3.2') {
+      // Create byte buffer
+      const {buffer, request} = this._encodeRequest({
+        payload,
+        commandByte,
+        sequenceN: ++this._currentSequenceN
+      });
+
       debug('GET Payload:');
-      debug(payload);
+      debug(request.payload);
 
-      data = await this._send(buffer);
+      try {
+        data = await this._send(buffer, {timeout, retries, signal, request});
+      } catch (error) {
+        // Devices refusing DP_QUERY send this with a return code, use the fallback below
+        if (!(error instanceof TuyaDeviceError) || error.payload !== 'data format error') {
+          throw error;
+        }
+
+        data = error.payload;
+      }
     }
 
     // If data read failed with defined error messages or device uses Protocol 3.2 we need to read differently
@@ -178,7 +391,11 @@ class TuyaDevice extends EventEmitter {
       const setOptions = {
         dps: options.dps ? options.dps : 1,
         set: null,
-        isSetCallToGetData: true
+        cid: options.cid,
+        isSetCallToGetData: true,
+        timeout,
+        retries,
+        signal
       };
       data = await this.set(setOptions);
     }
@@ -209,6 +426,12 @@ class TuyaDevice extends EventEmitter {
    * if specified, use device id of zigbee gateway and cid of subdevice to refresh its status
    * @param {Array.Number} [options.requestedDPS=[4,5,6,18,19,20]]
    * only set this if you know what you're doing
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the response, waits indefinitely if omitted
+   * @param {Number} [options.retries]
+   * how often to retry sending, defaults to the `retries` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel the request with
    * @example
    * // get first, default property from device
    * tuya.refresh().then(status => console.log(status))
@@ -222,6 +445,8 @@ class TuyaDevice extends EventEmitter {
    * returns object of results
    */
   refresh(options = {}) {
+    const {timeout, retries, signal} = options;
+
     const payload = {
       gwId: this.device.gwID,
       devId: this.device.id,
@@ -238,18 +463,19 @@ class TuyaDevice extends EventEmitter {
     debug(payload);
 
     const sequenceN = ++this._currentSequenceN;
-    // Create byte buffer
-    const buffer = this.device.parser.encode({
-      data: payload,
-      commandByte: CommandType.DP_REFRESH,
-      sequenceN
-    });
 
     // Send request and parse response
     return new Promise((resolve, reject) => {
+      // Create byte buffer
+      const {buffer, request} = this._encodeRequest({
+        payload,
+        commandByte: CommandType.DP_REFRESH,
+        sequenceN
+      });
+
       this._expectRefreshResponseForSequenceN = sequenceN;
       // Send request
-      this._send(buffer).then(async data => {
+      this._send(buffer, {timeout, retries, signal, request}).then(async data => {
         if (data === 'json obj data unvalid') {
           // Some devices don't respond to DP_QUERY so, for DPS get commands, fall
           // back to using SEND with null value. This appears to always work as
@@ -258,7 +484,11 @@ class TuyaDevice extends EventEmitter {
           const setOptions = {
             dps: options.requestedDPS ? options.requestedDPS : this._dpRefreshIds,
             set: null,
-            isSetCallToGetData: true
+            cid: options.cid,
+            isSetCallToGetData: true,
+            timeout,
+            retries,
+            signal
           };
           data = await this.set(setOptions);
         }
@@ -281,7 +511,9 @@ class TuyaDevice extends EventEmitter {
   /**
    * Sets a property on a device.
    * @param {Object} options Options object
-   * @param {Number} [options.dps=1] DPS index to set
+   * @param {Number} [options.dps=1] DPS index to set, the value is sent unchanged
+   * @param {String|Number} [options.dp] DP index or code to set the
+   * decoded value of, see `setSchema()`
    * @param {*} [options.set] value to set
    * @param {String} [options.cid]
    * if specified, use device id of zigbee gateway and cid of subdevice to set its property
@@ -293,6 +525,13 @@ class TuyaDevice extends EventEmitter {
    * @param {Boolean} [options.shouldWaitForResponse=true] see
    * [#420](https://github.com/codetheweb/tuyapi/issues/420) and
    * [#421](https://github.com/codetheweb/tuyapi/pull/421) for details
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the response once the request is sent,
+   * defaults to 2.5 times the `responseTimeout` constructor option
+   * @param {Number} [options.retries]
+   * how often to retry sending, defaults to the `retries` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel the request with, also while it waits for previous set requests
    * @example
    * // set default property
    * tuya.set({set: true}).then(() => console.log('device was turned on'))
@@ -327,6 +566,10 @@ class TuyaDevice extends EventEmitter {
 
     if (options.multiple === true) {
       dps = options.data;
+    } else if (options.dp !== undefined) {
+      dps = {
+        [this._resolveDp(options.dp)]: options.set
+      };
     } else if (options.dps === undefined) {
       dps = {
         1: options.set
@@ -337,8 +580,16 @@ class TuyaDevice extends EventEmitter {
       };
     }
 
+    if (this.schema && !options.isSetCallToGetData && (options.multiple === true || options.dp !== undefined)) {
+      // Validates values and translates codes and scaled values,
+      // `dps` takes raw values just like `get({dps})` returns them
+      dps = this.schema.encodeDps(dps);
+    }
+
     options.shouldWaitForResponse = typeof options.shouldWaitForResponse === 'undefined' ? true : options.shouldWaitForResponse;
 
+    const {timeout = this._responseTimeout * 2.5, retries, signal} = options;
+
     // When set has only null values then it is used to get data
     if (!options.isSetCallToGetData) {
       options.isSetCallToGetData = true;
@@ -397,92 +648,179 @@ class TuyaDevice extends EventEmitter {
 
     const commandByte = this.device.version === '3.4' || this.device.version === '3.5' ? CommandType.CONTROL_NEW : CommandType.CONTROL;
     const sequenceN = ++this._currentSequenceN;
+
     // Encode into packet
-    const buffer = this.device.parser.encode({
-      data: payload,
-      encrypted: true, // Set commands must be encrypted
-      commandByte,
-      sequenceN
-    });
+    let buffer;
+    let request;
+    try {
+      ({buffer, request} = this._encodeRequest({
+        payload,
+        encrypted: true, // Set commands must be encrypted
+        commandByte,
+        sequenceN
+      }));
+    } catch (error) {
+      return Promise.reject(error);
+    }
 
     // Make sure we only resolve or reject once
     let resolvedOrRejected = false;
 
-    // Queue this request and limit concurrent set requests to one
-    return this._setQueue.add(() => pTimeout(new Promise((resolve, reject) => {
-      if (options.shouldWaitForResponse && this._setResolver) {
-        throw new Error('A set command is already in progress. Can not issue a second one that also should return a response.');
+    // Clear resolver functions so a late response isn't taken for this request
+    const clearResolvers = () => {
+      this._setRequests.delete(sequenceN);
+      delete this._resolvers[sequenceN];
+
+      if (this._expectRefreshResponseForSequenceN === sequenceN) {
+        this._expectRefreshResponseForSequenceN = undefined;
       }
+    };
 
-      // Send request and wait for response
-      try {
-        if (this.device.version === '3.5') {
-          this._currentSequenceN++;
-        }
+    // Queue this request and limit concurrent set requests to `setConcurrency`
+    const queued = this._setQueue.add(() => {
+      // Cancelled while queued
+      if (resolvedOrRejected) {
+        return;
+      }
 
-        // Send request
-        this._send(buffer).catch(error => {
-          if (options.shouldWaitForResponse && !resolvedOrRejected) {
-            resolvedOrRejected = true;
-            reject(error);
+      return cancellable(new Promise((resolve, reject) => {
+        // Send request and wait for response
+        try {
+          if (this.device.version === '3.5') {
+            this._currentSequenceN++;
           }
-        });
-        if (options.shouldWaitForResponse) {
-          this._setResolver = data => {
-            if (!resolvedOrRejected) {
+
+          // Send request
+          this._send(buffer, {retries, signal}).catch(error => {
+            if (options.shouldWaitForResponse && !resolvedOrRejected) {
               resolvedOrRejected = true;
-              resolve(data);
+              reject(error);
             }
-          };
-
-          this._setResolveAllowGet = options.isSetCallToGetData;
-        } else {
+          });
+          if (options.shouldWaitForResponse) {
+            this._setRequests.set(sequenceN, {
+              dps: Object.keys(dps),
+              cid: options.cid,
+              allowGet: options.isSetCallToGetData,
+              resolve: (data, packet) => {
+                if (!resolvedOrRejected) {
+                  resolvedOrRejected = true;
+
+                  const error = this._responseError(packet);
+
+                  if (error) {
+                    reject(error);
+                    return;
+                  }
+
+                  try {
+                    resolve(this._handleResponse(request, data, packet));
+                  } catch (error) {
+                    reject(error);
+                  }
+                }
+              }
+            });
+          } else {
+            resolvedOrRejected = true;
+            resolve();
+          }
+        } catch (error) {
           resolvedOrRejected = true;
-          resolve();
+          reject(error);
         }
-      } catch (error) {
-        resolvedOrRejected = true;
-        reject(error);
-      }
-    }), this._responseTimeout * 2500, () => {
-      // Only gets here on timeout so clear resolver function and emit error
-      this._setResolver = undefined;
-      this._setResolveAllowGet = undefined;
-      delete this._resolvers[sequenceN];
-      this._expectRefreshResponseForSequenceN = undefined;
+      }), {
+        timeout,
+        message: 'Timeout waiting for status response from device id: ' + this.device.id,
+        details: {deviceId: this.device.id, commandByte, sequenceN},
+        onCancel: error => {
+          // Only gets here on timeout so clear resolver function and emit error
+          resolvedOrRejected = true;
+          clearResolvers();
 
-      this.emit(
-        'error',
-        'Timeout waiting for status response from device id: ' + this.device.id
-      );
-      if (!resolvedOrRejected) {
+          // The rejection is enough if nobody listens for errors
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+          }
+        }
+      });
+    });
+
+    return cancellable(queued, {
+      signal,
+      onCancel: () => {
         resolvedOrRejected = true;
-        throw new Error('Timeout waiting for status response from device id: ' + this.device.id);
+        clearResolvers();
       }
-    }));
+    });
   }
 
   /**
    * Sends a query to a device. Helper function
    * that connects to a device if necessary and
    * wraps the entire operation in a retry.
+   * Waits while a connection is being established
+   * and rejects while the device is disconnecting.
    * @private
    * @param {Buffer} buffer buffer of data
+   * @param {Object} [options] Options object
+   * @param {Number} [options.timeout] how long, in seconds, to wait for the response
+   * @param {Number} [options.retries] how often to retry
+   * @param {AbortSignal} [options.signal] signal to cancel the request with
+   * @param {Object} [options.request] request as passed through middleware,
+   * to run the response through middleware as well
    * @returns {Promise<any>} returned data for request
    */
-  _send(buffer) {
+  _send(buffer, {timeout, retries = this._retries, signal, request} = {}) {
     const sequenceNo = this._currentSequenceN;
-    // Retry up to 5 times
-    return pRetry(() => {
+    let cancelled = false;
+
+    const attempt = pRetry(() => {
+      if (cancelled) {
+        throw new pRetry.AbortError('Request was cancelled.');
+      }
+
+      if (this.state === ConnectionState.CLOSING) {
+        throw new pRetry.AbortError(new TuyaConnectionError('Can not send while the device is disconnecting.', {deviceId: this.device.id}));
+      }
+
       return new Promise((resolve, reject) => {
         // Send data
         this.connect().then(() => {
+          // Cancelled while connecting
+          if (cancelled) {
+            reject(new pRetry.AbortError('Request was cancelled.'));
+            return;
+          }
+
           try {
-            this.client.write(buffer);
+            // Add resolver function first, transports
+            // may deliver the response synchronously
+            this._resolvers[sequenceNo] = (data, packet) => {
+              const error = this._responseError(packet);
+
+              if (error) {
+                // Don't retry requests the device refused
+                reject(new pRetry.AbortError(error));
+                return;
+              }
+
+              if (!request) {
+                resolve(data);
+                return;
+              }
+
+              try {
+                resolve(this._handleResponse(request, data, packet));
+              } catch (error) {
+                // Don't retry responses vetoed by middleware
+                reject(new pRetry.AbortError(error));
+              }
+            };
 
-            // Add resolver function
-            this._resolvers[sequenceNo] = data => resolve(data);
+            this.client.write(buffer);
           } catch (error) {
+            delete this._resolvers[sequenceNo];
             reject(error);
           }
         })
@@ -491,7 +829,111 @@ class TuyaDevice extends EventEmitter {
     }, {
       onFailedAttempt: error => {
         debug(`Attempt ${error.attemptNumber} failed. There are ${error.retriesLeft} retries left.`);
-      }, retries: 5});
+      }, retries});
+
+    return cancellable(attempt, {
+      timeout,
+      signal,
+      message: 'Timeout waiting for response from device id: ' + this.device.id,
+      details: {deviceId: this.device.id, sequenceN: sequenceNo},
+      onCancel: () => {
+        cancelled = true;
+        delete this._resolvers[sequenceNo];
+
+        if (this._expectRefreshResponseForSequenceN === sequenceNo) {
+          this._expectRefreshResponseForSequenceN = undefined;
+        }
+      }
+    });
+  }
+
+  /**
+   * Runs a message through one hook of every middleware.
+   * @private
+   * @param {String} hook name of hook
+   * @param {Object} message message to pass
+   * @returns {Object|Boolean} resulting message, or `false` if vetoed
+   */
+  _runMiddleware(hook, message) {
+    for (const middleware of this._middleware) {
+      if (typeof middleware[hook] !== 'function') {
+        continue;
+      }
+
+      const result = middleware[hook](message);
+
+      if (result === false) {
+        return false;
+      }
+
+      if (result && typeof result === 'object') {
+        message = result;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Runs a request through middleware and encodes it.
+   * @private
+   * @param {Object} options Options object
+   * @param {Object} options.payload payload to send
+   * @param {Number} options.commandByte command byte
+   * @param {Number} options.sequenceN sequence number
+   * @param {Boolean} [options.encrypted] whether to encrypt the payload
+   * @returns {Object} `{buffer, request}`
+   * @throws {TuyaError} if middleware vetoed the request
+   */
+  _encodeRequest({payload, commandByte, sequenceN, encrypted}) {
+    const request = this._runMiddleware('onRequest', {payload, commandByte, sequenceN});
+
+    if (request === false) {
+      throw new TuyaError('Request was vetoed by middleware.', {
+        code: 'ERR_TUYA_VETOED',
+        deviceId: this.device.id,
+        commandByte,
+        sequenceN
+      });
+    }
+
+    const buffer = this.device.parser.encode({
+      data: request.payload,
+      encrypted,
+      commandByte: request.commandByte,
+      sequenceN
+    });
+
+    return {buffer, request};
+  }
+
+  /**
+   * Runs the response to a request through middleware.
+   * @private
+   * @param {Object} request request as returned by middleware
+   * @param {*} payload response payload
+   * @param {Packet} [packet] response packet
+   * @returns {*} payload to resolve the request with
+   * @throws {TuyaError} if middleware vetoed the response
+   */
+  _handleResponse(request, payload, packet = {}) {
+    const response = this._runMiddleware('onResponse', {
+      payload,
+      commandByte: packet.commandByte,
+      sequenceN: packet.sequenceN,
+      request
+    });
+
+    if (response === false) {
+      throw new TuyaError('Response was vetoed by middleware.', {
+        code: 'ERR_TUYA_VETOED',
+        deviceId: this.device.id,
+        commandByte: packet.commandByte,
+        sequenceN: packet.sequenceN
+      });
+    }
+
+    return response.payload;
   }
 
   /**
@@ -515,7 +957,7 @@ class TuyaDevice extends EventEmitter {
       // If we do not expect a pong from a former ping, we need to set a timeout
       this._pingPongTimeout = setTimeout(() => {
         if (this._lastPingAt < now) {
-          this.disconnect();
+          this._handleConnectionLost();
         }
       }, this._responseTimeout * 1000);
     } else {
@@ -548,11 +990,50 @@ class TuyaDevice extends EventEmitter {
     this.connectPromise.reject = rej;
   }
 
+  /**
+   * Moves the connection to a new state.
+   * @private
+   * @param {ConnectionState} state new state
+   */
+  _setState(state) {
+    const previousState = this.state;
+
+    if (state === previousState) {
+      return;
+    }
+
+    debug(`State: ${previousState} -> ${state}`);
+    this.state = state;
+
+    /**
+     * Emitted when the connection state changes.
+     * @event TuyaDevice#stateChange
+     * @property {ConnectionState} state new state
+     * @property {ConnectionState} previousState previous state
+     */
+    this.emit('stateChange', state, previousState);
+  }
+
+  /**
+   * Marks the connection attempt as failed and rejects
+   * the pending connect promise.
+   * @private
+   * @param {Error} error reason
+   */
+  _failConnect(error) {
+    this._setState(ConnectionState.FAILED);
+
+    if (this.connectPromise) {
+      this.connectPromise.reject(error);
+      delete this.connectPromise;
+    }
+  }
+
   /**
    * Finish connecting and resolve
    */
   _finishConnect() {
-    this._connected = true;
+    this._setState(ConnectionState.READY);
 
     /**
      * Emitted when socket is connected
@@ -592,36 +1073,71 @@ class TuyaDevice extends EventEmitter {
       this.connectPromise.resolve(true);
       delete this.connectPromise;
     }
+
+    if (this._reconnectAttempt > 0) {
+      const attempts = this._reconnectAttempt;
+
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+      this._reconnectAttempt = 0;
+
+      /**
+       * Emitted when the connection was re-established
+       * after automatically reconnecting.
+       * @event TuyaDevice#reconnected
+       * @property {Number} attempts number of attempts it took
+       */
+      this.emit('reconnected', attempts);
+    }
   }
 
   /**
    * Connects to the device. Can be called even
    * if device is already connected.
+   * @param {Object} [options] Options object
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the connection,
+   * defaults to the `connectTimeout` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel with. Aborting cancels the connection
+   * attempt if this call started it.
    * @returns {Promise<Boolean>} `true` if connect succeeds
    * @emits TuyaDevice#connected
    * @emits TuyaDevice#disconnected
    * @emits TuyaDevice#data
    * @emits TuyaDevice#error
    */
-  connect() {
+  connect({timeout = this._connectTimeout, signal} = {}) {
     if (this.isConnected()) {
       // Return if already connected
       return Promise.resolve(true);
     }
 
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError(signal));
+    }
+
     if (this.connectPromise) {
       // If a connect approach still in progress simply return same Promise
-      return this.connectPromise;
+      return cancellable(this.connectPromise, {signal});
     }
 
+    this._reconnectStopped = false;
+
     this.createDeferredConnectPromise();
+    this._setState(ConnectionState.CONNECTING);
+
+    const client = this._transport(this);
+    this.client = client;
 
-    this.client = new net.Socket();
+    if (this._recorder) {
+      this._recorder.tap(client, this);
+    }
 
     // Default connect timeout is ~1 minute,
     // 5 seconds is a more reasonable default
     // since `retry` is used.
-    this.client.setTimeout(this._connectTimeout * 1000, () => {
+    const connectTimeout = setTimeout(() => {
       /**
        * Emitted on socket error, usually a
        * result of a connection timeout.
@@ -629,14 +1145,12 @@ class TuyaDevice extends EventEmitter {
        * @event TuyaDevice#error
        * @property {Error} error error event
        */
-      // this.emit('error', new Error('connection timed out'));
-      this.client.destroy();
-      this.emit('error', new Error('connection timed out'));
-      if (this.connectPromise) {
-        this.connectPromise.reject(new Error('connection timed out'));
-        delete this.connectPromise;
-      }
-    });
+      const error = new TuyaTimeoutError('connection timed out', {deviceId: this.device.id});
+
+      client.destroy();
+      this.emit('error', error);
+      this._failConnect(error);
+    }, timeout * 1000);
 
     // Add event listeners to socket
 
@@ -644,52 +1158,21 @@ class TuyaDevice extends EventEmitter {
     this.client.on('data', data => {
       debug(`Received data: ${data.toString('hex')}`);
 
-      let packets;
-
-      try {
-        packets = this.device.parser.parse(data);
-
-        if (this.nullPayloadOnJSONError) {
-          for (const packet of packets) {
-            if (packet.payload && packet.payload === 'json obj data unvalid') {
-              this.emit('error', packet.payload);
-
-              packet.payload = {
-                dps: {
-                  1: null,
-                  2: null,
-                  3: null,
-                  101: null,
-                  102: null,
-                  103: null
-                }
-              };
-            }
-          }
-        }
-      } catch (error) {
-        debug(error);
-        this.emit('error', error);
-        return;
-      }
-
-      packets.forEach(packet => {
-        debug('Parsed:');
-        debug(packet);
-
-        this._packetHandler.bind(this)(packet);
-      });
+      this._handleData(data);
     });
 
     // Handle errors
     this.client.on('error', err => {
       debug('Error event from socket.', this.device.ip, err);
 
-      this.emit('error', new Error('Error from socket: ' + err.message));
+      clearTimeout(connectTimeout);
+
+      const error = new TuyaConnectionError('Error from socket: ' + err.message, {deviceId: this.device.id, cause: err});
 
-      if (!this._connected && this.connectPromise) {
-        this.connectPromise.reject(err);
-        delete this.connectPromise;
+      this.emit('error', error);
+
+      if (this.state === ConnectionState.CONNECTING || this.state === ConnectionState.NEGOTIATING) {
+        this._failConnect(error);
       }
 
       this.client.destroy();
@@ -699,20 +1182,30 @@ class TuyaDevice extends EventEmitter {
     this.client.on('close', () => {
       debug(`Socket closed: ${this.device.ip}`);
 
-      this.disconnect();
+      clearTimeout(connectTimeout);
+
+      // Ignore sockets that were already replaced by a new connection
+      if (client !== this.client) {
+        return;
+      }
+
+      this._handleConnectionLost();
     });
 
     this.client.on('connect', async () => {
       debug('Socket connected.');
 
       // Remove connect timeout
-      this.client.setTimeout(0);
+      clearTimeout(connectTimeout);
 
       if (this.device.version === '3.4' || this.device.version === '3.5') {
+        this._setState(ConnectionState.NEGOTIATING);
+
         // Negotiate session key then emit 'connected'
         // 16 bytes random + 32 bytes hmac
         try {
-          this._tmpLocalKey = this.device.parser.cipher.random();
+          // Transports may pick the nonce, e.g. to replay a recorded session
+          this._tmpLocalKey = typeof client.localNonce === 'function' ? client.localNonce() : this.device.parser.cipher.random();
           const buffer = this.device.parser.encode({
             data: this._tmpLocalKey,
             encrypted: true,
@@ -732,16 +1225,92 @@ class TuyaDevice extends EventEmitter {
       this._finishConnect();
     });
 
+    // Drop partial frames left over from a previous connection
+    this.device.parser.resetStream();
+
     debug(`Connecting to ${this.device.ip}...`);
-    this.client.connect(this.device.port, this.device.ip);
+    this.client.connect({
+      port: this.device.port,
+      host: this.device.ip,
+      localAddress: this._localAddress
+    });
+
+    return cancellable(this.connectPromise, {signal, onCancel: () => this._disconnect()});
+  }
+
+  /**
+   * Feeds received data to the parser and
+   * handles every complete packet.
+   * @private
+   * @param {Buffer} data chunk received from socket
+   */
+  _handleData(data) {
+    let packets = this.device.parser.push(data);
+
+    for (;;) {
+      try {
+        for (const packet of packets) {
+          if (this.nullPayloadOnJSONError && packet.payload === 'json obj data unvalid') {
+            this.emit('error', new TuyaDeviceError(packet.payload, {
+              deviceId: this.device.id,
+              commandByte: packet.commandByte,
+              sequenceN: packet.sequenceN,
+              returnCode: packet.returnCode,
+              payload: packet.payload
+            }));
+
+            // Reported above, pending requests resolve with the empty DPS below
+            packet.returnCode = 0;
+
+            packet.payload = {
+              dps: {
+                1: null,
+                2: null,
+                3: null,
+                101: null,
+                102: null,
+                103: null
+              }
+            };
+          }
+
+          if (this.schema && packet.payload && typeof packet.payload.dps === 'object') {
+            packet.payload.values = this.schema.decode(packet.payload.dps);
+          }
 
-    return this.connectPromise;
+          debug('Parsed:');
+          debug(packet);
+
+          const handledPacket = this._runMiddleware('onPacket', packet);
+
+          if (handledPacket === false) {
+            debug('Packet dropped by middleware.');
+            continue;
+          }
+
+          this._packetHandler(handledPacket);
+        }
+
+        return;
+      } catch (error) {
+        debug(error);
+
+        if (error instanceof TuyaError && error.deviceId === undefined) {
+          error.deviceId = this.device.id;
+        }
+
+        this.emit('error', error);
+
+        // The failed frame was dropped, continue with the rest of the buffer
+        packets = this.device.parser.push();
+      }
+    }
   }
 
   _packetHandler(packet) {
     // Protocol 3.4, 3.5 - Response to Msg 0x03
     if (packet.commandByte === CommandType.SESS_KEY_NEG_RES) {
-      if (!this.connectPromise) {
+      if (this.state !== ConnectionState.NEGOTIATING) {
         debug('Protocol 3.4, 3.5: Ignore Key exchange message because no connection in progress.');
         return;
       }
@@ -758,11 +1327,13 @@ class TuyaDevice extends EventEmitter {
       const calcLocalHmac = this.device.parser.cipher.hmac(this._tmpLocalKey).toString('hex');
       const expLocalHmac = packet.payload.slice(16, 16 + 32).toString('hex');
       if (expLocalHmac !== calcLocalHmac) {
-        const err = new Error(`HMAC mismatch(keys): expected ${expLocalHmac}, was ${calcLocalHmac}. ${packet.payload.toString('hex')}`);
-        if (this.connectPromise) {
-          this.connectPromise.reject(err);
-          delete this.connectPromise;
-        }
+        const err = new TuyaHmacMismatchError(`HMAC mismatch(keys): expected ${expLocalHmac}, was ${calcLocalHmac}. ${packet.payload.toString('hex')}`, {
+          deviceId: this.device.id,
+          commandByte: packet.commandByte,
+          sequenceN: packet.sequenceN
+        });
+        this._failConnect(err);
+        this.client.destroy();
 
         this.emit('error', err);
         return;
@@ -779,16 +1350,7 @@ class TuyaDevice extends EventEmitter {
       this.client.write(buffer);
 
       // Calculate session key
-      this.sessionKey = Buffer.from(this._tmpLocalKey);
-      for (let i = 0; i < this._tmpLocalKey.length; i++) {
-        this.sessionKey[i] = this._tmpLocalKey[i] ^ this._tmpRemoteKey[i];
-      }
-
-      if (this.device.version === '3.4') {
-        this.sessionKey = this.device.parser.cipher._encrypt34({data: this.sessionKey});
-      } else if (this.device.version === '3.5') {
-        this.sessionKey = this.device.parser.cipher._encrypt35({data: this.sessionKey, iv: this._tmpLocalKey});
-      }
+      this.sessionKey = this.device.parser.cipher.deriveSessionKey(this._tmpLocalKey, this._tmpRemoteKey);
 
       debug('Protocol 3.4, 3.5: Session Key: ' + this.sessionKey.toString('hex'));
       debug('Protocol 3.4, 3.5: Initialization done');
@@ -814,11 +1376,20 @@ class TuyaDevice extends EventEmitter {
       return;
     }
 
-    if (
-      (
-        packet.commandByte === CommandType.CONTROL ||
-        packet.commandByte === CommandType.CONTROL_NEW
-      ) && packet.payload === false) {
+    const isSetResponse = packet.commandByte === CommandType.CONTROL || packet.commandByte === CommandType.CONTROL_NEW;
+
+    // Failed set requests are only answered by the ack
+    if (isSetResponse && this._responseError(packet)) {
+      const setSequenceN = this._findSetRequest(packet);
+
+      if (setSequenceN !== undefined) {
+        debug(`Got SET failure with return code ${packet.returnCode}.`);
+        this._resolveSetRequest(setSequenceN, packet);
+        return;
+      }
+    }
+
+    if (isSetResponse && packet.payload === false) {
       debug('Got SET ack.');
       return;
     }
@@ -826,27 +1397,23 @@ class TuyaDevice extends EventEmitter {
     // Returned DP refresh response is always empty. Device respond with command 8 without dps 1 instead.
     if (packet.commandByte === CommandType.DP_REFRESH) {
       // If we did not get any STATUS packet, we need to resolve the promise.
-      if (typeof this._setResolver === 'function') {
-        debug('Received DP_REFRESH empty response packet without STATUS packet from set command - resolve');
-        this._setResolver(packet.payload);
+      const setSequenceN = this._findSetRequest(packet);
 
-        // Remove resolver
-        this._setResolver = undefined;
-        this._setResolveAllowGet = undefined;
-        delete this._resolvers[packet.sequenceN];
-        this._expectRefreshResponseForSequenceN = undefined;
+      if (setSequenceN !== undefined) {
+        debug('Received DP_REFRESH empty response packet without STATUS packet from set command - resolve');
+        this._resolveSetRequest(setSequenceN, packet);
       } else if (packet.sequenceN in this._resolvers) {
         // Call data resolver for sequence number
 
         debug('Received DP_REFRESH response packet - resolve');
-        this._resolvers[packet.sequenceN](packet.payload);
+        this._resolvers[packet.sequenceN](packet.payload, packet);
 
         // Remove resolver
         delete this._resolvers[packet.sequenceN];
         this._expectRefreshResponseForSequenceN = undefined;
       } else if (this._expectRefreshResponseForSequenceN && this._expectRefreshResponseForSequenceN in this._resolvers) {
         debug('Received DP_REFRESH response packet without data - resolve');
-        this._resolvers[this._expectRefreshResponseForSequenceN](packet.payload);
+        this._resolvers[this._expectRefreshResponseForSequenceN](packet.payload, packet);
 
         // Remove resolver
         delete this._resolvers[this._expectRefreshResponseForSequenceN];
@@ -868,8 +1435,10 @@ class TuyaDevice extends EventEmitter {
        * @property {Number} commandByte
        * commandByte of result( 8=proactive update from device)
        * @property {Number} sequenceN the packet sequence number
+       * @property {Packet} packet the whole packet, with its return code,
+       * prefix, raw frame and version
        */
-      this.emit('dp-refresh', packet.payload, packet.commandByte, packet.sequenceN);
+      this.emit('dp-refresh', packet.payload, packet.commandByte, packet.sequenceN, packet);
     } else {
       debug('Received DATA packet');
       debug('data: ' + packet.commandByte + ' : ' + (Buffer.isBuffer(packet.payload) ? packet.payload.toString('hex') : JSON.stringify(packet.payload)));
@@ -881,44 +1450,35 @@ class TuyaDevice extends EventEmitter {
        * commandByte of result
        * (e.g. 7=requested response, 8=proactive update from device)
        * @property {Number} sequenceN the packet sequence number
+       * @property {Packet} packet the whole packet, with its return code,
+       * prefix, raw frame and version
        */
-      this.emit('data', packet.payload, packet.commandByte, packet.sequenceN);
+      this.emit('data', packet.payload, packet.commandByte, packet.sequenceN, packet);
     }
 
     // Status response to SET command
-    if (
-      packet.commandByte === CommandType.STATUS &&
-      typeof this._setResolver === 'function'
-    ) {
-      this._setResolver(packet.payload);
+    if (packet.commandByte === CommandType.STATUS) {
+      const setSequenceN = this._findSetRequest(packet);
 
-      // Remove resolver
-      this._setResolver = undefined;
-      this._setResolveAllowGet = undefined;
-      delete this._resolvers[packet.sequenceN];
-      this._expectRefreshResponseForSequenceN = undefined;
-      return;
+      if (setSequenceN !== undefined) {
+        this._resolveSetRequest(setSequenceN, packet);
+        return;
+      }
     }
 
     // Status response to SET command which was used to GET data and returns DP_QUERY response
-    if (
-      packet.commandByte === CommandType.DP_QUERY &&
-      typeof this._setResolver === 'function' &&
-      this._setResolveAllowGet === true
-    ) {
-      this._setResolver(packet.payload);
+    if (packet.commandByte === CommandType.DP_QUERY) {
+      const setSequenceN = this._findSetRequest(packet, true);
 
-      // Remove resolver
-      this._setResolver = undefined;
-      this._setResolveAllowGet = undefined;
-      delete this._resolvers[packet.sequenceN];
-      this._expectRefreshResponseForSequenceN = undefined;
-      return;
+      if (setSequenceN !== undefined) {
+        this._resolveSetRequest(setSequenceN, packet);
+        return;
+      }
     }
 
     // Call data resolver for sequence number
     if (packet.sequenceN in this._resolvers) {
-      this._resolvers[packet.sequenceN](packet.payload);
+      this._resolvers[packet.sequenceN](packet.payload, packet);
 
       // Remove resolver
       delete this._resolvers[packet.sequenceN];
@@ -926,28 +1486,212 @@ class TuyaDevice extends EventEmitter {
     }
   }
 
+  /**
+   * Finds the pending set request a packet responds to:
+   * the one sent with the packet's sequence number, else the
+   * oldest one that set any of the DPS in the packet, else the
+   * oldest one. Packets of a sub-device only match requests
+   * sent to it.
+   * @private
+   * @param {Packet} packet packet received from device
+   * @param {Boolean} [getOnly=false] only consider set requests used to get data
+   * @returns {Number|undefined} sequence number of the set request
+   */
+  _findSetRequest(packet, getOnly = false) {
+    const cid = packet.payload && packet.payload.cid;
+    const candidates = [...this._setRequests.entries()]
+      .filter(([, request]) => !getOnly || request.allowGet === true)
+      .filter(([, request]) => !cid || !request.cid || request.cid === cid);
+
+    if (candidates.length === 0) {
+      return undefined;
+    }
+
+    const bySequenceN = candidates.find(([sequenceN]) => sequenceN === packet.sequenceN);
+
+    if (bySequenceN) {
+      return bySequenceN[0];
+    }
+
+    const dps = packet.payload && packet.payload.dps ? Object.keys(packet.payload.dps) : [];
+    const byDps = candidates.find(([, request]) => request.dps.some(key => dps.includes(key)));
+
+    return byDps ? byDps[0] : candidates[0][0];
+  }
+
+  /**
+   * Returns the error a device reported with the return code
+   * of a response. `get()` handles `json obj data unvalid`
+   * responses itself.
+   * @private
+   * @param {Packet} [packet] response packet
+   * @returns {TuyaDeviceError|null} error, `null` on success
+   */
+  _responseError(packet) {
+    if (!packet || !packet.returnCode || packet.payload === 'json obj data unvalid') {
+      return null;
+    }
+
+    const reason = typeof packet.payload === 'string' ? `: ${packet.payload}` : '.';
+
+    return new TuyaDeviceError(`Device responded with return code ${packet.returnCode}${reason}`, {
+      deviceId: this.device.id,
+      commandByte: packet.commandByte,
+      sequenceN: packet.sequenceN,
+      returnCode: packet.returnCode,
+      payload: packet.payload
+    });
+  }
+
+  /**
+   * Resolves a pending set request and removes its resolvers.
+   * @private
+   * @param {Number} sequenceN sequence number of the set request
+   * @param {Packet} packet response packet
+   */
+  _resolveSetRequest(sequenceN, packet) {
+    const request = this._setRequests.get(sequenceN);
+
+    this._setRequests.delete(sequenceN);
+    delete this._resolvers[sequenceN];
+    this._expectRefreshResponseForSequenceN = undefined;
+
+    request.resolve(packet.payload, packet);
+  }
+
   /**
    * Disconnects from the device, use to
    * close the socket and exit gracefully.
+   * Also stops any automatic reconnection.
    */
   disconnect() {
-    if (!this._connected) {
+    this.stopReconnecting();
+    this.stopWifiPolling();
+    this._disconnect();
+  }
+
+  /**
+   * Stops automatic reconnection. It is
+   * enabled again on the next call to `connect()`.
+   */
+  stopReconnecting() {
+    this._reconnectStopped = true;
+    this._reconnectAttempt = 0;
+
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+
+  /**
+   * Tears down the connection and, if enabled,
+   * schedules an automatic reconnect.
+   * @private
+   */
+  _handleConnectionLost() {
+    if (this.state === ConnectionState.CONNECTING || this.state === ConnectionState.NEGOTIATING) {
+      this._failConnect(new TuyaConnectionError('Socket closed before the connection was established.', {deviceId: this.device.id}));
+      return;
+    }
+
+    const wasReady = this.state === ConnectionState.READY;
+
+    this._disconnect();
+
+    if (wasReady) {
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * Schedules the next reconnect attempt
+   * using exponential backoff with jitter.
+   * @private
+   */
+  _scheduleReconnect() {
+    if (!this._reconnectOptions || this._reconnectStopped || this._reconnectTimeout) {
+      return;
+    }
+
+    const {maxAttempts, minDelay, maxDelay, factor, jitter} = this._reconnectOptions;
+
+    if (this._reconnectAttempt >= maxAttempts) {
+      debug(`Giving up reconnecting after ${this._reconnectAttempt} attempts`);
+      const attempts = this._reconnectAttempt;
+      this._reconnectAttempt = 0;
+
+      /**
+       * Emitted when automatic reconnection
+       * gave up after `maxAttempts` attempts.
+       * @event TuyaDevice#reconnect-failed
+       * @property {Number} attempts number of failed attempts
+       */
+      this.emit('reconnect-failed', attempts);
+      return;
+    }
+
+    const attempt = ++this._reconnectAttempt;
+    const backoff = Math.min(maxDelay, minDelay * (factor ** (attempt - 1)));
+    const delay = Math.max(0, backoff + (backoff * jitter * ((Math.random() * 2) - 1)));
+
+    debug(`Reconnecting in ${delay}s (attempt ${attempt})`);
+
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+
+      this.connect().catch(error => {
+        debug(`Reconnect attempt ${attempt} failed: ${error.message}`);
+        this._scheduleReconnect();
+      });
+    }, delay * 1000);
+
+    /**
+     * Emitted before each automatic reconnect attempt.
+     * @event TuyaDevice#reconnecting
+     * @property {Number} attempt number of this attempt, starting at 1
+     * @property {Number} delay seconds until the attempt is made
+     */
+    this.emit('reconnecting', attempt, delay);
+  }
+
+  /**
+   * Closes the socket and resets the connection state.
+   * @private
+   */
+  _disconnect() {
+    if (this.state !== ConnectionState.CONNECTING &&
+        this.state !== ConnectionState.NEGOTIATING &&
+        this.state !== ConnectionState.READY) {
       return;
     }
 
     debug('Disconnect');
 
-    this._connected = false;
+    const wasReady = this.state === ConnectionState.READY;
+    this._setState(ConnectionState.CLOSING);
+
     this.device.parser.cipher.setSessionKey(null);
 
     // Clear timeouts
     clearInterval(this._pingPongInterval);
     clearTimeout(this._pingPongTimeout);
+    this._pingPongTimeout = null;
 
     if (this.client) {
       this.client.destroy();
     }
 
+    // Abort a connection attempt that is still in progress
+    if (this.connectPromise) {
+      this.connectPromise.reject(new TuyaConnectionError('Disconnected before the connection was established.', {deviceId: this.device.id}));
+      delete this.connectPromise;
+    }
+
+    this._setState(ConnectionState.CLOSED);
+
+    if (!wasReady) {
+      return;
+    }
+
     /**
      * Emitted when a socket is disconnected
      * from device. Not an exclusive event:
@@ -965,7 +1709,7 @@ class TuyaDevice extends EventEmitter {
    * (`true` if connected, `false` otherwise.)
    */
   isConnected() {
-    return this._connected;
+    return this.state === ConnectionState.READY;
   }
 
   /**
@@ -985,15 +1729,37 @@ class TuyaDevice extends EventEmitter {
    * @param {Object} [options] Options object
    * @param {Boolean} [options.all]
    * true to return array of all found devices
+   * @param {Boolean} [options.active=false]
+   * true to ask devices to announce themselves instead of
+   * only waiting for their periodic broadcast
+   * @param {Array.<String>} [options.targets=['255.255.255.255']]
+   * with `active`, addresses or CIDR ranges (e.g. `'192.168.1.0/24'`)
+   * to send discovery requests to
+   * @param {Array.<Number>} [options.ports=[6666, 6667, 6669]]
+   * ports to listen for broadcasts on
+   * @param {String} [options.bindAddress]
+   * local address to listen on, all interfaces if omitted.
+   * On Linux, use an interface's broadcast address
+   * (e.g. `'192.168.1.255'`) to only listen on that network.
+   * @param {Array.<dgram.Socket>} [options.sockets]
+   * already bound sockets to listen on instead of `ports`,
+   * e.g. to share them with other code. They are not closed by `find()`.
+   * @param {AbortSignal} [options.signal]
+   * signal to stop searching with
    * @param {Number} [options.timeout=10]
    * how long, in seconds, to wait for device
    * to be resolved before timeout error is thrown
+   * (defaults to 3 with `active`)
    * @example
    * tuya.find().then(() => console.log('ready!'))
+   * @example
+   * // scan a subnet
+   * tuya.find({active: true, all: true, targets: ['192.168.1.0/24']})
+   *   .then(devices => console.log(devices))
    * @returns {Promise<Boolean|Array>}
    * true if ID/IP was found and device is ready to be used
    */
-  find({timeout = 10, all = false} = {}) {
+  find({active = false, targets, ports, bindAddress, sockets, signal, timeout = active ? 3 : 10, all = false} = {}) {
     if (isValidString(this.device.id) &&
         isValidString(this.device.ip)) {
       // Don't need to do anything
@@ -1001,38 +1767,44 @@ class TuyaDevice extends EventEmitter {
       return Promise.resolve(true);
     }
 
-    // Create new listeners
-    const listener = dgram.createSocket({type: 'udp4', reuseAddr: true});
-    listener.bind(6666);
+    if (active && targets) {
+      try {
+        expandTargets(targets);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
 
-    const listenerEncrypted = dgram.createSocket({type: 'udp4', reuseAddr: true});
-    listenerEncrypted.bind(6667);
+    let listener;
+    let probeInterval;
+    let closed = false;
+
+    const closeListeners = () => {
+      if (closed) {
+        return;
+      }
+
+      closed = true;
+      clearInterval(probeInterval);
+      listener.close();
+    };
 
     const broadcastHandler = (resolve, reject) => message => {
       debug('Received UDP message.');
 
-      const parser = new MessageParser({key: UDP_KEY, version: this.device.version});
-
       let dataRes;
       try {
-        dataRes = parser.parse(message)[0];
+        dataRes = decodeBroadcast(message, {key: this.device.key, version: this.device.version});
       } catch (error) {
-        debug(error);
-
-        const devParser = new MessageParser({key: this.device.key, version: this.device.version});
-        try {
-          dataRes = devParser.parse(message)[0];
-        } catch (devError) {
-          debug(devError);
-          reject(error);
-          return;
-        }
+        closeListeners();
+        reject(error);
+        return;
       }
 
       debug('UDP data:');
       debug(dataRes);
 
-      if (typeof dataRes.payload === 'string') {
+      if (typeof dataRes.payload === 'string' || Buffer.isBuffer(dataRes.payload)) {
         debug('Received string payload. Ignoring.');
         return;
       }
@@ -1056,32 +1828,15 @@ class TuyaDevice extends EventEmitter {
       if (!all &&
           (this.device.id === thisID || this.device.ip === thisIP) &&
           dataRes.payload) {
-        // Add IP
-        this.device.ip = dataRes.payload.ip;
-
-        // Add ID and gwID
-        this.device.id = dataRes.payload.gwId;
-        this.device.gwID = dataRes.payload.gwId;
-
-        // Change product key if necessary
-        this.device.productKey = dataRes.payload.productKey;
-
-        // Change protocol version if necessary
-        if (this.device.version !== dataRes.payload.version) {
-          this.device.version = dataRes.payload.version;
-
-          // Update the parser
-          this.device.parser = new MessageParser({
-            key: this.device.key,
-            version: this.device.version
-          });
-        }
+        this.updateDeviceInfo({
+          ip: dataRes.payload.ip,
+          id: dataRes.payload.gwId,
+          productKey: dataRes.payload.productKey,
+          version: dataRes.payload.version
+        });
 
         // Cleanup
-        listener.close();
-        listener.removeAllListeners();
-        listenerEncrypted.close();
-        listenerEncrypted.removeAllListeners();
+        closeListeners();
         resolve(true);
       }
     };
@@ -1089,24 +1844,35 @@ class TuyaDevice extends EventEmitter {
     debug(`Finding missing IP ${this.device.ip} or ID ${this.device.id}`);
 
     // Find IP for device
-    return pTimeout(new Promise((resolve, reject) => { // Timeout
-      listener.on('message', broadcastHandler(resolve, reject));
-
-      listener.on('error', err => {
-        reject(err);
+    const search = pTimeout(new Promise((resolve, reject) => { // Timeout
+      // Listens on 6666 for unencrypted broadcasts,
+      // 6667 for encrypted ones and 6669 for protocol 3.5
+      listener = listenForBroadcasts({
+        ports,
+        address: bindAddress,
+        sockets,
+        onMessage: broadcastHandler(resolve, reject),
+        onError: err => {
+          closeListeners();
+          reject(err);
+        }
       });
 
-      listenerEncrypted.on('message', broadcastHandler(resolve, reject));
+      // Ask devices to announce themselves once listening,
+      // repeated in case a request or answer is lost
+      if (active) {
+        const probe = () => sendDiscoveryRequest({targets}).catch(error => debug('Error sending discovery request', error));
 
-      listenerEncrypted.on('error', err => {
-        reject(err);
-      });
+        listener.ready.then(() => {
+          if (!closed) {
+            probe();
+            probeInterval = setInterval(probe, 1000);
+          }
+        });
+      }
     }), timeout * 1000, () => {
       // Have to do this so we exit cleanly
-      listener.close();
-      listener.removeAllListeners();
-      listenerEncrypted.close();
-      listenerEncrypted.removeAllListeners();
+      closeListeners();
 
       // Return all devices
       if (all) {
@@ -1114,27 +1880,281 @@ class TuyaDevice extends EventEmitter {
       }
 
       // Otherwise throw error
-      throw new Error('find() timed out. Is the device powered on and the ID or IP correct?');
+      throw new TuyaTimeoutError('find() timed out. Is the device powered on and the ID or IP correct?', {deviceId: this.device.id});
     });
+
+    return cancellable(search, {signal, onCancel: closeListeners});
+  }
+
+  /**
+   * Updates the address and protocol details of the device,
+   * e.g. from a discovery broadcast. Takes effect on the
+   * next connection.
+   * @param {Object} info Device information
+   * @param {String} [info.ip] IP of device
+   * @param {String} [info.id] ID of device, also used as gateway ID
+   * @param {String} [info.productKey] product key of device
+   * @param {String} [info.version] protocol version
+   * @returns {Boolean} `true` if IP or protocol version changed
+   */
+  updateDeviceInfo({ip, id, productKey, version} = {}) {
+    let changed = false;
+
+    if (ip && this.device.ip !== ip) {
+      this.device.ip = ip;
+      changed = true;
+    }
+
+    if (id) {
+      this.device.id = id;
+      this.device.gwID = id;
+    }
+
+    if (productKey) {
+      this.device.productKey = productKey;
+    }
+
+    // Change protocol version if necessary
+    if (version && this.device.version !== version.toString()) {
+      this.device.version = version.toString();
+
+      // Update the parser
+      this.device.parser = new MessageParser({
+        key: this.device.key,
+        version: this.device.version
+      });
+
+      changed = true;
+    }
+
+    return changed;
   }
 
   /**
    * Toggles a boolean property.
-   * @param {Number} [property=1] property to toggle
+   * @param {Number|String} [property=1] property to toggle, index or code
    * @returns {Promise<Boolean>} the resulting state
    */
   async toggle(property = '1') {
-    property = property.toString();
+    property = this._resolveDp(property);
 
     // Get status
-    const status = await this.get({dps: property});
+    const status = await this.get({dp: property});
 
     // Set to opposite
-    await this.set({set: !status, dps: property});
+    await this.set({set: !status, dp: property});
 
     // Return new status
-    return this.get({dps: property});
+    return this.get({dp: property});
+  }
+
+  /**
+   * Runs a scene stored on the device, e.g. on
+   * a scene controller or gateway. Protocol 3.4
+   * and 3.5 use `LAN_SCENE`, older ones `SCENE_EXECUTE`.
+   * @param {String|Number} sceneId ID of scene
+   * @param {Object} [options] Options object
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the response,
+   * defaults to 2.5 times the `responseTimeout` constructor option
+   * @param {Number} [options.retries]
+   * how often to retry sending, defaults to the `retries` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel the request with
+   * @example
+   * tuya.executeScene('a1b2c3d4e5f6').then(() => console.log('Scene running'))
+   * @returns {Promise<Boolean>} `true` once the device ran the scene
+   * @throws {TuyaDeviceError} if the device refused to run the scene
+   */
+  async executeScene(sceneId, {timeout = this._responseTimeout * 2.5, retries, signal} = {}) {
+    if (!isValidString(sceneId) && !Number.isInteger(sceneId)) {
+      throw new TypeError('Scene ID is missing or incorrect.');
+    }
+
+    const isNewProtocol = this.device.version === '3.4' || this.device.version === '3.5';
+    const t = Math.round(new Date().getTime() / 1000);
+
+    const payload = isNewProtocol ?
+      {data: {sceneId}, protocol: 5, t} :
+      {gwId: this.device.gwID, devId: this.device.id, uid: this.device.id, t: t.toString(), sceneId};
+
+    const commandByte = isNewProtocol ? CommandType.LAN_SCENE : CommandType.SCENE_EXECUTE;
+
+    const {buffer, request} = this._encodeRequest({
+      payload,
+      encrypted: true,
+      commandByte,
+      sequenceN: ++this._currentSequenceN
+    });
+
+    debug('SCENE Payload:');
+    debug(request.payload);
+
+    const data = await this._send(buffer, {timeout, retries, signal, request});
+
+    // Devices answer with an empty payload, or an error message
+    if (typeof data === 'string') {
+      throw new TuyaDeviceError(`Device could not run scene ${sceneId}: ${data}`, {
+        deviceId: this.device.id,
+        commandByte,
+        payload: data
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Queries the Wi-Fi connection of the device
+   * with `QUERY_WIFI`. Not every device supports it.
+   * @param {Object} [options] Options object
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the response,
+   * defaults to 2.5 times the `responseTimeout` constructor option
+   * @param {Number} [options.retries]
+   * how often to retry sending, defaults to the `retries` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel the request with
+   * @example
+   * tuya.queryWifi().then(({ssid, rssi}) => console.log(`${ssid}: ${rssi} dBm`))
+   * @returns {Promise<Object>} `ssid`, `rssi` in dBm and `channel`,
+   * as far as the device reports them
+   * @throws {TuyaUnsupportedError} if the device doesn't support the query
+   */
+  async queryWifi({timeout = this._responseTimeout * 2.5, retries, signal} = {}) {
+    const payload = {
+      gwId: this.device.gwID,
+      devId: this.device.id,
+      t: Math.round(new Date().getTime() / 1000).toString(),
+      uid: this.device.id
+    };
+
+    const commandByte = CommandType.QUERY_WIFI;
+    const sequenceN = ++this._currentSequenceN;
+
+    const {buffer, request} = this._encodeRequest({payload, commandByte, sequenceN});
+
+    let data;
+    try {
+      data = await this._send(buffer, {timeout, retries, signal, request});
+    } catch (error) {
+      // Devices refuse commands they don't know with a return code
+      if (error instanceof TuyaDeviceError) {
+        throw new TuyaUnsupportedError(`Device does not support Wi-Fi queries: ${error.message}`, {
+          deviceId: this.device.id,
+          commandByte,
+          sequenceN,
+          returnCode: error.returnCode,
+          payload: error.payload,
+          cause: error
+        });
+      }
+
+      throw error;
+    }
+
+    const wifi = this._decodeWifi(data);
+
+    if (!wifi) {
+      throw new TuyaUnsupportedError('Device does not support Wi-Fi queries, it answered without Wi-Fi details.', {
+        deviceId: this.device.id,
+        commandByte,
+        sequenceN,
+        payload: data
+      });
+    }
+
+    return wifi;
+  }
+
+  /**
+   * Reads the Wi-Fi details of a `QUERY_WIFI` response.
+   * @private
+   * @param {*} data response payload
+   * @returns {Object|null} `{ssid, rssi, channel}` with the
+   * reported ones, `null` if none were reported
+   */
+  _decodeWifi(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    const wifi = {};
+
+    // Numbers may be sent as strings, `null` and `''` aren't values
+    const number = (...values) => values
+      .filter(value => typeof value === 'number' || (isValidString(value) && value.trim() !== ''))
+      .map(Number)
+      .find(value => Number.isFinite(value));
+
+    if (isValidString(data.ssid)) {
+      wifi.ssid = data.ssid;
+    }
+
+    // Some firmware calls it the signal
+    const rssi = number(data.rssi, data.signal);
+
+    if (rssi !== undefined) {
+      wifi.rssi = rssi;
+    }
+
+    const channel = number(data.channel, data.ch);
+
+    if (Number.isInteger(channel)) {
+      wifi.channel = channel;
+    }
+
+    return Object.keys(wifi).length > 0 ? wifi : null;
+  }
+
+  /**
+   * Queries the Wi-Fi connection periodically while connected,
+   * see `queryWifi()`. Stops on `disconnect()`, or if the
+   * device doesn't support the query.
+   * @param {Object} [options] Options object
+   * @param {Number} [options.interval=60] seconds between queries
+   * @example
+   * tuya.on('wifi', ({rssi}) => console.log(`${rssi} dBm`));
+   * tuya.startWifiPolling({interval: 300});
+   */
+  startWifiPolling({interval = 60} = {}) {
+    this.stopWifiPolling();
+
+    const poll = () => {
+      if (!this.isConnected()) {
+        return;
+      }
+
+      this.queryWifi().then(wifi => {
+        /**
+         * Emitted with the result of every periodic Wi-Fi query.
+         * @event TuyaDevice#wifi
+         * @property {Object} wifi `ssid`, `rssi` and `channel`,
+         * as far as the device reports them
+         */
+        this.emit('wifi', wifi);
+      }).catch(error => {
+        if (error instanceof TuyaUnsupportedError) {
+          this.stopWifiPolling();
+        }
+
+        this.emit('error', error);
+      });
+    };
+
+    this._wifiPollInterval = setInterval(poll, interval * 1000);
+    poll();
+  }
+
+  /**
+   * Stops querying the Wi-Fi connection periodically.
+   */
+  stopWifiPolling() {
+    clearInterval(this._wifiPollInterval);
+    this._wifiPollInterval = null;
   }
 }
 
+TuyaDevice.ConnectionState = ConnectionState;
+
 module.exports = TuyaDevice;
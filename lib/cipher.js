@@ -1,10 +1,14 @@
 const crypto = require('crypto');
+const {TuyaDecryptError} = require('./errors');
+
 /**
 * Low-level class for encrypting and decrypting payloads.
 * @class
 * @param {Object} options - Options for the cipher.
 * @param {String} options.key localKey of cipher
 * @param {Number} options.version protocol version
+* @param {Boolean} [options.asDevice=false] decrypt payloads sent to
+* a device, which don't start with a return code
 * @example
 * const cipher = new TuyaCipher({key: 'xxxxxxxxxxxxxxxx', version: 3.1})
 */
@@ -13,6 +17,7 @@ class TuyaCipher {
     this.sessionKey = null;
     this.key = options.key;
     this.version = options.version.toString();
+    this.asDevice = Boolean(options.asDevice);
   }
 
   /**
@@ -161,8 +166,8 @@ class TuyaCipher {
       const decipher = crypto.createDecipheriv('aes-128-ecb', this.getKey(), '');
       result = decipher.update(data, format, 'utf8');
       result += decipher.final('utf8');
-    } catch (_) {
-      throw new Error('Decrypt failed');
+    } catch (error) {
+      throw new TuyaDecryptError('Decrypt failed', {cause: error});
     }
 
     // Try to parse data as JSON,
@@ -189,8 +194,8 @@ class TuyaCipher {
       decipher.final();
       // Remove padding
       result = result.slice(0, (result.length - result[result.length - 1]));
-    } catch (_) {
-      throw new Error('Decrypt failed');
+    } catch (error) {
+      throw new TuyaDecryptError('Decrypt failed', {cause: error});
     }
 
     // Try to parse data as JSON,
@@ -222,7 +227,19 @@ class TuyaCipher {
    * returns object if data is JSON, else returns string
    */
   _decrypt35(data) {
+    return this._decrypt35WithReturnCode(data).payload;
+  }
+
+  /**
+   * Decrypts data for protocol 3.5, also returning the return
+   * code that precedes the payload of messages from devices.
+   * @param {String|Buffer} data to decrypt
+   * @returns {Object} `{payload, returnCode}`, the return code
+   * is undefined if the data doesn't start with one
+   */
+  _decrypt35WithReturnCode(data) {
     let result;
+    let returnCode;
     const header = data.slice(0, 14);
     const iv = data.slice(14, 26);
     const tag = data.slice(data.length - 16);
@@ -234,9 +251,14 @@ class TuyaCipher {
       decipher.setAAD(header);
 
       result = Buffer.concat([decipher.update(data), decipher.final()]);
-      result = result.slice(4); // Remove 32bit return code
-    } catch (_) {
-      throw new Error('Decrypt failed');
+
+      // Remove 32bit return code, discovery broadcasts start with the JSON payload instead
+      if (!this.asDevice && result[0] !== 0x7B) {
+        returnCode = result.length >= 4 ? result.readUInt32BE(0) : undefined;
+        result = result.slice(4);
+      }
+    } catch (error) {
+      throw new TuyaDecryptError('Decrypt failed', {cause: error});
     }
 
     // Try to parse data as JSON, otherwise return as string.
@@ -251,12 +273,12 @@ class TuyaCipher {
       if ('data' in res) {
         const resData = res.data;
         resData.t = res.t;
-        return resData; // Or res.data // for compatibility with tuya-mqtt
+        return {payload: resData, returnCode}; // Or res.data // for compatibility with tuya-mqtt
       }
 
-      return res;
+      return {payload: res, returnCode};
     } catch (_) {
-      return result;
+      return {payload: result, returnCode};
     }
   }
 
@@ -294,5 +316,22 @@ class TuyaCipher {
   random() {
     return crypto.randomBytes(16);
   }
+
+  /**
+   * Derives the session key of protocol 3.4, 3.5 from the nonces
+   * exchanged during negotiation. Call before setting a session key.
+   * @param {Buffer} localNonce nonce sent by the client
+   * @param {Buffer} remoteNonce nonce sent by the device
+   * @returns {Buffer} session key
+   */
+  deriveSessionKey(localNonce, remoteNonce) {
+    const sessionKey = Buffer.from(localNonce.map((byte, i) => byte ^ remoteNonce[i]));
+
+    if (this.version === '3.4') {
+      return this._encrypt34({data: sessionKey});
+    }
+
+    return this._encrypt35({data: sessionKey, iv: localNonce});
+  }
 }
 module.exports = TuyaCipher;
@@ -0,0 +1,470 @@
+const fs = require('fs');
+
+const TuyaDevice = require('..');
+const {DiscoveryListener} = require('./discovery');
+const {decodeHex, decodeCaptureFile, formatTranscript} = require('./decoder');
+
+const USAGE = `Usage: tuyapi <command> [options]
+
+Commands:
+  discover              list devices broadcasting on the network
+  get [dps]             print every DPS, or the value of one
+  set <dps>=<value>...  set one or more DPS, values are parsed as JSON if possible
+  refresh               ask the device to refresh its DPS and print them
+  toggle [dps]          toggle a boolean DPS, 1 if omitted
+  monitor               print data reported by the device until interrupted
+  decode <hex|file>     decode frames given as hex, or a pcap/pcapng capture
+
+Device options:
+  --id <id>             device ID (env TUYA_ID)
+  --key <key>           device localKey (env TUYA_KEY)
+  --ip <ip>             device IP, found by its broadcasts if omitted (env TUYA_IP)
+  --version <version>   protocol version (env TUYA_VERSION)
+  --port <port>         device port (env TUYA_PORT)
+  --config <file>       JSON file with the options above (env TUYA_CONFIG)
+  --device <name>       name or ID of the device to use from a config
+                        file listing several (env TUYA_DEVICE)
+
+Decode options:
+  --key <key>           local key to try, may be given several times
+  --request             decode hex of frames sent to the device instead of by it
+  --session-key <hex>   session key of a 3.4/3.5 connection, to decode hex
+                        captured after negotiation
+
+Other options:
+  --json                print JSON, one object per line for discover, monitor
+                        and decode
+  --timeout <seconds>   how long to wait for a response, or for broadcasts
+  --help                print this help
+`;
+
+const BOOLEAN_OPTIONS = new Set(['json', 'request', 'help']);
+
+/**
+ * Thrown for invalid command lines.
+ * @class
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Splits command line arguments into command,
+ * positional arguments and options. Options
+ * given several times are collected in an array.
+ * @param {Array.<String>} argv arguments, without node and script
+ * @returns {Object} `{command, args, options}`
+ * @example
+ * parseArgs(['get', '1', '--ip', '192.168.1.10'])
+ * // {command: 'get', args: ['1'], options: {ip: '192.168.1.10'}}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    let value = separator === -1 ? undefined : arg.slice(separator + 1);
+
+    if (BOOLEAN_OPTIONS.has(name)) {
+      options[name] = value === undefined || value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+    }
+
+    if (value === undefined) {
+      throw new UsageError(`Missing value for --${name}.`);
+    }
+
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+  }
+
+  const [command, ...args] = positionals;
+
+  return {command, args, options};
+}
+
+/**
+ * Collects the device options from flags, environment
+ * variables and a config file, in that order of precedence.
+ * @private
+ * @param {Object} options parsed options
+ * @param {Object} env environment variables
+ * @returns {Object} `{id, key, ip, version, port}`
+ */
+function resolveDevice(options, env) {
+  let config = {};
+  const file = options.config || env.TUYA_CONFIG;
+
+  if (file) {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    // Config files can also list several devices
+    const devices = Array.isArray(config) ? config : config.devices;
+
+    if (devices) {
+      const name = options.device || env.TUYA_DEVICE;
+
+      if (name) {
+        config = devices.find(device => device.name === name || device.id === name);
+      } else if (devices.length === 1) {
+        config = devices[0];
+      } else {
+        throw new UsageError(`${file} lists several devices, choose one with --device.`);
+      }
+
+      if (!config) {
+        throw new UsageError(`${file} has no device ${name}.`);
+      }
+    }
+  }
+
+  const pick = (option, variable) => {
+    if (options[option] !== undefined) {
+      return options[option];
+    }
+
+    return env[variable] === undefined ? config[option] : env[variable];
+  };
+
+  const port = pick('port', 'TUYA_PORT');
+
+  return {
+    id: pick('id', 'TUYA_ID'),
+    key: pick('key', 'TUYA_KEY'),
+    ip: pick('ip', 'TUYA_IP'),
+    version: pick('version', 'TUYA_VERSION'),
+    port: port === undefined ? undefined : Number(port)
+  };
+}
+
+/**
+ * Parses a command line value as JSON, falling back to a string.
+ * @private
+ * @param {String} value value to parse
+ * @returns {*} parsed value
+ */
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+/**
+ * Makes a value JSON friendly, encoding buffers as hex.
+ * @private
+ * @param {*} value value to convert
+ * @returns {*} converted value
+ */
+function toPlain(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex');
+  }
+
+  return value;
+}
+
+/**
+ * Writes a result, as JSON or readable text.
+ * @private
+ * @param {stream.Writable} stdout stream to write to
+ * @param {Boolean} json `true` to write JSON
+ * @param {*} value value to write
+ */
+function print(stdout, json, value) {
+  if (json) {
+    stdout.write(JSON.stringify(value) + '\n');
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      const item = value[key];
+      stdout.write(`${key}: ${typeof item === 'string' ? item : JSON.stringify(item)}\n`);
+    });
+  } else {
+    stdout.write(`${value}\n`);
+  }
+}
+
+/**
+ * Creates a device from the resolved options and
+ * finds its IP if it wasn't given.
+ * @private
+ * @param {Object} options parsed options
+ * @param {Object} env environment variables
+ * @param {Object} [deviceOptions] further options for `TuyaDevice`
+ * @returns {Promise<TuyaDevice>} device, not connected yet
+ */
+async function openDevice(options, env, deviceOptions = {}) {
+  const {id, key, ip, version, port} = resolveDevice(options, env);
+
+  if (!key || (!id && !ip)) {
+    throw new UsageError('A device key and an ID or IP are required.');
+  }
+
+  const repeated = Object.keys(options).find(name => Array.isArray(options[name]));
+
+  if (repeated) {
+    throw new UsageError(`--${repeated} can only be given once.`);
+  }
+
+  const device = new TuyaDevice({id, key, ip, version, port, issueGetOnConnect: false, ...deviceOptions});
+
+  // Failures also reject the pending call, which reports them
+  device.on('error', () => {});
+
+  if (!ip) {
+    await device.find({timeout: options.timeout ? Number(options.timeout) : 10});
+  }
+
+  return device;
+}
+
+/**
+ * Runs a command against a device, disconnecting afterwards.
+ * @private
+ * @param {Object} context command context
+ * @param {Function} fn called with the connected device
+ * @returns {Promise} resolves once done
+ */
+async function withDevice({options, env}, fn) {
+  const device = await openDevice(options, env);
+
+  try {
+    await device.connect();
+    return await fn(device);
+  } finally {
+    device.disconnect();
+  }
+}
+
+const commands = {
+  discover({options, stdout}) {
+    const listener = new DiscoveryListener();
+    const seen = new Set();
+
+    listener.on('broadcast', ({id, ip, version, productKey}) => {
+      if (seen.has(id)) {
+        return;
+      }
+
+      seen.add(id);
+
+      if (options.json) {
+        print(stdout, true, {id, ip, version, productKey});
+      } else {
+        stdout.write(`${id}  ${ip}  ${version || '?'}  ${productKey || ''}\n`);
+      }
+    });
+
+    const timeout = options.timeout ? Number(options.timeout) : 10;
+
+    return listener.start().then(() => new Promise(resolve => setTimeout(resolve, timeout * 1000))).then(() => {
+      listener.stop();
+    });
+  },
+
+  get(context) {
+    const {args, options, stdout} = context;
+
+    return withDevice(context, async device => {
+      const data = await device.get({schema: true, timeout: context.timeout});
+      const dps = data && data.dps;
+
+      print(stdout, options.json, args[0] === undefined ? dps : toPlain(dps && dps[args[0]]));
+    });
+  },
+
+  set(context) {
+    const {args, options, stdout} = context;
+
+    if (args.length === 0) {
+      throw new UsageError('Give DPS to set as <dps>=<value>.');
+    }
+
+    const data = {};
+
+    args.forEach(pair => {
+      const separator = pair.indexOf('=');
+
+      if (separator < 1) {
+        throw new UsageError(`Expected <dps>=<value>, got ${pair}.`);
+      }
+
+      data[pair.slice(0, separator)] = parseValue(pair.slice(separator + 1));
+    });
+
+    return withDevice(context, async device => {
+      const result = await device.set({multiple: true, data, timeout: context.timeout});
+
+      print(stdout, options.json, (result && result.dps) || data);
+    });
+  },
+
+  refresh(context) {
+    const {options, stdout} = context;
+
+    return withDevice(context, async device => {
+      print(stdout, options.json, await device.refresh({timeout: context.timeout}));
+    });
+  },
+
+  toggle(context) {
+    const {args, options, stdout} = context;
+
+    return withDevice(context, async device => {
+      print(stdout, options.json, await device.toggle(args[0]));
+    });
+  },
+
+  async monitor({options, env, stdout, stderr, signal}) {
+    const device = await openDevice(options, env, {autoReconnect: true});
+
+    const report = event => data => {
+      if (options.json) {
+        print(stdout, true, {event, time: new Date().toISOString(), ...data});
+      } else {
+        stdout.write(`${new Date().toISOString()} ${event} ${JSON.stringify(data.dps || data)}\n`);
+      }
+    };
+
+    device.on('data', report('data'));
+    device.on('dp-refresh', report('dp-refresh'));
+    device.on('reconnecting', attempt => stderr.write(`Connection lost, reconnecting (attempt ${attempt})...\n`));
+    device.on('error', error => stderr.write(`Error: ${error.message}\n`));
+
+    await device.connect();
+
+    // Report the current state first
+    await device.get({schema: true}).catch(() => {});
+
+    await new Promise(resolve => {
+      if (!signal) {
+        return;
+      }
+
+      if (signal.aborted) {
+        resolve();
+      } else {
+        signal.addEventListener('abort', resolve, {once: true});
+      }
+    });
+
+    device.disconnect();
+  },
+
+  async decode({args, options, env, stdout}) {
+    if (!args[0]) {
+      throw new UsageError('Give frames as hex, or a capture file.');
+    }
+
+    const {key, version, port} = resolveDevice(options, env);
+    const keys = [].concat(key || []);
+
+    let entries;
+
+    if (fs.existsSync(args[0])) {
+      entries = await decodeCaptureFile(args[0], {keys, version, port});
+    } else {
+      entries = decodeHex(args[0], {
+        keys,
+        version,
+        direction: options.request ? 'to-device' : 'from-device',
+        sessionKey: options['session-key']
+      });
+    }
+
+    if (entries.length === 0) {
+      throw new Error('No complete frames found.');
+    }
+
+    if (!options.json) {
+      stdout.write(formatTranscript(entries));
+      return;
+    }
+
+    entries.forEach(entry => {
+      print(stdout, true, {
+        ...entry,
+        time: entry.time && entry.time.toISOString(),
+        payload: toPlain(entry.payload),
+        sessionKey: toPlain(entry.sessionKey)
+      });
+    });
+  }
+};
+
+/**
+ * Runs the command line tool.
+ * @param {Array.<String>} argv arguments, without node and script
+ * @param {Object} [io] Streams and environment
+ * @param {stream.Writable} [io.stdout=process.stdout] stream for results
+ * @param {stream.Writable} [io.stderr=process.stderr] stream for errors
+ * @param {Object} [io.env=process.env] environment variables
+ * @param {AbortSignal} [io.signal] stops `monitor`
+ * @returns {Promise<Number>} exit code
+ * @example
+ * run(['get', '1', '--id', 'xxxxxxxxxxxxxxxxxxxx', '--key', 'xxxxxxxxxxxxxxxx'])
+ */
+async function run(argv, {stdout = process.stdout, stderr = process.stderr, env = process.env, signal} = {}) {
+  let parsed;
+
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const {command, args, options} = parsed;
+
+  if (options.help || !command) {
+    (options.help ? stdout : stderr).write(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    stderr.write(`Unknown command: ${command}.\n\n${USAGE}`);
+    return 2;
+  }
+
+  const timeout = options.timeout ? Number(options.timeout) : 5;
+
+  try {
+    await commands[command]({args, options, env, stdout, stderr, signal, timeout});
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    if (options.json) {
+      stderr.write(JSON.stringify({error: error.message, code: error.code}) + '\n');
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+    }
+
+    return 1;
+  }
+}
+
+// Commands that stop cleanly when `signal` of `run()` is aborted
+const CANCELLABLE_COMMANDS = ['monitor'];
+
+module.exports = {run, parseArgs, CANCELLABLE_COMMANDS};
@@ -0,0 +1,426 @@
+// Encoders and decoders for the data of light DPs. Colours are
+// given as `{h, s, v}`, with hue from 0 to 360 and saturation and
+// value from 0 to 100, or as `{r, g, b}` from 0 to 255. Brightness
+// and colour temperature of scenes are percentages.
+
+// Change modes of scene units and music
+const SCENE_MODES = ['static', 'jump', 'gradient'];
+const MUSIC_MODES = ['jump', 'gradient'];
+
+/**
+ * Checks that a number is within a range.
+ * @private
+ * @param {String} name name of value, for errors
+ * @param {*} value value to check
+ * @param {Number} max largest valid value
+ */
+function checkRange(name, value, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new TypeError(`Expected ${name} to be a number, got ${JSON.stringify(value)}.`);
+  }
+
+  if (value < 0 || value > max) {
+    throw new RangeError(`Expected ${name} from 0 to ${max}, got ${value}.`);
+  }
+}
+
+/**
+ * Formats a number as hex of the given length.
+ * @private
+ * @param {Number} value value
+ * @param {Number} length number of characters
+ * @returns {String} hex
+ */
+function hex(value, length) {
+  return Math.round(value).toString(16).padStart(length, '0');
+}
+
+/**
+ * Reads hex of the given length from colour data.
+ * @private
+ * @param {String} data hex data
+ * @param {Number} start index of first character
+ * @param {Number} length number of characters
+ * @returns {Number} value
+ */
+function readHex(data, start, length) {
+  return parseInt(data.slice(start, start + length), 16);
+}
+
+/**
+ * Checks that data is hex of the given length.
+ * @private
+ * @param {String} data data to check
+ * @param {Number} length expected length
+ * @param {String} name name of format, for errors
+ */
+function checkHex(data, length, name) {
+  if (typeof data !== 'string' || data.length !== length || !/^[\da-f]*$/i.test(data)) {
+    throw new TypeError(`Expected ${name} of ${length} hex characters, got ${JSON.stringify(data)}.`);
+  }
+}
+
+/**
+ * Converts a colour from HSV to RGB.
+ * @param {Object} colour `{h, s, v}`
+ * @returns {Object} `{r, g, b}`
+ * @example
+ * hsvToRgb({h: 120, s: 100, v: 100});
+ * // {r: 0, g: 255, b: 0}
+ */
+function hsvToRgb({h, s, v}) {
+  checkRange('hue', h, 360);
+  checkRange('saturation', s, 100);
+  checkRange('value', v, 100);
+
+  const chroma = (v / 100) * (s / 100);
+  const x = chroma * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = (v / 100) - chroma;
+  const [r, g, b] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x]
+  ][Math.floor(h / 60) % 6];
+
+  return {r: Math.round((r + m) * 255), g: Math.round((g + m) * 255), b: Math.round((b + m) * 255)};
+}
+
+/**
+ * Converts a colour from RGB to HSV.
+ * @param {Object} colour `{r, g, b}`
+ * @returns {Object} `{h, s, v}`, hue rounded to degrees
+ * and saturation and value to tenths
+ * @example
+ * rgbToHsv({r: 255, g: 0, b: 0});
+ * // {h: 0, s: 100, v: 100}
+ */
+function rgbToHsv({r, g, b}) {
+  checkRange('red', r, 255);
+  checkRange('green', g, 255);
+  checkRange('blue', b, 255);
+
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let h = 0;
+
+  if (delta > 0 && max === r) {
+    h = 60 * (((g - b) / delta) + 6);
+  } else if (delta > 0 && max === g) {
+    h = 60 * (((b - r) / delta) + 2);
+  } else if (delta > 0) {
+    h = 60 * (((r - g) / delta) + 4);
+  }
+
+  return {
+    h: Math.round(h) % 360,
+    s: max === 0 ? 0 : Math.round(delta / max * 1000) / 10,
+    v: Math.round(max / 255 * 1000) / 10
+  };
+}
+
+/**
+ * Returns a colour as HSV.
+ * @private
+ * @param {Object} colour `{h, s, v}` or `{r, g, b}`
+ * @returns {Object} `{h, s, v}`
+ */
+function toHsv(colour) {
+  if (!colour || typeof colour !== 'object') {
+    throw new TypeError(`Expected a colour as {h, s, v} or {r, g, b}, got ${JSON.stringify(colour)}.`);
+  }
+
+  if ('r' in colour || 'g' in colour || 'b' in colour) {
+    return rgbToHsv(colour);
+  }
+
+  checkRange('hue', colour.h, 360);
+  checkRange('saturation', colour.s, 100);
+  checkRange('value', colour.v, 100);
+
+  return colour;
+}
+
+/**
+ * Encodes HSV as 12 hex characters, with
+ * saturation and value from 0 to 1000.
+ * @private
+ * @param {Object} colour `{h, s, v}`
+ * @returns {String} hex
+ */
+function hsvHex({h, s, v}) {
+  return hex(h, 4) + hex(s * 10, 4) + hex(v * 10, 4);
+}
+
+/**
+ * Decodes HSV of 12 hex characters.
+ * @private
+ * @param {String} data hex data
+ * @param {Number} start index of first character
+ * @returns {Object} `{h, s, v}`
+ */
+function readHsv(data, start) {
+  return {
+    h: readHex(data, start, 4),
+    s: readHex(data, start + 4, 4) / 10,
+    v: readHex(data, start + 8, 4) / 10
+  };
+}
+
+/**
+ * Encodes a colour as `hhhhssssvvvv`, the format of
+ * `colour_data_v2`.
+ * @param {Object} colour `{h, s, v}` or `{r, g, b}`
+ * @returns {String} colour data
+ * @example
+ * encodeColour({h: 240, s: 50, v: 100});
+ * // '00f001f403e8'
+ */
+function encodeColour(colour) {
+  return hsvHex(toHsv(colour));
+}
+
+/**
+ * Encodes a colour as `rrggbbhhhhssvv`, the format
+ * of `colour_data` of older bulbs.
+ * @param {Object} colour `{h, s, v}` or `{r, g, b}`
+ * @returns {String} colour data
+ * @example
+ * encodeLegacyColour({r: 0, g: 255, b: 0});
+ * // '00ff000078ffff'
+ */
+function encodeLegacyColour(colour) {
+  const hsv = toHsv(colour);
+  const {r, g, b} = 'r' in colour ? colour : hsvToRgb(hsv);
+
+  return hex(r, 2) + hex(g, 2) + hex(b, 2) + hex(hsv.h, 4) + hex(hsv.s * 2.55, 2) + hex(hsv.v * 2.55, 2);
+}
+
+/**
+ * Decodes colour data of either format.
+ * @param {String} data `hhhhssssvvvv` or `rrggbbhhhhssvv`
+ * @returns {Object} `{h, s, v}`
+ * @throws {TypeError} for data of neither format
+ */
+function decodeColour(data) {
+  if (typeof data === 'string' && data.length === 14) {
+    checkHex(data, 14, 'colour data');
+
+    return {
+      h: readHex(data, 6, 4),
+      s: Math.round(readHex(data, 10, 2) / 2.55),
+      v: Math.round(readHex(data, 12, 2) / 2.55)
+    };
+  }
+
+  checkHex(data, 12, 'colour data');
+
+  return readHsv(data, 0);
+}
+
+/**
+ * Converts a colour temperature in kelvin to the
+ * value of a colour temperature DP, from the warmest
+ * to the coldest the bulb supports.
+ * @param {Number} kelvin colour temperature
+ * @param {Object} [options] Options object
+ * @param {Number} [options.warmest=2700] warmest colour temperature of the bulb
+ * @param {Number} [options.coldest=6500] coldest colour temperature of the bulb
+ * @param {Number} [options.max=1000] value of the coldest colour
+ * temperature, `255` for older bulbs
+ * @returns {Number} value, clamped to the range of the bulb
+ * @example
+ * encodeColourTemperature(4600);
+ * // 500
+ */
+function encodeColourTemperature(kelvin, {warmest = 2700, coldest = 6500, max = 1000} = {}) {
+  if (typeof kelvin !== 'number' || !Number.isFinite(kelvin)) {
+    throw new TypeError(`Expected a colour temperature in kelvin, got ${JSON.stringify(kelvin)}.`);
+  }
+
+  const fraction = Math.min(Math.max((kelvin - warmest) / (coldest - warmest), 0), 1);
+
+  return Math.round(fraction * max);
+}
+
+/**
+ * Converts the value of a colour temperature DP to kelvin,
+ * see `encodeColourTemperature()`.
+ * @param {Number} value value of DP
+ * @param {Object} [options] see `encodeColourTemperature()`
+ * @returns {Number} colour temperature, in kelvin
+ */
+function decodeColourTemperature(value, {warmest = 2700, coldest = 6500, max = 1000} = {}) {
+  return Math.round(warmest + ((coldest - warmest) * value / max));
+}
+
+/**
+ * Scene of a bulb.
+ * @typedef {Object} Scene
+ * @property {Number} scene number of scene, 0 to 255
+ * @property {Array.<SceneUnit>} units steps the scene goes through
+ */
+
+/**
+ * Step of a scene, either a colour or white.
+ * @typedef {Object} SceneUnit
+ * @property {String} [mode='static'] `static`, `jump` or `gradient`
+ * @property {Number} [switchDuration=0] time until the next unit, 0 to 100
+ * @property {Number} [gradientDuration=0] time to fade to the next unit, 0 to 100
+ * @property {Object} [colour] colour, as `{h, s, v}` or `{r, g, b}`
+ * @property {Number} [brightness=0] brightness of white, 0 to 100
+ * @property {Number} [temperature=0] colour temperature of white, 0 to 100
+ */
+
+/**
+ * Checks a mode of a scene unit or music.
+ * @private
+ * @param {String} mode mode
+ * @param {Array.<String>} modes valid modes
+ * @returns {Number} index of mode
+ */
+function modeIndex(mode, modes) {
+  const index = modes.indexOf(mode);
+
+  if (index === -1) {
+    throw new RangeError(`Expected a mode of ${modes.join(', ')}, got ${mode}.`);
+  }
+
+  return index;
+}
+
+/**
+ * Encodes colour and white of a scene unit or music.
+ * @private
+ * @param {Object} unit scene unit or music
+ * @returns {String} hex of HSV, brightness and temperature
+ */
+function encodeLight({colour, brightness = 0, temperature = 0}) {
+  checkRange('brightness', brightness, 100);
+  checkRange('temperature', temperature, 100);
+
+  const hsv = colour ? toHsv(colour) : {h: 0, s: 0, v: 0};
+
+  return hsvHex(hsv) + hex(brightness * 10, 4) + hex(temperature * 10, 4);
+}
+
+/**
+ * Decodes colour and white of a scene unit or music.
+ * @private
+ * @param {String} data hex data
+ * @param {Number} start index of first character
+ * @returns {Object} `{colour, brightness, temperature}`
+ */
+function decodeLight(data, start) {
+  return {
+    colour: readHsv(data, start),
+    brightness: readHex(data, start + 12, 4) / 10,
+    temperature: readHex(data, start + 16, 4) / 10
+  };
+}
+
+/**
+ * Encodes a scene in the format of `scene_data_v2`.
+ * @param {Scene} scene scene
+ * @returns {String} scene data
+ * @example
+ * encodeScene({scene: 4, units: [
+ *   {mode: 'gradient', switchDuration: 50, gradientDuration: 50, colour: {h: 0, s: 100, v: 100}},
+ *   {mode: 'gradient', switchDuration: 50, gradientDuration: 50, colour: {h: 240, s: 100, v: 100}}
+ * ]});
+ */
+function encodeScene({scene, units} = {}) {
+  checkRange('scene', scene, 255);
+
+  if (!Array.isArray(units) || units.length === 0 || units.length > 8) {
+    throw new TypeError('Expected a scene with 1 to 8 units.');
+  }
+
+  return hex(scene, 2) + units.map(unit => {
+    const {mode = 'static', switchDuration = 0, gradientDuration = 0} = unit;
+
+    checkRange('switch duration', switchDuration, 100);
+    checkRange('gradient duration', gradientDuration, 100);
+
+    return hex(switchDuration, 2) + hex(gradientDuration, 2) + hex(modeIndex(mode, SCENE_MODES), 2) + encodeLight(unit);
+  }).join('');
+}
+
+/**
+ * Decodes scene data, see `encodeScene()`.
+ * @param {String} data scene data
+ * @returns {Scene} scene
+ */
+function decodeScene(data) {
+  if (typeof data !== 'string' || data.length < 28 || (data.length - 2) % 26 !== 0 || !/^[\da-f]*$/i.test(data)) {
+    throw new TypeError(`Expected scene data of 2 hex characters and units of 26, got ${JSON.stringify(data)}.`);
+  }
+
+  const units = [];
+
+  for (let start = 2; start < data.length; start += 26) {
+    units.push({
+      mode: SCENE_MODES[readHex(data, start + 4, 2)],
+      switchDuration: readHex(data, start, 2),
+      gradientDuration: readHex(data, start + 2, 2),
+      ...decodeLight(data, start + 6)
+    });
+  }
+
+  return {scene: readHex(data, 0, 2), units};
+}
+
+/**
+ * Encodes light for music mode, in the format of `music_data`.
+ * @param {Object} music Music object
+ * @param {String} [music.mode='jump'] `jump` or `gradient`
+ * @param {Object} [music.colour] colour, as `{h, s, v}` or `{r, g, b}`
+ * @param {Number} [music.brightness=0] brightness of white, 0 to 100
+ * @param {Number} [music.temperature=0] colour temperature of white, 0 to 100
+ * @returns {String} music data
+ */
+function encodeMusic(music = {}) {
+  const {mode = 'jump'} = music;
+
+  return String(modeIndex(mode, MUSIC_MODES)) + encodeLight(music);
+}
+
+/**
+ * Decodes music data, see `encodeMusic()`.
+ * @param {String} data music data
+ * @returns {Object} `{mode, colour, brightness, temperature}`
+ */
+function decodeMusic(data) {
+  checkHex(data, 21, 'music data');
+
+  return {mode: MUSIC_MODES[readHex(data, 0, 1)], ...decodeLight(data, 1)};
+}
+
+/**
+ * Encoders and decoders of the formats of string
+ * DPs, by the `format` of their definition.
+ * @private
+ */
+const FORMATS = {
+  colour: {encode: encodeColour, decode: decodeColour},
+  'colour-legacy': {encode: encodeLegacyColour, decode: decodeColour},
+  scene: {encode: encodeScene, decode: decodeScene},
+  music: {encode: encodeMusic, decode: decodeMusic}
+};
+
+module.exports = {
+  FORMATS,
+  hsvToRgb,
+  rgbToHsv,
+  encodeColour,
+  encodeLegacyColour,
+  decodeColour,
+  encodeColourTemperature,
+  decodeColourTemperature,
+  encodeScene,
+  decodeScene,
+  encodeMusic,
+  decodeMusic
+};
@@ -0,0 +1,796 @@
+const fs = require('fs');
+
+const {MessageParser, CommandType} = require('./message-parser');
+const {decodeBroadcast} = require('./discovery');
+
+// Ports devices broadcast on, and the port of discovery requests
+const BROADCAST_PORTS = [6666, 6667, 6669, 7000];
+
+// Tried in this order when the version isn't given,
+// 0x6699 frames are always protocol 3.5
+const VERSIONS = ['3.5', '3.4', '3.3', '3.1'];
+
+// Header length, and offset of the EtherType in it, of supported link layers
+const LINK_LAYERS = {
+  // BSD loopback, the address family is checked with the IP version
+  0: {length: 4},
+  // Ethernet, possibly with VLAN tags
+  1: {length: 14, etherType: 12},
+  // Raw IP
+  12: {length: 0},
+  101: {length: 0},
+  // OpenBSD loopback
+  108: {length: 4},
+  // Linux cooked capture
+  113: {length: 16, etherType: 14},
+  // Raw IPv4 and IPv6
+  228: {length: 0},
+  229: {length: 0},
+  // Linux cooked capture v2
+  276: {length: 20, etherType: 0}
+};
+
+// Names of command bytes, later names win for bytes with several
+const COMMAND_NAMES = {};
+Object.keys(CommandType).forEach(name => {
+  COMMAND_NAMES[CommandType[name]] = name;
+});
+
+/**
+ * Returns the name of a command byte.
+ * @param {Number} commandByte command byte of a packet
+ * @returns {String} name from `CommandType`, or `UNKNOWN`
+ */
+function commandName(commandByte) {
+  return COMMAND_NAMES[commandByte] || 'UNKNOWN';
+}
+
+/**
+ * A decoded frame.
+ * @typedef {Object} TranscriptEntry
+ * @property {Date} [time] capture time, for frames read from a capture
+ * @property {String} [source] sender as `ip:port`, for frames read from a capture
+ * @property {String} [destination] receiver as `ip:port`, for frames read from a capture
+ * @property {String} direction `to-device`, `from-device` or `broadcast`
+ * @property {Number} sequenceN
+ * @property {Number} commandByte
+ * @property {String} command name of the command byte
+ * @property {Number} [returnCode] return code of frames sent by the device
+ * @property {String} [version] protocol version the frame was decoded with
+ * @property {Object|String|Buffer|Boolean} payload decrypted payload,
+ * `false` if empty, the raw frame if it couldn't be decoded
+ * @property {Buffer} [sessionKey] session key derived after a completed negotiation
+ * @property {String} [error] why the frame couldn't be decoded
+ */
+
+/**
+ * Reads the sequence number and command byte
+ * from the clear text header of a frame.
+ * @private
+ * @param {Buffer} frame complete frame
+ * @returns {Object} `{sequenceN, commandByte, is6699}`
+ */
+function readHeader(frame) {
+  if (frame.readUInt32BE(0) === 0x00006699) {
+    return {sequenceN: frame.readUInt32BE(6), commandByte: frame.readUInt32BE(10), is6699: true};
+  }
+
+  return {sequenceN: frame.readUInt32BE(4), commandByte: frame.readUInt32BE(8), is6699: false};
+}
+
+/**
+ * Checks if a command belongs to session key negotiation.
+ * @private
+ * @param {Number} commandByte command byte of a packet
+ * @returns {Boolean}
+ */
+function isNegotiation(commandByte) {
+  return commandByte === CommandType.SESS_KEY_NEG_START ||
+    commandByte === CommandType.SESS_KEY_NEG_RES ||
+    commandByte === CommandType.SESS_KEY_NEG_FINISH;
+}
+
+/**
+ * Decodes the frames of one TCP connection, in both directions,
+ * following session key negotiation. The first key and version
+ * that decrypt a frame are used for the rest of the connection.
+ * @class
+ * @private
+ * @param {Object} options Options
+ * @param {Array.<String>} options.keys local keys to try
+ * @param {String} [options.version] protocol version, tried in turn if omitted
+ * @param {Buffer} [options.sessionKey] session key in use, for 3.4 and 3.5 traffic
+ * captured after negotiation
+ */
+class Flow {
+  constructor({keys, version, sessionKey}) {
+    const versions = version ? [version] : VERSIONS;
+
+    this.candidates = [];
+
+    keys.forEach(key => {
+      versions.forEach(version => {
+        const candidate = {
+          key,
+          version,
+          request: new MessageParser({key, version, asDevice: true}),
+          response: new MessageParser({key, version})
+        };
+
+        if (sessionKey && (version === '3.4' || version === '3.5')) {
+          candidate.request.cipher.setSessionKey(sessionKey);
+          candidate.response.cipher.setSessionKey(sessionKey);
+        }
+
+        this.candidates.push(candidate);
+      });
+    });
+
+    this.candidate = null;
+    this.clientNonce = null;
+    this.deviceNonce = null;
+    this.negotiated = Boolean(sessionKey);
+
+    // Next expected TCP sequence number of each direction, for captures
+    this.sequences = {};
+
+    // Splits each direction of the stream into frames
+    this.streams = {
+      'to-device': new MessageParser(),
+      'from-device': new MessageParser()
+    };
+  }
+
+  /**
+   * Feeds stream data sent in one direction.
+   * @param {String} direction `to-device` or `from-device`
+   * @param {Buffer} chunk data sent
+   * @returns {Iterator.<TranscriptEntry>} entries of the complete frames
+   */
+  * push(direction, chunk) {
+    const stream = this.streams[direction];
+
+    stream.push(chunk);
+
+    let frame = stream._nextFrame();
+
+    while (frame) {
+      yield this.decode(direction, frame);
+
+      frame = stream._nextFrame();
+    }
+  }
+
+  /**
+   * Discards a partial frame, after missing data.
+   * @param {String} direction `to-device` or `from-device`
+   */
+  reset(direction) {
+    this.streams[direction].resetStream();
+  }
+
+  /**
+   * Decodes a complete frame.
+   * @param {String} direction `to-device` or `from-device`
+   * @param {Buffer} frame complete frame
+   * @returns {TranscriptEntry} decoded frame
+   */
+  decode(direction, frame) {
+    const {sequenceN, commandByte, is6699} = readHeader(frame);
+
+    // Negotiation always uses the local key, also when renegotiating
+    if (isNegotiation(commandByte) && this.candidate) {
+      this._setSessionKey(null);
+    }
+
+    const candidates = this.candidate ?
+      [this.candidate] :
+      this.candidates.filter(candidate => (candidate.version === '3.5') === is6699);
+
+    let decoded;
+    let fallback;
+    let lastError;
+
+    for (const candidate of candidates) {
+      try {
+        const result = this._decodeWith(candidate, direction, frame);
+
+        if (result.verified) {
+          this.candidate = candidate;
+          decoded = result;
+          break;
+        }
+
+        fallback = fallback || result;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    decoded = decoded || fallback;
+
+    if (!decoded) {
+      let error = this.candidates.length === 0 ? 'No local key given.' : 'None of the keys decode the frame.';
+
+      if (candidates.length === 1 && lastError) {
+        error = lastError.message;
+      }
+
+      // Frames of 3.4 and 3.5 sessions can't be decrypted without the session key
+      const sessionFrame = is6699 || (lastError && lastError.code === 'ERR_TUYA_HMAC_MISMATCH');
+
+      if (sessionFrame && !this.negotiated && !isNegotiation(commandByte)) {
+        error += ' The session key negotiation may be missing from the capture.';
+      }
+
+      return {direction, sequenceN, commandByte, command: commandName(commandByte), payload: frame, error};
+    }
+
+    const {packet, returnCode, payload} = decoded;
+    const entry = {
+      direction,
+      sequenceN: packet.sequenceN,
+      commandByte: packet.commandByte,
+      command: commandName(packet.commandByte),
+      returnCode,
+      version: packet.version,
+      payload
+    };
+
+    if (decoded.verified) {
+      this._followNegotiation(direction, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Decodes a frame with a key and version.
+   * @private
+   * @param {Object} candidate key and version with their parsers
+   * @param {String} direction `to-device` or `from-device`
+   * @param {Buffer} frame complete frame
+   * @returns {Object} `{packet, returnCode, payload, verified}`, where
+   * `verified` is `true` if the key was proven correct by the frame
+   * @throws {TuyaError} if the frame doesn't decode with the key
+   */
+  _decodeWith(candidate, direction, frame) {
+    const parser = direction === 'to-device' ? candidate.request : candidate.response;
+
+    // Checks the CRC, or the HMAC for protocol 3.4
+    const packet = parser.parsePacket(frame);
+
+    let verified = packet.version === '3.4';
+    let payload = false;
+    let {returnCode} = packet;
+
+    if (packet.payload.length > 0) {
+      try {
+        if (packet.version === '3.5') {
+          // The return code is encrypted with the payload
+          ({payload, returnCode} = parser.cipher._decrypt35WithReturnCode(packet.payload));
+        } else {
+          payload = parser.cipher.decrypt(packet.payload, packet.version);
+        }
+
+        verified = true;
+      } catch (error) {
+        if (packet.version === '3.4' || packet.version === '3.5') {
+          throw error;
+        }
+
+        // Protocol 3.1 also sends unencrypted JSON
+        try {
+          payload = JSON.parse(packet.payload.toString('utf8'));
+        } catch (_) {
+          throw error;
+        }
+      }
+
+      if (payload.length === 0) {
+        payload = false;
+      }
+    }
+
+    return {packet, returnCode, payload, verified};
+  }
+
+  /**
+   * Collects the nonces of a session key negotiation,
+   * and switches to the session key once it completes.
+   * @private
+   * @param {String} direction `to-device` or `from-device`
+   * @param {TranscriptEntry} entry decoded frame
+   */
+  _followNegotiation(direction, entry) {
+    const {commandByte, payload} = entry;
+
+    if (!Buffer.isBuffer(payload)) {
+      return;
+    }
+
+    if (commandByte === CommandType.SESS_KEY_NEG_START && direction === 'to-device') {
+      this.clientNonce = payload.slice(0, 16);
+      this.deviceNonce = null;
+    } else if (commandByte === CommandType.SESS_KEY_NEG_RES && direction === 'from-device') {
+      this.deviceNonce = payload.slice(0, 16);
+    } else if (commandByte === CommandType.SESS_KEY_NEG_FINISH && direction === 'to-device' &&
+               this.clientNonce && this.deviceNonce) {
+      entry.sessionKey = this.candidate.response.cipher.deriveSessionKey(this.clientNonce, this.deviceNonce);
+      this._setSessionKey(entry.sessionKey);
+      this.negotiated = true;
+    }
+  }
+
+  /**
+   * Sets the session key of the chosen key and version.
+   * @private
+   * @param {Buffer|null} sessionKey session key, `null` for the local key
+   */
+  _setSessionKey(sessionKey) {
+    this.candidate.request.cipher.setSessionKey(sessionKey);
+    this.candidate.response.cipher.setSessionKey(sessionKey);
+  }
+}
+
+/**
+ * Normalizes decoding options.
+ * @private
+ * @param {Object} options Options
+ * @returns {Object} `{keys, version}`
+ */
+function normalizeOptions({keys = [], version} = {}) {
+  return {
+    keys: [].concat(keys),
+    version: version === undefined ? undefined : version.toString()
+  };
+}
+
+/**
+ * Decodes frames copied as hex, for example from
+ * the `Received data:` debug output.
+ * @param {String} hex one or more frames as hex, whitespace is ignored
+ * @param {Object} [options] Options
+ * @param {String|Array.<String>} [options.keys] local keys to try
+ * @param {Number|String} [options.version] protocol version, tried in turn if omitted
+ * @param {String} [options.direction='from-device'] `to-device` for frames
+ * sent by the app, which don't include a return code
+ * @param {String|Buffer} [options.sessionKey] session key of a 3.4 or 3.5
+ * connection, as hex or Buffer, printed by the `Session Key:` debug output
+ * @returns {Array.<TranscriptEntry>} decoded frames
+ * @example
+ * decodeHex('000055aa...0000aa55', {keys: 'xxxxxxxxxxxxxxxx'})
+ */
+function decodeHex(hex, options = {}) {
+  const {direction = 'from-device'} = options;
+  let {sessionKey} = options;
+
+  if (typeof sessionKey === 'string') {
+    sessionKey = Buffer.from(sessionKey, 'hex');
+  }
+
+  const flow = new Flow({...normalizeOptions(options), sessionKey});
+
+  return [...flow.push(direction, Buffer.from(hex.replace(/[\s:]/g, ''), 'hex'))];
+}
+
+/**
+ * Reads the packets of a classic pcap capture.
+ * @private
+ * @param {Buffer} buffer capture file
+ * @returns {Array.<Object>} packets as `{time, linkType, data}`
+ */
+function readPcap(buffer) {
+  const magic = buffer.readUInt32LE(0);
+  const littleEndian = magic === 0xA1B2C3D4 || magic === 0xA1B23C4D;
+  const read32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  // Timestamps have nanosecond resolution with the second magic number
+  const nanoseconds = read32(0) === 0xA1B23C4D;
+  const linkType = read32(20) & 0xFFFF;
+  const packets = [];
+
+  let offset = 24;
+
+  while (offset + 16 <= buffer.length) {
+    const length = read32(offset + 8);
+    const fraction = read32(offset + 4);
+    const time = new Date((read32(offset) * 1000) + (nanoseconds ? fraction / 1e6 : fraction / 1e3));
+
+    if (offset + 16 + length > buffer.length) {
+      break;
+    }
+
+    packets.push({time, linkType, data: buffer.slice(offset + 16, offset + 16 + length)});
+
+    offset += 16 + length;
+  }
+
+  return packets;
+}
+
+/**
+ * Reads the packets of a pcapng capture.
+ * @private
+ * @param {Buffer} buffer capture file
+ * @returns {Array.<Object>} packets as `{time, linkType, data}`
+ */
+function readPcapng(buffer) {
+  const packets = [];
+
+  let littleEndian = true;
+  let interfaces = [];
+  let offset = 0;
+
+  const read16 = offset => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const read32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  while (offset + 12 <= buffer.length) {
+    if (buffer.readUInt32LE(offset) === 0x0A0D0D0A) {
+      // Section header, starts a new section with its own byte order
+      littleEndian = buffer.readUInt32LE(offset + 8) === 0x1A2B3C4D;
+      interfaces = [];
+    }
+
+    const type = read32(offset);
+    const length = read32(offset + 4);
+
+    if (length < 12 || offset + length > buffer.length) {
+      break;
+    }
+
+    if (type === 1) {
+      // Interface description, timestamps are in microseconds unless an option says otherwise
+      const description = {linkType: read16(offset + 8), unitsPerSecond: 1e6};
+
+      for (let option = offset + 16; option + 4 <= offset + length - 4;) {
+        const code = read16(option);
+        const optionLength = read16(option + 2);
+
+        if (code === 0) {
+          break;
+        }
+
+        if (code === 9) {
+          const resolution = buffer[option + 4];
+          description.unitsPerSecond = resolution & 0x80 ? 2 ** (resolution & 0x7F) : 10 ** resolution;
+        }
+
+        option += 4 + (Math.ceil(optionLength / 4) * 4);
+      }
+
+      interfaces.push(description);
+    } else if (type === 6) {
+      // Enhanced packet
+      const description = interfaces[read32(offset + 8)];
+      const units = (read32(offset + 12) * (2 ** 32)) + read32(offset + 16);
+      const captured = read32(offset + 20);
+
+      if (description) {
+        packets.push({
+          time: new Date(units / description.unitsPerSecond * 1000),
+          linkType: description.linkType,
+          data: buffer.slice(offset + 28, offset + 28 + captured)
+        });
+      }
+    } else if (type === 3 && interfaces[0]) {
+      // Simple packet, captured on the first interface without a timestamp
+      const captured = Math.min(read32(offset + 8), length - 16);
+
+      packets.push({linkType: interfaces[0].linkType, data: buffer.slice(offset + 12, offset + 12 + captured)});
+    }
+
+    offset += length;
+  }
+
+  return packets;
+}
+
+/**
+ * Reads the packets of a pcap or pcapng capture.
+ * @private
+ * @param {Buffer} buffer capture file
+ * @returns {Array.<Object>} packets as `{time, linkType, data}`
+ * @throws {TypeError} if the buffer isn't a capture
+ */
+function readCapture(buffer) {
+  if (buffer.length >= 24) {
+    if (buffer.readUInt32LE(0) === 0x0A0D0D0A) {
+      return readPcapng(buffer);
+    }
+
+    if ([0xA1B2C3D4, 0xA1B23C4D].includes(buffer.readUInt32LE(0)) ||
+        [0xA1B2C3D4, 0xA1B23C4D].includes(buffer.readUInt32BE(0))) {
+      return readPcap(buffer);
+    }
+  }
+
+  throw new TypeError('Not a pcap or pcapng capture.');
+}
+
+/**
+ * Removes the link layer header of a captured packet.
+ * @private
+ * @param {Number} linkType link layer type of the capture
+ * @param {Buffer} data captured packet
+ * @returns {Buffer|null} IP packet, or null for other protocols
+ * and packets cut short
+ */
+function readLinkLayer(linkType, data) {
+  const header = LINK_LAYERS[linkType];
+
+  if (!header || data.length <= header.length) {
+    return null;
+  }
+
+  let offset = header.length;
+  let etherType = header.etherType === undefined ? undefined : data.readUInt16BE(header.etherType);
+
+  // Skip VLAN tags of Ethernet
+  while ((etherType === 0x8100 || etherType === 0x88A8) && data.length >= offset + 4) {
+    etherType = data.readUInt16BE(offset + 2);
+    offset += 4;
+  }
+
+  if (etherType !== undefined && etherType !== 0x0800 && etherType !== 0x86DD) {
+    return null;
+  }
+
+  return data.length > offset ? data.slice(offset) : null;
+}
+
+/**
+ * Reads the TCP or UDP segment of an IP packet.
+ * @private
+ * @param {Buffer} ip IP packet
+ * @returns {Object|null} `{protocol, source, destination, sourcePort,
+ * destinationPort, sequence, syn, payload}`, or null for other protocols
+ * and packets cut short
+ */
+function readSegment(ip) {
+  let protocol;
+  let source;
+  let destination;
+  let data;
+
+  if (ip.length >= 20 && ip[0] >> 4 === 4) {
+    const headerLength = (ip[0] & 0x0F) * 4;
+
+    // Skip fragments and broken headers
+    if (headerLength < 20 || ip.length < headerLength || ip.readUInt16BE(6) & 0x3FFF) {
+      return null;
+    }
+
+    protocol = ip[9];
+    source = [...ip.slice(12, 16)].join('.');
+    destination = [...ip.slice(16, 20)].join('.');
+
+    // The total length is 0 for packets captured before TCP segmentation offload
+    data = ip.slice(headerLength, ip.readUInt16BE(2) || ip.length);
+  } else if (ip.length >= 40 && ip[0] >> 4 === 6) {
+    const address = bytes => `[${bytes.toString('hex').match(/.{4}/g).map(group => group.replace(/^0{1,3}/, '')).join(':')}]`;
+
+    protocol = ip[6];
+    source = address(ip.slice(8, 24));
+    destination = address(ip.slice(24, 40));
+    data = ip.slice(40, 40 + (ip.readUInt16BE(4) || ip.length));
+  } else {
+    return null;
+  }
+
+  // TCP and UDP headers are 20 and 8 bytes long
+  if ((protocol !== 6 || data.length < 20) && (protocol !== 17 || data.length < 8)) {
+    return null;
+  }
+
+  const segment = {
+    source: `${source}:${data.readUInt16BE(0)}`,
+    destination: `${destination}:${data.readUInt16BE(2)}`,
+    sourcePort: data.readUInt16BE(0),
+    destinationPort: data.readUInt16BE(2)
+  };
+
+  if (protocol === 6) {
+    return {
+      ...segment,
+      protocol: 'tcp',
+      sequence: data.readUInt32BE(4),
+      syn: Boolean(data[13] & 0x02),
+      payload: data.slice((data[12] >> 4) * 4)
+    };
+  }
+
+  return {...segment, protocol: 'udp', payload: data.slice(8, data.readUInt16BE(4))};
+}
+
+/**
+ * Decodes a UDP broadcast or discovery request.
+ * @private
+ * @param {Buffer} message UDP payload
+ * @param {Array.<String>} keys local keys, the first is tried after the UDP key
+ * @returns {TranscriptEntry} decoded message
+ */
+function decodeUdp(message, keys) {
+  try {
+    const packet = decodeBroadcast(message, {key: keys[0]});
+
+    return {
+      direction: 'broadcast',
+      sequenceN: packet.sequenceN,
+      commandByte: packet.commandByte,
+      command: commandName(packet.commandByte),
+      version: packet.version,
+      payload: packet.payload
+    };
+  } catch (error) {
+    return {direction: 'broadcast', payload: message, error: error.message};
+  }
+}
+
+/**
+ * Decodes the Tuya traffic of a pcap or pcapng capture, as
+ * saved by Wireshark or tcpdump. TCP connections are
+ * reassembled in order, retransmissions are skipped.
+ * @param {Buffer} capture capture file
+ * @param {Object} [options] Options
+ * @param {String|Array.<String>} [options.keys] local keys to try
+ * @param {Number|String} [options.version] protocol version, tried in turn if omitted
+ * @param {Number} [options.port=6668] TCP port of devices
+ * @returns {Array.<TranscriptEntry>} decoded frames, in capture order
+ * @throws {TypeError} if the buffer isn't a capture
+ * @example
+ * const entries = decodeCapture(fs.readFileSync('tuya.pcapng'), {keys: ['xxxxxxxxxxxxxxxx']});
+ * console.log(formatTranscript(entries));
+ */
+function decodeCapture(capture, options = {}) {
+  const {keys, version} = normalizeOptions(options);
+  const {port = 6668} = options;
+  const flows = new Map();
+  const entries = [];
+
+  readCapture(capture).forEach(({time, linkType, data}) => {
+    const ip = readLinkLayer(linkType, data);
+    const segment = ip && readSegment(ip);
+
+    if (!segment) {
+      return;
+    }
+
+    const context = {time, source: segment.source, destination: segment.destination};
+
+    if (segment.protocol === 'udp') {
+      if (BROADCAST_PORTS.includes(segment.destinationPort) && segment.payload.length > 0) {
+        entries.push({...context, ...decodeUdp(segment.payload, keys)});
+      }
+
+      return;
+    }
+
+    const toDevice = segment.destinationPort === port;
+
+    if (!toDevice && segment.sourcePort !== port) {
+      return;
+    }
+
+    const direction = toDevice ? 'to-device' : 'from-device';
+    const id = toDevice ? `${segment.source} ${segment.destination}` : `${segment.destination} ${segment.source}`;
+
+    let flow = flows.get(id);
+
+    if (!flow || (segment.syn && toDevice)) {
+      // New connection
+      flow = new Flow({keys, version});
+      flows.set(id, flow);
+    }
+
+    let {payload} = segment;
+
+    if (segment.syn) {
+      flow.sequences[direction] = (segment.sequence + 1) >>> 0;
+    }
+
+    if (payload.length === 0) {
+      return;
+    }
+
+    if (flow.sequences[direction] === undefined) {
+      flow.sequences[direction] = segment.sequence;
+    }
+
+    // Bytes of this segment that were already seen
+    const seen = (flow.sequences[direction] - segment.sequence) | 0;
+
+    if (seen >= payload.length) {
+      return;
+    }
+
+    if (seen < 0) {
+      // Missing data, start over with the next frame
+      flow.reset(direction);
+    } else {
+      payload = payload.slice(seen);
+    }
+
+    flow.sequences[direction] = (segment.sequence + segment.payload.length) >>> 0;
+
+    for (const entry of flow.push(direction, payload)) {
+      entries.push({...context, ...entry});
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Reads and decodes a pcap or pcapng capture file.
+ * @param {String} file path of the capture
+ * @param {Object} [options] Options, see `decodeCapture()`
+ * @returns {Promise<Array.<TranscriptEntry>>} decoded frames
+ */
+async function decodeCaptureFile(file, options) {
+  return decodeCapture(await fs.promises.readFile(file), options);
+}
+
+/**
+ * Formats a payload for the transcript.
+ * @private
+ * @param {*} payload decoded payload
+ * @returns {String} formatted payload
+ */
+function formatPayload(payload) {
+  if (payload === false) {
+    return '(empty)';
+  }
+
+  if (Buffer.isBuffer(payload)) {
+    return payload.toString('hex');
+  }
+
+  return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+/**
+ * Formats decoded frames as a readable transcript, one line per frame.
+ * @param {Array.<TranscriptEntry>} entries decoded frames
+ * @returns {String} transcript
+ * @example
+ * console.log(formatTranscript(decodeHex(hex, {keys: 'xxxxxxxxxxxxxxxx'})));
+ * // from-device #4 STATUS (8) 3.3 rc=0 {"dps":{"1":true}}
+ */
+function formatTranscript(entries) {
+  return entries.map(entry => {
+    const parts = [];
+
+    if (entry.time) {
+      parts.push(entry.time.toISOString());
+    }
+
+    parts.push(entry.source ? `${entry.source} > ${entry.destination}` : entry.direction);
+
+    if (entry.commandByte !== undefined) {
+      parts.push(`#${entry.sequenceN}`, `${entry.command} (${entry.commandByte})`);
+    }
+
+    if (entry.version) {
+      parts.push(entry.version);
+    }
+
+    if (entry.returnCode !== undefined) {
+      parts.push(`rc=${entry.returnCode}`);
+    }
+
+    if (entry.error) {
+      parts.push(`error: ${entry.error}`, formatPayload(entry.payload));
+    } else {
+      parts.push(formatPayload(entry.payload));
+    }
+
+    if (entry.sessionKey) {
+      parts.push(`session key ${entry.sessionKey.toString('hex')}`);
+    }
+
+    return parts.join(' ') + '\n';
+  }).join('');
+}
+
+module.exports = {decodeHex, decodeCapture, decodeCaptureFile, formatTranscript, commandName};
@@ -0,0 +1,256 @@
+const {EventEmitter} = require('events');
+const {default: PQueue} = require('p-queue');
+const debug = require('debug')('TuyAPI:DeviceManager');
+
+const TuyaDevice = require('..');
+const {TuyaDiscovery} = require('./discovery');
+
+// Device events that are forwarded, tagged with the device ID
+const FORWARDED_EVENTS = ['connected', 'disconnected', 'data', 'dp-refresh', 'heartbeat', 'stateChange', 'reconnecting', 'reconnected'];
+
+/**
+ * Manages a fleet of Tuya devices: keeps one
+ * `TuyaDevice` per ID, shares a single discovery
+ * listener between all of them and forwards their
+ * events tagged with the device ID.
+ * @class
+ * @param {Object} [options] Options object
+ * @param {Object} [options.keys={}] map of device ID to `localKey`.
+ * Devices in this map are created automatically when they are discovered.
+ * @param {Object} [options.deviceOptions={}] options passed to every
+ * `TuyaDevice` created by the manager
+ * @param {Number} [options.concurrency=5] how many devices
+ * `connectAll()` connects at once
+ * @example
+ * const manager = new TuyaDeviceManager({keys: {'xxxxxxxxxxxxxxxxxxxx': 'xxxxxxxxxxxxxxxx'}});
+ *
+ * manager.on('data', (id, data) => console.log(id, data));
+ *
+ * manager.startDiscovery();
+ */
+class TuyaDeviceManager extends EventEmitter {
+  constructor({keys = {}, deviceOptions = {}, concurrency = 5} = {}) {
+    super();
+
+    this.keys = {...keys};
+    this.deviceOptions = deviceOptions;
+    this.concurrency = concurrency;
+
+    this._devices = new Map();
+    this._listeners = new Map();
+    this._discovery = null;
+  }
+
+  /**
+   * Adds a device to the manager.
+   * @param {TuyaDevice|Object} device existing `TuyaDevice`,
+   * or options to construct one with (must include `id` and `key`)
+   * @returns {TuyaDevice} the managed device
+   */
+  add(device) {
+    if (!(device instanceof TuyaDevice)) {
+      device = new TuyaDevice({...this.deviceOptions, ...device});
+    }
+
+    const {id} = device.device;
+
+    if (!id) {
+      throw new TypeError('Managed devices must have an ID.');
+    }
+
+    if (this._devices.has(id)) {
+      if (this._devices.get(id) === device) {
+        return device;
+      }
+
+      this.remove(id);
+    }
+
+    const listeners = {};
+
+    FORWARDED_EVENTS.forEach(event => {
+      listeners[event] = (...args) => this.emit(event, id, ...args);
+    });
+
+    // Errors are emitted as (error, id) so they can be handled like any other error event
+    listeners.error = error => this.emit('error', error, id);
+
+    Object.keys(listeners).forEach(event => device.on(event, listeners[event]));
+
+    this._devices.set(id, device);
+    this._listeners.set(id, listeners);
+    this.keys[id] = device.device.key;
+
+    /**
+     * Emitted when a device is added to the manager.
+     * @event TuyaDeviceManager#added
+     * @property {String} id ID of device
+     * @property {TuyaDevice} device the device
+     */
+    this.emit('added', id, device);
+
+    return device;
+  }
+
+  /**
+   * Removes a device from the manager and disconnects it.
+   * @param {String} id ID of device
+   * @returns {Boolean} `true` if the device was managed
+   */
+  remove(id) {
+    const device = this._devices.get(id);
+
+    if (!device) {
+      return false;
+    }
+
+    device.disconnect();
+
+    const listeners = this._listeners.get(id);
+    Object.keys(listeners).forEach(event => device.removeListener(event, listeners[event]));
+
+    this._devices.delete(id);
+    this._listeners.delete(id);
+
+    /**
+     * Emitted when a device is removed from the manager.
+     * @event TuyaDeviceManager#removed
+     * @property {String} id ID of device
+     * @property {TuyaDevice} device the device
+     */
+    this.emit('removed', id, device);
+
+    return true;
+  }
+
+  /**
+   * Gets a managed device.
+   * @param {String} id ID of device
+   * @returns {TuyaDevice|undefined} the device
+   */
+  getDevice(id) {
+    return this._devices.get(id);
+  }
+
+  /**
+   * Returns all managed devices.
+   * @returns {Array.<TuyaDevice>} devices
+   */
+  getDevices() {
+    return [...this._devices.values()];
+  }
+
+  /**
+   * Connects every managed device that has an IP,
+   * at most `concurrency` at a time.
+   * @returns {Promise<Array.<Object>>} one result per device,
+   * `{id, connected: true}` or `{id, connected: false, error}`
+   */
+  connectAll() {
+    const queue = new PQueue({concurrency: this.concurrency});
+
+    return Promise.all(this.getDevices()
+      .filter(device => device.device.ip)
+      .map(device => queue.add(() => device.connect()
+        .then(() => ({id: device.device.id, connected: true}))
+        .catch(error => ({id: device.device.id, connected: false, error})))));
+  }
+
+  /**
+   * Disconnects every managed device.
+   */
+  disconnectAll() {
+    this.getDevices().forEach(device => device.disconnect());
+  }
+
+  /**
+   * Starts the shared discovery service. Broadcasts
+   * update the IP and protocol version of managed devices
+   * and create devices whose key is known.
+   * @param {Object} [options] options for `TuyaDiscovery`
+   * @returns {Promise<Boolean>} `true` once listening
+   */
+  startDiscovery(options) {
+    if (!this._discovery) {
+      this._discovery = new TuyaDiscovery(options);
+      this._discovery.on('deviceFound', info => this._handleBroadcast(info));
+      this._discovery.on('deviceUpdated', info => this._handleBroadcast(info));
+      this._discovery.on('deviceLost', info => {
+        /**
+         * Emitted when a device stopped broadcasting.
+         * @event TuyaDeviceManager#lost
+         * @property {String} id ID of device
+         * @property {Object} info last known device information
+         */
+        this.emit('lost', info.id, info);
+      });
+      this._discovery.on('error', error => this.emit('error', error));
+    }
+
+    return this._discovery.start();
+  }
+
+  /**
+   * Stops the shared discovery listener.
+   */
+  stopDiscovery() {
+    if (this._discovery) {
+      this._discovery.stop();
+      this._discovery.removeAllListeners();
+      this._discovery = null;
+    }
+  }
+
+  /**
+   * Handles a new or changed device from discovery.
+   * @private
+   * @param {Object} info device information from broadcast
+   */
+  _handleBroadcast(info) {
+    if (!info.id) {
+      return;
+    }
+
+    const device = this._devices.get(info.id);
+
+    if (!device) {
+      if (!this.keys[info.id]) {
+        /**
+         * Emitted when a device without a known key broadcasts.
+         * Call `add()` with its key to manage it.
+         * @event TuyaDeviceManager#discovered
+         * @property {Object} info device information from broadcast
+         */
+        this.emit('discovered', info);
+        return;
+      }
+
+      debug(`Creating device ${info.id} at ${info.ip}`);
+
+      this.add({
+        id: info.id,
+        key: this.keys[info.id],
+        ip: info.ip,
+        productKey: info.productKey,
+        ...(info.version ? {version: info.version} : {})
+      });
+
+      return;
+    }
+
+    if (device.updateDeviceInfo(info)) {
+      debug(`Updated device ${info.id}: ${info.ip}, version ${device.device.version}`);
+
+      /**
+       * Emitted when a broadcast changed the IP or
+       * protocol version of a managed device.
+       * @event TuyaDeviceManager#updated
+       * @property {String} id ID of device
+       * @property {TuyaDevice} device the device
+       */
+      this.emit('updated', info.id, device);
+    }
+  }
+}
+
+module.exports = TuyaDeviceManager;
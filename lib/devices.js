@@ -0,0 +1,754 @@
+// DP codes are defined by Tuya
+/* eslint-disable camelcase */
+const TuyaDevice = require('..');
+
+/**
+ * Base class of devices of a category, e.g. bulbs.
+ * Comes with the DP schema of the category, keeps the
+ * last reported values and emits `change` events.
+ * @class
+ * @extends TuyaDevice
+ * @param {Object} options options of `TuyaDevice`, a `schema`
+ * replaces the one of the category, for devices that use other DPs
+ * for the same codes
+ * @param {Object} definitions DP definitions of the category
+ */
+class TypedDevice extends TuyaDevice {
+  constructor(options = {}, definitions = {}) {
+    super({...options, schema: options.schema || definitions});
+
+    // Last reported values, by code
+    this.values = {};
+
+    this.on('data', data => this._handleValues(data));
+    this.on('dp-refresh', data => this._handleValues(data));
+  }
+
+  /**
+   * Sets values by code.
+   * @protected
+   * @param {Object} values values by code
+   * @returns {Promise<Object>} response from device
+   */
+  _setValues(values) {
+    return this.set({multiple: true, data: values});
+  }
+
+  /**
+   * Handles data from the device.
+   * @private
+   * @param {Object} data received data
+   */
+  _handleValues(data) {
+    if (data && data.values) {
+      this._updateValues(data.values);
+    }
+  }
+
+  /**
+   * Stores reported values and emits what changed.
+   * @protected
+   * @param {Object} values decoded values by code
+   */
+  _updateValues(values) {
+    const changes = {};
+
+    Object.keys(values).forEach(code => {
+      if (JSON.stringify(values[code]) !== JSON.stringify(this.values[code])) {
+        changes[code] = values[code];
+      }
+    });
+
+    Object.assign(this.values, changes);
+
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    /**
+     * Emitted when reported values change.
+     * @event TypedDevice#change
+     * @property {Object} changes changed values, by code
+     * @property {Object} values all known values, by code
+     */
+    this.emit('change', changes, this.values);
+
+    this._handleChanges(changes);
+  }
+
+  /**
+   * Emits the events of the category for changed values.
+   * @protected
+   * @param {Object} changes changed values, by code
+   */
+  _handleChanges() {}
+
+  /**
+   * Converts a percentage to the range of a `value` DP.
+   * @protected
+   * @param {String} code code of DP
+   * @param {Number} percent 0 to 100
+   * @returns {Number} scaled value
+   */
+  _fromPercent(code, percent) {
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+      throw new RangeError(`Expected a percentage from 0 to 100, got ${percent}.`);
+    }
+
+    const {min, max} = rangeOf(this.schema.find(code));
+
+    return Math.round(min + ((max - min) * percent / 100));
+  }
+
+  /**
+   * Converts a value of a `value` DP to a percentage.
+   * @protected
+   * @param {String} code code of DP
+   * @param {Number} value scaled value
+   * @returns {Number} 0 to 100
+   */
+  _toPercent(code, value) {
+    const {min, max} = rangeOf(this.schema.find(code));
+
+    return Math.round((value - min) / (max - min) * 100);
+  }
+}
+
+/**
+ * Returns the scaled range of a `value` DP.
+ * @private
+ * @param {DPDefinition} definition definition of DP
+ * @returns {Object} `{min, max}`
+ */
+function rangeOf({code, min, max, scale = 0} = {}) {
+  if (min === undefined || max === undefined) {
+    throw new TypeError(`DP ${code} has no range.`);
+  }
+
+  return {min: min / (10 ** scale), max: max / (10 ** scale)};
+}
+
+/**
+ * A switch or socket with one or more gangs,
+ * `switch_1` to `switch_n` on DP 1 to n.
+ * @class
+ * @extends TypedDevice
+ * @param {Object} options options of `TuyaDevice`, and:
+ * @param {Number} [options.gangs=1] number of gangs
+ * @param {Object} [definitions] more DP definitions, used by subclasses
+ * @example
+ * const device = new TuyaSwitch({id: 'xxxxxxxxxxxxxxxxxxxx', key: 'xxxxxxxxxxxxxxxx', gangs: 2});
+ *
+ * device.on('switch', (on, gang) => console.log(`Gang ${gang} is ${on ? 'on' : 'off'}`));
+ *
+ * await device.turnOn(2);
+ */
+class TuyaSwitch extends TypedDevice {
+  constructor(options = {}, definitions = {}) {
+    const {gangs = 1} = options;
+    const switches = {};
+
+    for (let gang = 1; gang <= gangs; gang++) {
+      switches[gang] = {code: `switch_${gang}`, type: 'bool'};
+    }
+
+    super(options, {...switches, ...definitions});
+
+    this.gangs = gangs;
+  }
+
+  /**
+   * Turns a gang on.
+   * @param {Number} [gang=1] gang to turn on
+   * @returns {Promise<Object>} response from device
+   */
+  turnOn(gang = 1) {
+    return this.set({dp: `switch_${gang}`, set: true});
+  }
+
+  /**
+   * Turns a gang off.
+   * @param {Number} [gang=1] gang to turn off
+   * @returns {Promise<Object>} response from device
+   */
+  turnOff(gang = 1) {
+    return this.set({dp: `switch_${gang}`, set: false});
+  }
+
+  /**
+   * Gets whether a gang is on.
+   * @param {Number} [gang=1] gang to check
+   * @returns {Promise<Boolean>} `true` if on
+   */
+  isOn(gang = 1) {
+    return this.get({dp: `switch_${gang}`});
+  }
+
+  /**
+   * @protected
+   * @param {Object} changes changed values, by code
+   */
+  _handleChanges(changes) {
+    Object.keys(changes).forEach(code => {
+      const match = /^switch_(\d+)$/.exec(code);
+
+      if (match) {
+        /**
+         * Emitted when a gang is turned on or off.
+         * @event TuyaSwitch#switch
+         * @property {Boolean} on `true` if turned on
+         * @property {Number} gang gang that changed
+         */
+        this.emit('switch', changes[code], Number(match[1]));
+      }
+    });
+  }
+}
+
+/**
+ * A socket that measures power. Current (mA), power (W)
+ * and voltage (V) are on DP 18, 19 and 20, or on DP
+ * 4, 5 and 6 for some older plugs.
+ * @class
+ * @extends TuyaSwitch
+ * @param {Object} options options of `TuyaSwitch`, and:
+ * @param {Number} [options.metering=18] DP of the current,
+ * followed by power and voltage. `4` for older plugs.
+ * @example
+ * const plug = new TuyaPlug({id: 'xxxxxxxxxxxxxxxxxxxx', key: 'xxxxxxxxxxxxxxxx'});
+ *
+ * plug.on('power', ({power}) => console.log(`Using ${power} W`));
+ *
+ * const {power, current, voltage} = await plug.getMetering();
+ */
+class TuyaPlug extends TuyaSwitch {
+  constructor(options = {}) {
+    const {metering = 18, gangs = 1} = options;
+
+    if (![4, 18].includes(metering)) {
+      throw new TypeError(`Metering DPs start at 4 or 18, got ${metering}.`);
+    }
+
+    if (metering <= gangs) {
+      throw new TypeError(`Metering DPs of ${gangs} gangs can't start at ${metering}.`);
+    }
+
+    super(options, {
+      [metering]: {code: 'cur_current', type: 'value', unit: 'mA', readOnly: true},
+      [metering + 1]: {code: 'cur_power', type: 'value', scale: 1, unit: 'W', readOnly: true},
+      [metering + 2]: {code: 'cur_voltage', type: 'value', scale: 1, unit: 'V', readOnly: true}
+    });
+  }
+
+  /**
+   * Last reported power, in W.
+   * @type {Number|undefined}
+   */
+  get power() {
+    return this.values.cur_power;
+  }
+
+  /**
+   * Last reported current, in mA.
+   * @type {Number|undefined}
+   */
+  get current() {
+    return this.values.cur_current;
+  }
+
+  /**
+   * Last reported voltage, in V.
+   * @type {Number|undefined}
+   */
+  get voltage() {
+    return this.values.cur_voltage;
+  }
+
+  /**
+   * Asks the device to measure power, current
+   * and voltage, see `TuyaDevice#refresh()`.
+   * @param {Object} [options] options of `refresh()`
+   * @returns {Promise<Object>} `{power, current, voltage}`,
+   * values the device didn't report are `undefined`
+   */
+  async getMetering(options = {}) {
+    const requestedDPS = ['cur_current', 'cur_power', 'cur_voltage'].map(code => Number(this.schema.resolve(code)));
+    const dps = await this.refresh({...options, requestedDPS, schema: false});
+
+    if (dps && typeof dps === 'object') {
+      this._updateValues(this.schema.decode(dps));
+    }
+
+    return {power: this.power, current: this.current, voltage: this.voltage};
+  }
+
+  /**
+   * @protected
+   * @param {Object} changes changed values, by code
+   */
+  _handleChanges(changes) {
+    super._handleChanges(changes);
+
+    if (['cur_current', 'cur_power', 'cur_voltage'].some(code => code in changes)) {
+      /**
+       * Emitted when power, current or voltage change.
+       * @event TuyaPlug#power
+       * @property {Object} metering `{power, current, voltage}`
+       */
+      this.emit('power', {power: this.power, current: this.current, voltage: this.voltage});
+    }
+  }
+}
+
+// DPs of bulbs, and of older bulbs with protocol 3.1
+const BULB_DEFINITIONS = {
+  20: {code: 'switch_led', type: 'bool'},
+  21: {code: 'work_mode', type: 'enum', range: ['white', 'colour', 'scene', 'music']},
+  22: {code: 'bright_value_v2', type: 'value', min: 10, max: 1000},
+  23: {code: 'temp_value_v2', type: 'value', min: 0, max: 1000},
+  24: {code: 'colour_data_v2', type: 'string', maxlen: 12},
+  25: {code: 'scene_data_v2', type: 'string'},
+  27: {code: 'music_data', type: 'string'}
+};
+
+const LEGACY_BULB_DEFINITIONS = {
+  1: {code: 'switch_led', type: 'bool'},
+  2: {code: 'work_mode', type: 'enum', range: ['white', 'colour', 'scene', 'scene_1', 'scene_2', 'scene_3', 'scene_4']},
+  3: {code: 'bright_value', type: 'value', min: 25, max: 255},
+  4: {code: 'temp_value', type: 'value', min: 0, max: 255},
+  5: {code: 'colour_data', type: 'string', maxlen: 14},
+  6: {code: 'scene_data', type: 'string'}
+};
+
+/**
+ * A light bulb with white and colour modes.
+ * Brightness and colour temperature are given in
+ * percent, colours as hue (0 to 360), saturation and
+ * value (0 to 100), or as red, green and blue (0 to 255).
+ * See `lib/colour.js` for the formats of colours and scenes.
+ * @class
+ * @extends TypedDevice
+ * @param {Object} options options of `TuyaDevice`, and:
+ * @param {Boolean} [options.legacy=false] `true` for older bulbs,
+ * with DP 1 to 6 and `bright_value`, `temp_value` and `colour_data`
+ * instead of `bright_value_v2`, `temp_value_v2` and `colour_data_v2`
+ * @example
+ * const bulb = new TuyaBulb({id: 'xxxxxxxxxxxxxxxxxxxx', key: 'xxxxxxxxxxxxxxxx'});
+ *
+ * await bulb.setColour({h: 120, s: 100, v: 50});
+ * await bulb.setBrightness(30);
+ */
+class TuyaBulb extends TypedDevice {
+  constructor(options = {}) {
+    const {legacy = false} = options;
+
+    super(options, legacy ? LEGACY_BULB_DEFINITIONS : BULB_DEFINITIONS);
+
+    this.legacy = legacy;
+    this._codes = legacy ?
+      {brightness: 'bright_value', temperature: 'temp_value', colour: 'colour_data'} :
+      {brightness: 'bright_value_v2', temperature: 'temp_value_v2', colour: 'colour_data_v2'};
+  }
+
+  /**
+   * Turns the bulb on.
+   * @returns {Promise<Object>} response from device
+   */
+  turnOn() {
+    return this.set({dp: 'switch_led', set: true});
+  }
+
+  /**
+   * Turns the bulb off.
+   * @returns {Promise<Object>} response from device
+   */
+  turnOff() {
+    return this.set({dp: 'switch_led', set: false});
+  }
+
+  /**
+   * Gets whether the bulb is on.
+   * @returns {Promise<Boolean>} `true` if on
+   */
+  isOn() {
+    return this.get({dp: 'switch_led'});
+  }
+
+  /**
+   * Gets the mode of the bulb.
+   * @returns {Promise<String>} `white`, `colour`, `scene` or `music`
+   */
+  getMode() {
+    return this.get({dp: 'work_mode'});
+  }
+
+  /**
+   * Switches to white and sets the brightness.
+   * @param {Number} percent 0 to 100
+   * @returns {Promise<Object>} response from device
+   */
+  setBrightness(percent) {
+    return this._setValues({
+      work_mode: 'white',
+      [this._codes.brightness]: this._fromPercent(this._codes.brightness, percent)
+    });
+  }
+
+  /**
+   * Gets the brightness of white.
+   * @returns {Promise<Number>} 0 to 100
+   */
+  async getBrightness() {
+    return this._toPercent(this._codes.brightness, await this.get({dp: this._codes.brightness}));
+  }
+
+  /**
+   * Switches to white and sets the colour temperature.
+   * @param {Number} percent 0 for warmest, to 100 for coldest
+   * @returns {Promise<Object>} response from device
+   */
+  setColourTemperature(percent) {
+    return this._setValues({
+      work_mode: 'white',
+      [this._codes.temperature]: this._fromPercent(this._codes.temperature, percent)
+    });
+  }
+
+  /**
+   * Gets the colour temperature.
+   * @returns {Promise<Number>} 0 for warmest, to 100 for coldest
+   */
+  async getColourTemperature() {
+    return this._toPercent(this._codes.temperature, await this.get({dp: this._codes.temperature}));
+  }
+
+  /**
+   * Switches to colour and sets the colour.
+   * @param {Object} colour `{h, s, v}` or `{r, g, b}`
+   * @returns {Promise<Object>} response from device
+   */
+  setColour(colour) {
+    return this._setValues({work_mode: 'colour', [this._codes.colour]: colour});
+  }
+
+  /**
+   * Gets the colour.
+   * @returns {Promise<Object>} `{h, s, v}`
+   */
+  getColour() {
+    return this.get({dp: this._codes.colour});
+  }
+
+  /**
+   * Switches to a scene.
+   * @param {Scene} scene scene, see `encodeScene()` of `lib/colour.js`
+   * @returns {Promise<Object>} response from device
+   * @throws {TypeError} for older bulbs, their scenes aren't supported
+   */
+  setScene(scene) {
+    if (this.legacy) {
+      throw new TypeError('Scenes of older bulbs aren\'t supported.');
+    }
+
+    return this._setValues({work_mode: 'scene', scene_data_v2: scene});
+  }
+
+  /**
+   * Switches to music mode and sets the light for the
+   * current beat, as apps do while they listen to music.
+   * @param {Object} music see `encodeMusic()` of `lib/colour.js`
+   * @returns {Promise<Object>} response from device
+   * @throws {TypeError} for older bulbs, they have no music mode
+   */
+  setMusic(music) {
+    if (this.legacy) {
+      throw new TypeError('Older bulbs have no music mode.');
+    }
+
+    return this._setValues({work_mode: 'music', music_data: music});
+  }
+
+  /**
+   * @protected
+   * @param {Object} changes changed values, by code
+   */
+  _handleChanges(changes) {
+    const {brightness, temperature, colour} = this._codes;
+
+    if ('switch_led' in changes) {
+      /**
+       * Emitted when the bulb is turned on or off.
+       * @event TuyaBulb#switch
+       * @property {Boolean} on `true` if turned on
+       */
+      this.emit('switch', changes.switch_led);
+    }
+
+    if ('work_mode' in changes) {
+      /**
+       * Emitted when the mode changes.
+       * @event TuyaBulb#mode
+       * @property {String} mode `white`, `colour`, `scene` or `music`
+       */
+      this.emit('mode', changes.work_mode);
+    }
+
+    if (brightness in changes) {
+      /**
+       * Emitted when the brightness of white changes.
+       * @event TuyaBulb#brightness
+       * @property {Number} percent 0 to 100
+       */
+      this.emit('brightness', this._toPercent(brightness, changes[brightness]));
+    }
+
+    if (temperature in changes) {
+      /**
+       * Emitted when the colour temperature changes.
+       * @event TuyaBulb#colour-temperature
+       * @property {Number} percent 0 for warmest, to 100 for coldest
+       */
+      this.emit('colour-temperature', this._toPercent(temperature, changes[temperature]));
+    }
+
+    if (colour in changes) {
+      /**
+       * Emitted when the colour changes.
+       * @event TuyaBulb#colour
+       * @property {Object} colour `{h, s, v}`
+       */
+      this.emit('colour', changes[colour]);
+    }
+  }
+}
+
+/**
+ * A curtain, blind or shutter motor.
+ * Positions are in percent.
+ * @class
+ * @extends TypedDevice
+ * @param {Object} options options of `TuyaDevice`
+ * @example
+ * const cover = new TuyaCover({id: 'xxxxxxxxxxxxxxxxxxxx', key: 'xxxxxxxxxxxxxxxx'});
+ *
+ * cover.on('position', percent => console.log(`${percent}% open`));
+ *
+ * await cover.setPosition(50);
+ */
+class TuyaCover extends TypedDevice {
+  constructor(options = {}) {
+    super(options, {
+      1: {code: 'control', type: 'enum', range: ['open', 'stop', 'close', 'continue']},
+      2: {code: 'percent_control', type: 'value', min: 0, max: 100, unit: '%'},
+      3: {code: 'percent_state', type: 'value', min: 0, max: 100, unit: '%', readOnly: true},
+      7: {code: 'work_state', type: 'enum', range: ['opening', 'closing'], readOnly: true}
+    });
+  }
+
+  /**
+   * Opens the cover.
+   * @returns {Promise<Object>} response from device
+   */
+  open() {
+    return this.set({dp: 'control', set: 'open'});
+  }
+
+  /**
+   * Closes the cover.
+   * @returns {Promise<Object>} response from device
+   */
+  close() {
+    return this.set({dp: 'control', set: 'close'});
+  }
+
+  /**
+   * Stops the cover.
+   * @returns {Promise<Object>} response from device
+   */
+  stop() {
+    return this.set({dp: 'control', set: 'stop'});
+  }
+
+  /**
+   * Moves the cover to a position.
+   * @param {Number} percent 0 (closed) to 100 (open)
+   * @returns {Promise<Object>} response from device
+   */
+  setPosition(percent) {
+    return this.set({dp: 'percent_control', set: this._fromPercent('percent_control', percent)});
+  }
+
+  /**
+   * Gets the position of the cover, as reported by the
+   * device, or the last position it was moved to if it
+   * doesn't report its position.
+   * @returns {Promise<Number>} 0 (closed) to 100 (open)
+   */
+  async getPosition() {
+    const data = await this.get({schema: true});
+    const values = this.schema.decode((data && data.dps) || {});
+
+    return values.percent_state === undefined ? values.percent_control : values.percent_state;
+  }
+
+  /**
+   * @protected
+   * @param {Object} changes changed values, by code
+   */
+  _handleChanges(changes) {
+    // Devices that report their position set `percent_state`
+    const position = 'percent_state' in this.values ? changes.percent_state : changes.percent_control;
+
+    if (position !== undefined) {
+      /**
+       * Emitted when the position changes.
+       * @event TuyaCover#position
+       * @property {Number} percent 0 (closed) to 100 (open)
+       */
+      this.emit('position', position);
+    }
+
+    if ('work_state' in changes) {
+      /**
+       * Emitted when the cover starts moving.
+       * @event TuyaCover#moving
+       * @property {String} direction `opening` or `closing`
+       */
+      this.emit('moving', changes.work_state);
+    }
+  }
+}
+
+/**
+ * A thermostat or heater. Temperatures are in °C,
+ * the target temperature in steps of 0.5 °C.
+ * @class
+ * @extends TypedDevice
+ * @param {Object} options options of `TuyaDevice`
+ * @example
+ * const thermostat = new TuyaThermostat({id: 'xxxxxxxxxxxxxxxxxxxx', key: 'xxxxxxxxxxxxxxxx'});
+ *
+ * thermostat.on('temperature', celsius => console.log(`It's ${celsius} °C`));
+ *
+ * await thermostat.setTargetTemperature(21.5);
+ */
+class TuyaThermostat extends TypedDevice {
+  constructor(options = {}) {
+    super(options, {
+      1: {code: 'switch', type: 'bool'},
+      2: {code: 'temp_set', type: 'value', min: 50, max: 350, step: 5, scale: 1, unit: '°C'},
+      3: {code: 'temp_current', type: 'value', scale: 1, unit: '°C', readOnly: true},
+      4: {code: 'mode', type: 'enum'}
+    });
+  }
+
+  /**
+   * Turns the thermostat on.
+   * @returns {Promise<Object>} response from device
+   */
+  turnOn() {
+    return this.set({dp: 'switch', set: true});
+  }
+
+  /**
+   * Turns the thermostat off.
+   * @returns {Promise<Object>} response from device
+   */
+  turnOff() {
+    return this.set({dp: 'switch', set: false});
+  }
+
+  /**
+   * Gets whether the thermostat is on.
+   * @returns {Promise<Boolean>} `true` if on
+   */
+  isOn() {
+    return this.get({dp: 'switch'});
+  }
+
+  /**
+   * Sets the target temperature.
+   * @param {Number} celsius temperature
+   * @returns {Promise<Object>} response from device
+   */
+  setTargetTemperature(celsius) {
+    return this.set({dp: 'temp_set', set: celsius});
+  }
+
+  /**
+   * Gets the target temperature.
+   * @returns {Promise<Number>} temperature, in °C
+   */
+  getTargetTemperature() {
+    return this.get({dp: 'temp_set'});
+  }
+
+  /**
+   * Gets the measured temperature.
+   * @returns {Promise<Number>} temperature, in °C
+   */
+  getTemperature() {
+    return this.get({dp: 'temp_current'});
+  }
+
+  /**
+   * Sets the mode, e.g. `auto` or `manual`.
+   * @param {String} mode mode, depends on the device
+   * @returns {Promise<Object>} response from device
+   */
+  setMode(mode) {
+    return this.set({dp: 'mode', set: mode});
+  }
+
+  /**
+   * Gets the mode.
+   * @returns {Promise<String>} mode
+   */
+  getMode() {
+    return this.get({dp: 'mode'});
+  }
+
+  /**
+   * @protected
+   * @param {Object} changes changed values, by code
+   */
+  _handleChanges(changes) {
+    if ('switch' in changes) {
+      /**
+       * Emitted when the thermostat is turned on or off.
+       * @event TuyaThermostat#switch
+       * @property {Boolean} on `true` if turned on
+       */
+      this.emit('switch', changes.switch);
+    }
+
+    if ('temp_current' in changes) {
+      /**
+       * Emitted when the measured temperature changes.
+       * @event TuyaThermostat#temperature
+       * @property {Number} celsius temperature
+       */
+      this.emit('temperature', changes.temp_current);
+    }
+
+    if ('temp_set' in changes) {
+      /**
+       * Emitted when the target temperature changes.
+       * @event TuyaThermostat#target-temperature
+       * @property {Number} celsius temperature
+       */
+      this.emit('target-temperature', changes.temp_set);
+    }
+
+    if ('mode' in changes) {
+      /**
+       * Emitted when the mode changes.
+       * @event TuyaThermostat#mode
+       * @property {String} mode mode
+       */
+      this.emit('mode', changes.mode);
+    }
+  }
+}
+
+module.exports = {TypedDevice, TuyaSwitch, TuyaPlug, TuyaBulb, TuyaCover, TuyaThermostat};
@@ -0,0 +1,512 @@
+const dgram = require('dgram');
+const os = require('os');
+const {EventEmitter} = require('events');
+const debug = require('debug')('TuyAPI:Discovery');
+
+const {MessageParser, CommandType} = require('./message-parser');
+const {UDP_KEY} = require('./config');
+const {expandTargets} = require('./utils');
+
+// 6666: unencrypted broadcasts, 6667: encrypted broadcasts, 6669: protocol 3.5
+const DISCOVERY_PORTS = [6666, 6667, 6669];
+
+/**
+ * Decodes a UDP broadcast sent by a device.
+ * Tries the common UDP key first, then the
+ * device's own key if one is given.
+ * @private
+ * @param {Buffer} message received broadcast
+ * @param {Object} [options] Options object
+ * @param {String} [options.key] localKey of a device, used as a fallback
+ * @param {Number|String} [options.version=3.1] protocol version to parse with
+ * @returns {Packet} decoded packet
+ */
+function decodeBroadcast(message, {key, version = 3.1} = {}) {
+  version = version.toString();
+
+  // Protocol 3.5 devices broadcast 0x6699 frames on port 6669,
+  // everything else uses 0x55AA frames
+  if (message.length >= 4 && message.readUInt32BE(0) === 0x00006699) {
+    version = '3.5';
+  } else if (version === '3.5') {
+    version = '3.4';
+  }
+
+  const parser = new MessageParser({key: UDP_KEY, version});
+
+  try {
+    const packet = parser.parse(message)[0];
+
+    // Some 3.5 broadcasts are padded with null bytes
+    if (Buffer.isBuffer(packet.payload) || typeof packet.payload === 'string') {
+      try {
+        packet.payload = JSON.parse(packet.payload.toString().replace(/\0+$/, ''));
+      } catch (_) {}
+    }
+
+    return packet;
+  } catch (error) {
+    if (!key) {
+      throw error;
+    }
+
+    debug(error);
+
+    const devParser = new MessageParser({key, version});
+    try {
+      return devParser.parse(message)[0];
+    } catch (devError) {
+      debug(devError);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Returns the first external IPv4 address of this machine.
+ * @private
+ * @returns {String} IPv4 address
+ */
+function getLocalAddress() {
+  const addresses = [].concat(...Object.values(os.networkInterfaces()));
+  const external = addresses.find(address => (address.family === 'IPv4' || address.family === 4) && !address.internal);
+
+  return external ? external.address : '127.0.0.1';
+}
+
+/**
+ * Asks devices to announce themselves instead of
+ * waiting for their periodic broadcast. Devices that
+ * support it (protocol 3.5 and some 3.4 firmware)
+ * answer with their regular discovery broadcast.
+ * @private
+ * @param {Object} [options] Options object
+ * @param {Array.<String>} [options.targets=['255.255.255.255']]
+ * addresses or CIDR ranges (e.g. `'192.168.1.0/24'`) to send the request to
+ * @param {Number} [options.port=7000] port devices listen on for requests
+ * @param {String} [options.localAddress] address devices should answer to,
+ * defaults to the first external IPv4 address
+ * @returns {Promise<Number>} number of requests sent
+ */
+function sendDiscoveryRequest({targets = ['255.255.255.255'], port = 7000, localAddress = getLocalAddress()} = {}) {
+  const addresses = expandTargets(targets);
+
+  const parser = new MessageParser({key: UDP_KEY, version: '3.5'});
+  const message = parser.encode({
+    data: {from: 'app', ip: localAddress},
+    commandByte: CommandType.REQ_DEVINFO,
+    sequenceN: 0
+  });
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+
+    socket.on('error', error => {
+      socket.close();
+      reject(error);
+    });
+
+    socket.bind(0, () => {
+      socket.setBroadcast(true);
+
+      let pending = addresses.length;
+
+      const done = () => {
+        socket.close();
+        resolve(addresses.length);
+      };
+
+      if (pending === 0) {
+        done();
+        return;
+      }
+
+      addresses.forEach(address => {
+        socket.send(message, port, address, error => {
+          if (error) {
+            // Unreachable hosts in a range are expected
+            debug(`Could not send discovery request to ${address}`, error);
+          }
+
+          if (--pending === 0) {
+            done();
+          }
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Starts receiving broadcasts, either on new sockets
+ * bound to the discovery ports or on sockets created
+ * by the caller. Sockets created by the caller are
+ * not closed by `close()`.
+ * @private
+ * @param {Object} options Options object
+ * @param {Array.<Number>} [options.ports=[6666, 6667, 6669]] ports to bind
+ * @param {String} [options.address] local address to bind to, all interfaces if omitted
+ * @param {Array.<dgram.Socket>} [options.sockets] sockets to use instead of binding new ones
+ * @param {Function} options.onMessage called with `(message, rinfo)`
+ * @param {Function} options.onError called with socket errors
+ * @returns {Object} `{ready, close}`, `ready` resolves once every socket is bound
+ */
+function listenForBroadcasts({ports = DISCOVERY_PORTS, address, sockets, onMessage, onError}) {
+  const owned = !sockets;
+
+  if (owned) {
+    sockets = ports.map(port => {
+      const socket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+      socket.bind(port, address);
+      return socket;
+    });
+  }
+
+  sockets.forEach(socket => {
+    socket.on('message', onMessage);
+    socket.on('error', onError);
+  });
+
+  const ready = Promise.all(sockets.map(socket => new Promise(resolve => {
+    try {
+      // Throws if the socket isn't bound yet
+      socket.address();
+      resolve();
+    } catch (_) {
+      socket.once('listening', resolve);
+    }
+  })));
+
+  return {
+    ready,
+    close() {
+      sockets.forEach(socket => {
+        socket.removeListener('message', onMessage);
+        socket.removeListener('error', onError);
+
+        if (owned) {
+          socket.close();
+          socket.removeAllListeners();
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Listens for UDP broadcasts from devices on
+ * the local network.
+ * @class
+ * @private
+ * @param {Object} [options] Options object
+ * @param {Array.<Number>} [options.ports=[6666, 6667, 6669]] ports to listen on
+ * @param {String} [options.address] local address to bind to, all interfaces if omitted.
+ * On Linux, bind to an interface's broadcast address (e.g. `192.168.1.255`)
+ * to only receive broadcasts from that network.
+ * @param {Array.<dgram.Socket>} [options.sockets] already created
+ * sockets to listen on instead of binding new ones
+ * @example
+ * const listener = new DiscoveryListener();
+ * listener.on('broadcast', info => console.log(info.id, info.ip));
+ * listener.start();
+ */
+class DiscoveryListener extends EventEmitter {
+  constructor({ports = DISCOVERY_PORTS, address, sockets} = {}) {
+    super();
+
+    this.ports = ports;
+    this.address = address;
+    this.sockets = sockets;
+    this._listener = null;
+  }
+
+  /**
+   * Binds the listening sockets.
+   * @returns {Promise<Boolean>} `true` once every socket is listening
+   */
+  start() {
+    if (this._listener) {
+      return this._listener.ready.then(() => true);
+    }
+
+    return new Promise((resolve, reject) => {
+      let ready = false;
+
+      this._listener = listenForBroadcasts({
+        ports: this.ports,
+        address: this.address,
+        sockets: this.sockets,
+        onMessage: (message, rinfo) => this._handleMessage(message, rinfo),
+        onError: error => {
+          debug(error);
+
+          if (ready) {
+            this.emit('error', error);
+          } else {
+            this.stop();
+            reject(error);
+          }
+        }
+      });
+
+      this._listener.ready.then(() => {
+        ready = true;
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Closes the listening sockets.
+   */
+  stop() {
+    if (this._listener) {
+      this._listener.close();
+      this._listener = null;
+    }
+  }
+
+  /**
+   * Returns whether the listener is running.
+   * @returns {Boolean}
+   */
+  isListening() {
+    return this._listener !== null;
+  }
+
+  /**
+   * Decodes a received message and emits it.
+   * @private
+   * @param {Buffer} message received message
+   * @param {Object} rinfo remote address information
+   */
+  _handleMessage(message, rinfo) {
+    let packet;
+
+    try {
+      packet = decodeBroadcast(message);
+    } catch (error) {
+      debug('Could not decode UDP message', error);
+      return;
+    }
+
+    if (!packet.payload || typeof packet.payload !== 'object') {
+      debug('Received string payload. Ignoring.');
+      return;
+    }
+
+    const {payload} = packet;
+
+    /**
+     * Emitted for every decoded broadcast.
+     * @event DiscoveryListener#broadcast
+     * @property {Object} info device information
+     * @property {String} info.id ID of device
+     * @property {String} info.ip IP of device
+     * @property {String} info.version protocol version
+     * @property {String} info.productKey product key of device
+     * @property {Object} info.payload complete broadcast payload
+     * @property {Object} rinfo remote address information
+     */
+    this.emit('broadcast', {
+      id: payload.gwId || payload.devId,
+      ip: payload.ip || rinfo.address,
+      version: payload.version,
+      productKey: payload.productKey,
+      payload
+    }, rinfo);
+  }
+}
+
+/**
+ * Long-running discovery service. Keeps listening
+ * for broadcasts and tracks which devices are present
+ * on the network, their address and protocol version.
+ * @class
+ * @param {Object} [options] Options object
+ * @param {Array.<Number>} [options.ports=[6666, 6667, 6669]] ports to listen on
+ * @param {String} [options.address] local address to bind to, see `DiscoveryListener`
+ * @param {Array.<dgram.Socket>} [options.sockets] already created sockets to listen on
+ * @param {Number} [options.interval=5] how often, in seconds,
+ * devices are expected to broadcast
+ * @param {Number} [options.lostAfter=3] number of intervals without
+ * a broadcast before a device is considered lost
+ * @example
+ * const discovery = new TuyaDiscovery();
+ *
+ * discovery.on('deviceFound', device => console.log('found', device.id, device.ip));
+ * discovery.on('deviceLost', device => console.log('lost', device.id));
+ *
+ * discovery.start();
+ */
+class TuyaDiscovery extends DiscoveryListener {
+  constructor({ports, address, sockets, interval = 5, lostAfter = 3} = {}) {
+    super({ports, address, sockets});
+
+    this.interval = interval;
+    this.lostAfter = lostAfter;
+
+    this._registry = new Map();
+    this._tracked = new Map();
+    this._lostInterval = null;
+
+    this.on('broadcast', info => this._updateRegistry(info));
+  }
+
+  /**
+   * Starts listening and checking for lost devices.
+   * @returns {Promise<Boolean>} `true` once listening
+   */
+  start() {
+    if (!this._lostInterval) {
+      this._lostInterval = setInterval(() => this._checkLost(), this.interval * 1000);
+    }
+
+    return super.start();
+  }
+
+  /**
+   * Stops listening. The registry is kept.
+   */
+  stop() {
+    clearInterval(this._lostInterval);
+    this._lostInterval = null;
+
+    super.stop();
+  }
+
+  /**
+   * Asks devices to announce themselves right away.
+   * Answers are handled like regular broadcasts.
+   * @param {Object} [options] see `sendDiscoveryRequest()`
+   * @param {Array.<String>} [options.targets=['255.255.255.255']]
+   * addresses or CIDR ranges to probe
+   * @returns {Promise<Number>} number of requests sent
+   */
+  probe(options) {
+    return sendDiscoveryRequest(options);
+  }
+
+  /**
+   * Gets a device from the registry.
+   * @param {String} id ID of device
+   * @returns {Object|undefined} `{id, ip, version, productKey, lastSeen}`
+   */
+  getDevice(id) {
+    return this._registry.get(id);
+  }
+
+  /**
+   * Returns every device currently present.
+   * @returns {Array.<Object>} `{id, ip, version, productKey, lastSeen}` entries
+   */
+  getDevices() {
+    return [...this._registry.values()];
+  }
+
+  /**
+   * Keeps the IP and protocol version of a `TuyaDevice`
+   * up to date with what the device broadcasts.
+   * @param {TuyaDevice} device device to update
+   */
+  track(device) {
+    this._tracked.set(device.device.id, device);
+
+    const known = this._registry.get(device.device.id);
+    if (known) {
+      device.updateDeviceInfo(known);
+    }
+  }
+
+  /**
+   * Stops updating a `TuyaDevice`.
+   * @param {TuyaDevice} device device to stop updating
+   */
+  untrack(device) {
+    if (this._tracked.get(device.device.id) === device) {
+      this._tracked.delete(device.device.id);
+    }
+  }
+
+  /**
+   * Adds or updates a registry entry from a broadcast.
+   * @private
+   * @param {Object} info device information from broadcast
+   */
+  _updateRegistry(info) {
+    if (!info.id) {
+      return;
+    }
+
+    const previous = this._registry.get(info.id);
+    const entry = {
+      id: info.id,
+      ip: info.ip,
+      version: info.version,
+      productKey: info.productKey,
+      lastSeen: new Date()
+    };
+
+    this._registry.set(info.id, entry);
+
+    if (this._tracked.has(info.id)) {
+      this._tracked.get(info.id).updateDeviceInfo(entry);
+    }
+
+    if (!previous) {
+      debug(`Found device ${entry.id} at ${entry.ip}`);
+
+      /**
+       * Emitted when a device broadcasts for the first time,
+       * or again after it was lost.
+       * @event TuyaDiscovery#deviceFound
+       * @property {Object} device `{id, ip, version, productKey, lastSeen}`
+       */
+      this.emit('deviceFound', entry);
+    } else if (previous.ip !== entry.ip || previous.version !== entry.version) {
+      debug(`Device ${entry.id} changed from ${previous.ip} (${previous.version}) to ${entry.ip} (${entry.version})`);
+
+      /**
+       * Emitted when the IP or protocol version
+       * of a known device changes.
+       * @event TuyaDiscovery#deviceUpdated
+       * @property {Object} device `{id, ip, version, productKey, lastSeen}`
+       * @property {Object} previous entry before the change
+       */
+      this.emit('deviceUpdated', entry, previous);
+    }
+  }
+
+  /**
+   * Removes devices that stopped broadcasting.
+   * @private
+   */
+  _checkLost() {
+    const threshold = Date.now() - (this.interval * this.lostAfter * 1000);
+
+    this._registry.forEach((entry, id) => {
+      if (entry.lastSeen.getTime() < threshold) {
+        debug(`Lost device ${id}`);
+
+        this._registry.delete(id);
+
+        /**
+         * Emitted when a device did not broadcast
+         * for `lostAfter` intervals.
+         * @event TuyaDiscovery#deviceLost
+         * @property {Object} device last known `{id, ip, version, productKey, lastSeen}`
+         */
+        this.emit('deviceLost', entry);
+      }
+    });
+  }
+}
+
+module.exports = {
+  TuyaDiscovery,
+  DiscoveryListener,
+  DISCOVERY_PORTS,
+  decodeBroadcast,
+  listenForBroadcasts,
+  sendDiscoveryRequest
+};
@@ -0,0 +1,613 @@
+const net = require('net');
+const dgram = require('dgram');
+const {EventEmitter} = require('events');
+const debug = require('debug')('TuyAPI:Emulator');
+
+const {MessageParser, CommandType} = require('./message-parser');
+const {TuyaHmacMismatchError} = require('./errors');
+const {UDP_KEY} = require('./config');
+
+// Ports devices broadcast on, by protocol version
+const BROADCAST_PORTS = {
+  3.1: 6666,
+  3.2: 6667,
+  3.3: 6667,
+  3.4: 6667,
+  3.5: 6669
+};
+
+/**
+ * Acts as a Tuya device on the local machine, to test
+ * against without the hardware. Speaks protocol 3.1 to 3.5,
+ * including the session key negotiation of 3.4 and 3.5.
+ *
+ * Answers status queries, applies set requests and reports
+ * the change, answers DPS refreshes, scenes, Wi-Fi queries
+ * and heartbeats, pushes status updates made with `setState()`
+ * and sends discovery broadcasts. Emulates a gateway when
+ * given sub-devices.
+ * @class
+ * @param {Object} options Options object
+ * @param {String} options.id ID of emulated device
+ * @param {String} options.key localKey of emulated device
+ * @param {Number|String} [options.version=3.3] protocol version
+ * @param {String} [options.gwID=options.id] gateway ID of emulated device
+ * @param {String} [options.productKey=''] product key to broadcast
+ * @param {String} [options.ip='127.0.0.1'] IP address to broadcast
+ * @param {Object} [options.state={}] initial DPS of emulated device
+ * @param {Object} [options.subDevices={}] initial DPS of sub-devices of
+ * an emulated gateway, by `cid`
+ * @param {Array.<String|Number>} [options.scenes=[]] IDs of scenes the
+ * emulated device can run
+ * @param {Object} [options.wifi] `ssid`, `rssi` and `channel` to answer
+ * Wi-Fi queries with, refuses them if omitted
+ * @example
+ * const emulator = new TuyaEmulator({id: 'xxxxxxxxxxxxxxxxxxxx',
+ *                                    key: 'xxxxxxxxxxxxxxxx',
+ *                                    version: 3.4,
+ *                                    state: {1: false}});
+ * await emulator.listen();
+ *
+ * const device = new TuyaDevice({id: 'xxxxxxxxxxxxxxxxxxxx',
+ *                                key: 'xxxxxxxxxxxxxxxx',
+ *                                ip: '127.0.0.1',
+ *                                version: 3.4});
+ */
+class TuyaEmulator extends EventEmitter {
+  constructor({id, key, version = 3.3, gwID = id, productKey = '', ip = '127.0.0.1', state = {}, subDevices = {}, scenes = [], wifi = null} = {}) {
+    super();
+
+    version = version.toString();
+
+    if (!BROADCAST_PORTS[version]) {
+      throw new TypeError(`Unsupported protocol version: ${version}.`);
+    }
+
+    if (typeof key !== 'string' || key.length !== 16) {
+      throw new TypeError('Key is missing or incorrect.');
+    }
+
+    this.device = {id, gwID, key, version, productKey, ip};
+    this.state = {...state};
+    this.subDevices = {};
+    this.scenes = scenes.map(String);
+    this.wifi = wifi;
+
+    Object.keys(subDevices).forEach(cid => {
+      this.subDevices[cid] = {...subDevices[cid]};
+    });
+
+    this._server = null;
+    this._connections = new Set();
+    this._broadcastSocket = null;
+    this._broadcastInterval = null;
+  }
+
+  /**
+   * Starts accepting connections.
+   * @param {Object} [options] Options object
+   * @param {Number} [options.port=6668] port to listen on, `0` for a random free port
+   * @param {String} [options.host] address to listen on, all interfaces if omitted
+   * @returns {Promise<Number>} port listened on
+   */
+  listen({port = 6668, host} = {}) {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this._handleConnection(socket));
+
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        server.on('error', error => this.emit('error', error));
+
+        this._server = server;
+
+        debug(`Emulating ${this.device.id} (${this.device.version}) on port ${server.address().port}`);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stops broadcasting, drops every connection
+   * and stops accepting new ones.
+   * @returns {Promise} resolves once closed
+   */
+  close() {
+    this.stopBroadcasting();
+
+    this._connections.forEach(connection => connection.socket.destroy());
+    this._connections.clear();
+
+    if (!this._server) {
+      return Promise.resolve();
+    }
+
+    const server = this._server;
+    this._server = null;
+
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Changes DPS of the emulated device, as if changed
+   * on the device itself, and reports them to every
+   * connected client.
+   * @param {Object} dps DPS to change, e.g. `{1: true}`
+   */
+  setState(dps) {
+    Object.assign(this.state, dps);
+
+    this._connections.forEach(connection => {
+      if (connection.ready) {
+        this._sendStatus(connection, dps, 0);
+      }
+    });
+  }
+
+  /**
+   * Changes DPS of a sub-device, see `setState()`.
+   * @param {String} cid ID of sub-device
+   * @param {Object} dps DPS to change
+   */
+  setSubDeviceState(cid, dps) {
+    this.subDevices[cid] = {...this.subDevices[cid], ...dps};
+
+    this._connections.forEach(connection => {
+      if (connection.ready) {
+        this._sendStatus(connection, dps, 0, cid);
+      }
+    });
+  }
+
+  /**
+   * Pairs a sub-device and reports the
+   * sub-devices to every connected client.
+   * @param {String} cid ID of sub-device
+   * @param {Object} [state={}] initial DPS of sub-device
+   */
+  addSubDevice(cid, state = {}) {
+    this.subDevices[cid] = {...state};
+
+    this._connections.forEach(connection => {
+      if (connection.ready) {
+        this._send(connection, {
+          data: this._subDeviceReport(),
+          commandByte: CommandType.LAN_REPORT_SUB_DEV,
+          sequenceN: 0
+        });
+      }
+    });
+  }
+
+  /**
+   * Removes a sub-device, as if it was unpaired,
+   * and reports it to every connected client.
+   * @param {String} cid ID of sub-device
+   */
+  removeSubDevice(cid) {
+    delete this.subDevices[cid];
+
+    this._connections.forEach(connection => {
+      if (connection.ready) {
+        this._send(connection, {
+          data: {cids: [cid]},
+          commandByte: CommandType.LAN_DELETE_SUB_DEV,
+          sequenceN: 0
+        });
+      }
+    });
+  }
+
+  /**
+   * Sends a single discovery broadcast, in the format
+   * devices of the emulated protocol version use.
+   * @param {Object} [options] Options object
+   * @param {String} [options.address='255.255.255.255'] address to send to
+   * @param {Number} [options.port] port to send to, defaults to the
+   * port of the protocol version (6666, 6667 or 6669)
+   * @returns {Promise} resolves once sent
+   */
+  broadcast({address = '255.255.255.255', port = BROADCAST_PORTS[this.device.version]} = {}) {
+    const message = this._encodeBroadcast();
+
+    // Reuse the socket of periodic broadcasts
+    const socket = this._broadcastSocket || dgram.createSocket('udp4');
+    const owned = socket !== this._broadcastSocket;
+
+    return new Promise((resolve, reject) => {
+      const send = () => socket.send(message, port, address, error => {
+        if (owned) {
+          socket.close();
+        }
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+
+      if (!owned) {
+        send();
+        return;
+      }
+
+      socket.once('error', error => {
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(0, () => {
+        socket.setBroadcast(true);
+        send();
+      });
+    });
+  }
+
+  /**
+   * Sends a discovery broadcast periodically, like
+   * a device does.
+   * @param {Object} [options] see `broadcast()`, and:
+   * @param {Number} [options.interval=5] seconds between broadcasts
+   */
+  startBroadcasting({interval = 5, ...options} = {}) {
+    this.stopBroadcasting();
+
+    const socket = dgram.createSocket('udp4');
+    this._broadcastSocket = socket;
+
+    socket.on('error', error => this.emit('error', error));
+
+    socket.bind(0, () => {
+      // Stopped while binding
+      if (this._broadcastSocket !== socket) {
+        return;
+      }
+
+      socket.setBroadcast(true);
+
+      const broadcast = () => this.broadcast(options).catch(error => this.emit('error', error));
+
+      this._broadcastInterval = setInterval(broadcast, interval * 1000);
+      broadcast();
+    });
+  }
+
+  /**
+   * Stops periodic broadcasts.
+   */
+  stopBroadcasting() {
+    clearInterval(this._broadcastInterval);
+    this._broadcastInterval = null;
+
+    if (this._broadcastSocket) {
+      this._broadcastSocket.close();
+      this._broadcastSocket = null;
+    }
+  }
+
+  /**
+   * Encodes a discovery broadcast. Protocol 3.1 devices
+   * broadcast in plain text, 3.2 to 3.4 encrypt with the
+   * common UDP key and 3.5 use 0x6699 frames.
+   * @private
+   * @returns {Buffer} encoded broadcast
+   */
+  _encodeBroadcast() {
+    const {id, gwID, ip, productKey, version} = this.device;
+
+    const payload = {
+      ip,
+      gwId: gwID,
+      active: 2,
+      ability: 0,
+      mode: 0,
+      encrypt: version !== '3.1',
+      productKey,
+      version
+    };
+
+    debug(`Broadcasting ${id}`);
+
+    if (version === '3.1') {
+      return new MessageParser({version}).encode({
+        data: payload,
+        commandByte: CommandType.UDP,
+        sequenceN: 0
+      });
+    }
+
+    return new MessageParser({key: UDP_KEY, version: version === '3.5' ? '3.5' : '3.3'}).encode({
+      data: payload,
+      commandByte: CommandType.UDP_NEW,
+      sequenceN: 0
+    });
+  }
+
+  /**
+   * Sets up a new client connection.
+   * @private
+   * @param {net.Socket} socket socket of client
+   */
+  _handleConnection(socket) {
+    const {key, version} = this.device;
+
+    const connection = {
+      socket,
+      parser: new MessageParser({key, version, asDevice: true}),
+      // Protocol 3.4 and 3.5 need a session key first
+      ready: version !== '3.4' && version !== '3.5',
+      clientNonce: null,
+      deviceNonce: null
+    };
+
+    this._connections.add(connection);
+
+    socket.on('data', data => {
+      try {
+        for (const packet of connection.parser.push(data)) {
+          this._handlePacket(connection, packet);
+        }
+      } catch (error) {
+        debug('Dropping client', error);
+
+        /**
+         * Emitted when a client sends data that can't be
+         * handled. The client is disconnected.
+         * @event TuyaEmulator#clientError
+         * @property {Error} error error
+         * @property {net.Socket} socket socket of client
+         */
+        this.emit('clientError', error, socket);
+        socket.destroy();
+      }
+    });
+
+    socket.on('error', error => debug('Client socket error', error));
+
+    socket.on('close', () => {
+      this._connections.delete(connection);
+    });
+
+    /**
+     * Emitted when a client connects.
+     * @event TuyaEmulator#connection
+     * @property {net.Socket} socket socket of client
+     */
+    this.emit('connection', socket);
+  }
+
+  /**
+   * Answers a packet from a client.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Packet} packet received packet
+   */
+  _handlePacket(connection, packet) {
+    const {commandByte, sequenceN} = packet;
+
+    debug(`Received command ${commandByte} (${sequenceN})`);
+
+    /**
+     * Emitted for every packet received from a client.
+     * @event TuyaEmulator#request
+     * @property {Packet} packet received packet
+     */
+    this.emit('request', packet);
+
+    if (commandByte === CommandType.SESS_KEY_NEG_START) {
+      this._startNegotiation(connection, packet);
+    } else if (commandByte === CommandType.SESS_KEY_NEG_FINISH) {
+      this._finishNegotiation(connection, packet);
+    } else if (commandByte === CommandType.DP_QUERY || commandByte === CommandType.DP_QUERY_NEW) {
+      const cid = packet.payload && packet.payload.cid;
+
+      this._send(connection, {
+        data: cid ? {devId: this.device.id, cid, dps: this.subDevices[cid] || {}} : {devId: this.device.id, dps: this.state},
+        commandByte,
+        sequenceN
+      });
+    } else if (commandByte === CommandType.CONTROL || commandByte === CommandType.CONTROL_NEW) {
+      this._handleSet(connection, packet);
+    } else if (commandByte === CommandType.DP_REFRESH) {
+      this._handleRefresh(connection, packet);
+    } else if (commandByte === CommandType.HEART_BEAT) {
+      this._send(connection, {commandByte, sequenceN});
+    } else if (commandByte === CommandType.QUERY_WIFI) {
+      this._send(connection, this.wifi ?
+        {data: {devId: this.device.id, ...this.wifi}, commandByte, sequenceN, encrypted: true} :
+        {data: 'data format error', commandByte, sequenceN, returnCode: 1});
+    } else if (commandByte === CommandType.SCENE_EXECUTE || commandByte === CommandType.LAN_SCENE) {
+      this._handleScene(connection, packet);
+    } else if (commandByte === CommandType.LAN_SUB_DEV_REQUEST) {
+      this._send(connection, {
+        data: this._subDeviceReport(),
+        commandByte: CommandType.LAN_REPORT_SUB_DEV,
+        sequenceN
+      });
+    } else {
+      debug(`Ignoring unsupported command ${commandByte}`);
+    }
+  }
+
+  /**
+   * Applies a set request and reports the new state.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Packet} packet received packet
+   */
+  _handleSet(connection, {commandByte, sequenceN, payload}) {
+    const {dps = {}, cid} = payload || {};
+    const state = cid ? this.subDevices[cid] || {} : this.state;
+
+    // `null` asks for the current value, protocol 3.2 gets DPS this way
+    const changed = {};
+    const reported = {};
+
+    Object.keys(dps).forEach(dp => {
+      if (dps[dp] !== null) {
+        changed[dp] = dps[dp];
+      }
+
+      reported[dp] = dps[dp] === null ? state[dp] : dps[dp];
+    });
+
+    Object.assign(state, changed);
+
+    // Acknowledge, then report the new state
+    this._send(connection, {commandByte, sequenceN});
+    this._sendStatus(connection, reported, sequenceN, cid);
+
+    if (Object.keys(changed).length > 0) {
+      /**
+       * Emitted when a client changes DPS.
+       * @event TuyaEmulator#set
+       * @property {Object} dps changed DPS
+       * @property {String} [cid] ID of sub-device the DPS belong to
+       */
+      this.emit('set', changed, cid);
+    }
+  }
+
+  /**
+   * Runs a scene, or answers with an
+   * error if the device doesn't have it.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Packet} packet received packet
+   */
+  _handleScene(connection, {commandByte, sequenceN, payload}) {
+    const {sceneId} = payload || {};
+
+    if (sceneId === undefined || !this.scenes.includes(String(sceneId))) {
+      this._send(connection, {data: 'scene not found', commandByte, sequenceN, returnCode: 1});
+      return;
+    }
+
+    this._send(connection, {commandByte, sequenceN});
+
+    /**
+     * Emitted when a client runs a scene.
+     * @event TuyaEmulator#scene
+     * @property {String|Number} sceneId ID of scene
+     */
+    this.emit('scene', sceneId);
+  }
+
+  /**
+   * Reports the requested DPS, or answers
+   * empty if the device has none of them.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Packet} packet received packet
+   */
+  _handleRefresh(connection, {commandByte, sequenceN, payload}) {
+    const {dpId: requested = [], cid} = payload || {};
+    const state = cid ? this.subDevices[cid] || {} : this.state;
+    const dps = {};
+
+    requested.filter(dp => dp in state).forEach(dp => {
+      dps[dp] = state[dp];
+    });
+
+    if (Object.keys(dps).length > 0) {
+      this._sendStatus(connection, dps, sequenceN, cid);
+    } else {
+      this._send(connection, {commandByte, sequenceN});
+    }
+  }
+
+  /**
+   * Answers the start of a session key negotiation
+   * with the device's nonce.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Packet} packet received packet
+   */
+  _startNegotiation(connection, packet) {
+    const {cipher} = connection.parser;
+
+    connection.ready = false;
+    connection.clientNonce = packet.payload;
+    connection.deviceNonce = cipher.random();
+
+    this._send(connection, {
+      data: Buffer.concat([connection.deviceNonce, cipher.hmac(connection.clientNonce)]),
+      commandByte: CommandType.SESS_KEY_NEG_RES,
+      sequenceN: packet.sequenceN
+    });
+  }
+
+  /**
+   * Checks the client's proof of the device key and
+   * switches to the negotiated session key.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Packet} packet received packet
+   */
+  _finishNegotiation(connection, packet) {
+    const {cipher} = connection.parser;
+    const expected = cipher.hmac(connection.deviceNonce || Buffer.alloc(0));
+
+    if (!Buffer.isBuffer(packet.payload) || !packet.payload.equals(expected)) {
+      throw new TuyaHmacMismatchError('HMAC mismatch(keys): client used a different key.', {
+        deviceId: this.device.id,
+        commandByte: packet.commandByte,
+        sequenceN: packet.sequenceN
+      });
+    }
+
+    cipher.setSessionKey(cipher.deriveSessionKey(connection.clientNonce, connection.deviceNonce));
+    connection.ready = true;
+
+    debug('Session key negotiated');
+  }
+
+  /**
+   * Reports DPS to a client.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Object} dps DPS to report
+   * @param {Number} sequenceN sequence number of request, `0` if unsolicited
+   * @param {String} [cid] ID of sub-device the DPS belong to
+   */
+  _sendStatus(connection, dps, sequenceN, cid) {
+    const t = Math.round(Date.now() / 1000);
+    const {version} = this.device;
+    const status = cid ? {cid, dps} : {dps};
+
+    this._send(connection, {
+      data: version === '3.4' || version === '3.5' ?
+        {protocol: 4, t, data: status} :
+        {devId: this.device.id, ...status, t},
+      commandByte: CommandType.STATUS,
+      sequenceN,
+      encrypted: true
+    });
+  }
+
+  /**
+   * Returns the report of the sub-devices of a gateway.
+   * @private
+   * @returns {Object} `{online, offline}` lists of `cid`s
+   */
+  _subDeviceReport() {
+    return {online: Object.keys(this.subDevices), offline: []};
+  }
+
+  /**
+   * Encodes and writes a packet to a client.
+   * @private
+   * @param {Object} connection connection of client
+   * @param {Object} options see `MessageParser#encode()`
+   */
+  _send(connection, {data = Buffer.alloc(0), ...options}) {
+    if (connection.socket.destroyed) {
+      return;
+    }
+
+    connection.socket.write(connection.parser.encode({data, ...options}));
+  }
+}
+
+module.exports = {TuyaEmulator, BROADCAST_PORTS};
@@ -0,0 +1,143 @@
+/**
+ * Base class for errors raised by TuyAPI.
+ * All errors carry a stable `code` to check
+ * against instead of the message.
+ * @class
+ * @param {String} message error message
+ * @param {Object} [details] Details object
+ * @param {String} [details.code='ERR_TUYA'] error code
+ * @param {String} [details.deviceId] ID of device the error relates to
+ * @param {Number} [details.commandByte] command byte of the packet the error relates to
+ * @param {Number} [details.sequenceN] sequence number of the packet the error relates to
+ * @param {Error} [details.cause] underlying error
+ * @example
+ * device.on('error', error => {
+ *   if (error.code === 'ERR_TUYA_TIMEOUT') {
+ *     console.log(`${error.deviceId} did not respond`);
+ *   }
+ * });
+ */
+class TuyaError extends Error {
+  constructor(message, {code = 'ERR_TUYA', deviceId, commandByte, sequenceN, cause} = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = code;
+    this.deviceId = deviceId;
+    this.commandByte = commandByte;
+    this.sequenceN = sequenceN;
+
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * A device didn't respond, or a connection
+ * or search didn't complete, in time.
+ * @class
+ * @extends TuyaError
+ */
+class TuyaTimeoutError extends TuyaError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_TIMEOUT', ...details});
+  }
+}
+
+/**
+ * The connection to a device failed or was lost.
+ * @class
+ * @extends TuyaError
+ */
+class TuyaConnectionError extends TuyaError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_CONNECTION', ...details});
+  }
+}
+
+/**
+ * Received data isn't a valid packet.
+ * @class
+ * @extends TuyaError
+ */
+class TuyaParseError extends TuyaError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_PARSE', ...details});
+  }
+}
+
+/**
+ * The CRC of a received packet doesn't match its contents.
+ * @class
+ * @extends TuyaParseError
+ */
+class TuyaCrcError extends TuyaParseError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_CRC', ...details});
+  }
+}
+
+/**
+ * The HMAC of a received packet or session key doesn't match,
+ * usually because the device key is wrong.
+ * @class
+ * @extends TuyaParseError
+ */
+class TuyaHmacMismatchError extends TuyaParseError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_HMAC_MISMATCH', ...details});
+  }
+}
+
+/**
+ * A payload couldn't be decrypted.
+ * @class
+ * @extends TuyaParseError
+ */
+class TuyaDecryptError extends TuyaParseError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_DECRYPT', ...details});
+  }
+}
+
+/**
+ * The device reported an error.
+ * @class
+ * @extends TuyaError
+ * @param {String} message error message
+ * @param {Object} [details] see `TuyaError`, and:
+ * @param {Number} [details.returnCode] return code sent by the device
+ * @param {*} [details.payload] payload sent by the device
+ */
+class TuyaDeviceError extends TuyaError {
+  constructor(message, {returnCode, payload, ...details} = {}) {
+    super(message, {code: 'ERR_TUYA_DEVICE', ...details});
+
+    this.returnCode = returnCode;
+    this.payload = payload;
+  }
+}
+
+/**
+ * The device doesn't support a command.
+ * @class
+ * @extends TuyaDeviceError
+ */
+class TuyaUnsupportedError extends TuyaDeviceError {
+  constructor(message, details = {}) {
+    super(message, {code: 'ERR_TUYA_UNSUPPORTED', ...details});
+  }
+}
+
+module.exports = {
+  TuyaError,
+  TuyaTimeoutError,
+  TuyaConnectionError,
+  TuyaParseError,
+  TuyaCrcError,
+  TuyaHmacMismatchError,
+  TuyaDecryptError,
+  TuyaDeviceError,
+  TuyaUnsupportedError
+};
@@ -0,0 +1,279 @@
+const {EventEmitter} = require('events');
+const debug = require('debug')('TuyAPI:Gateway');
+
+const TuyaDevice = require('..');
+const {CommandType} = require('./message-parser');
+
+/**
+ * A device paired to a Zigbee or BLE gateway, addressed
+ * by its `cid`. Requests are sent through the gateway,
+ * and the gateway's data about the sub-device is emitted
+ * as `data` and `dp-refresh` events, like `TuyaDevice` does.
+ * Created by `TuyaGateway#subDevice()`.
+ * @class
+ * @param {TuyaGateway} gateway gateway the sub-device is paired to
+ * @param {String} cid ID of sub-device, also called node ID
+ */
+class TuyaSubDevice extends EventEmitter {
+  constructor(gateway, cid) {
+    super();
+
+    this.gateway = gateway;
+    this.cid = cid;
+
+    // Unknown until the gateway reports its sub-devices
+    this.online = undefined;
+  }
+
+  /**
+   * Gets the sub-device's status, see `TuyaDevice#get()`.
+   * @param {Object} [options] Options object
+   * @returns {Promise<Object|Boolean|Number|String>} status
+   */
+  get(options = {}) {
+    return this.gateway.get({...options, cid: this.cid});
+  }
+
+  /**
+   * Sets properties of the sub-device, see `TuyaDevice#set()`.
+   * @param {Object} options Options object
+   * @returns {Promise<Object>} response from gateway
+   */
+  set(options) {
+    return this.gateway.set({...options, cid: this.cid});
+  }
+
+  /**
+   * Refreshes the sub-device's status, see `TuyaDevice#refresh()`.
+   * @param {Object} [options] Options object
+   * @returns {Promise<Object>} refreshed DPS
+   */
+  refresh(options = {}) {
+    return this.gateway.refresh({...options, cid: this.cid});
+  }
+
+  /**
+   * Toggles a boolean property.
+   * @param {Number} [property=1] property to toggle
+   * @returns {Promise<Boolean>} the resulting state
+   */
+  async toggle(property = '1') {
+    property = property.toString();
+
+    const status = await this.get({dps: property});
+
+    await this.set({set: !status, dps: property});
+
+    return this.get({dps: property});
+  }
+}
+
+/**
+ * Reads the `cid`s of a sub-device report of a gateway.
+ * Lists are either `online` and `offline`, or `cids`,
+ * of IDs or of objects with a `cid`.
+ * @private
+ * @param {Object} payload payload of report
+ * @returns {Array.<Object>} `{cid, online}` of every sub-device,
+ * `online` is `undefined` if not reported
+ */
+function parseSubDevices(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  const list = (cids, online) => (Array.isArray(cids) ? cids : []).map(entry => ({
+    cid: typeof entry === 'object' && entry !== null ? entry.cid : entry,
+    online: typeof entry === 'object' && entry !== null && typeof entry.online === 'boolean' ? entry.online : online
+  })).filter(({cid}) => typeof cid === 'string');
+
+  return [
+    ...list(payload.online, true),
+    ...list(payload.offline, false),
+    ...list(payload.cids || payload.data, undefined)
+  ];
+}
+
+/**
+ * A Zigbee or BLE gateway. Keeps an object for every
+ * sub-device, by `cid`, and routes the gateway's data
+ * to the sub-device it's about.
+ * @class
+ * @extends TuyaDevice
+ * @param {Object} options options of `TuyaDevice`, and:
+ * @param {Array.<String>} [options.subDevices=[]] `cid`s of known sub-devices
+ * @example
+ * const gateway = new TuyaGateway({id: 'xxxxxxxxxxxxxxxxxxxx', key: 'xxxxxxxxxxxxxxxx'});
+ *
+ * await gateway.connect();
+ * await gateway.listSubDevices();
+ *
+ * const sensor = gateway.subDevice('a4c1380a6b1c0d2e');
+ * sensor.on('dp-refresh', data => console.log(data.dps));
+ * await sensor.set({dps: 1, set: true});
+ */
+class TuyaGateway extends TuyaDevice {
+  constructor({subDevices = [], ...options} = {}) {
+    super(options);
+
+    this._subDevices = new Map();
+
+    subDevices.forEach(cid => this.subDevice(cid));
+
+    this.on('data', (...args) => this._routeData('data', args));
+    this.on('dp-refresh', (...args) => this._routeData('dp-refresh', args));
+  }
+
+  /**
+   * Known sub-devices.
+   * @type {Array.<TuyaSubDevice>}
+   */
+  get subDevices() {
+    return [...this._subDevices.values()];
+  }
+
+  /**
+   * Returns the sub-device with a `cid`, creating it if unknown.
+   * @param {String} cid ID of sub-device
+   * @returns {TuyaSubDevice} sub-device
+   */
+  subDevice(cid) {
+    if (typeof cid !== 'string' || cid === '') {
+      throw new TypeError('Sub-devices need a cid.');
+    }
+
+    if (!this._subDevices.has(cid)) {
+      const subDevice = new TuyaSubDevice(this, cid);
+
+      this._subDevices.set(cid, subDevice);
+
+      /**
+       * Emitted when a sub-device becomes known.
+       * @event TuyaGateway#sub-device
+       * @property {TuyaSubDevice} subDevice new sub-device
+       */
+      this.emit('sub-device', subDevice);
+    }
+
+    return this._subDevices.get(cid);
+  }
+
+  /**
+   * Asks the gateway for its sub-devices with
+   * `LAN_SUB_DEV_REQUEST`. Updates `subDevices`
+   * and their `online` state.
+   * @param {Object} [options] Options object
+   * @param {Number} [options.timeout]
+   * how long, in seconds, to wait for the response,
+   * defaults to 2.5 times the `responseTimeout` constructor option
+   * @param {Number} [options.retries]
+   * how often to retry sending, defaults to the `retries` constructor option
+   * @param {AbortSignal} [options.signal]
+   * signal to cancel the request with
+   * @returns {Promise<Array.<Object>>} `{cid, online}` of every sub-device
+   */
+  async listSubDevices({timeout = this._responseTimeout * 2.5, retries, signal} = {}) {
+    const payload = {
+      gwId: this.device.gwID,
+      devId: this.device.id,
+      t: Math.round(new Date().getTime() / 1000).toString(),
+      uid: this.device.id
+    };
+
+    const {buffer, request} = this._encodeRequest({
+      payload,
+      commandByte: CommandType.LAN_SUB_DEV_REQUEST,
+      sequenceN: ++this._currentSequenceN
+    });
+
+    const data = await this._send(buffer, {timeout, retries, signal, request});
+
+    return parseSubDevices(data);
+  }
+
+  /**
+   * Routes data of the gateway to sub-devices,
+   * and handles reports of sub-devices.
+   * @private
+   * @param {String} event `data` or `dp-refresh`
+   * @param {Array} args arguments of event: payload,
+   * command byte, sequence number and packet
+   */
+  _routeData(event, args) {
+    const [payload, commandByte] = args;
+
+    if (commandByte === CommandType.LAN_REPORT_SUB_DEV) {
+      this._handleReport(parseSubDevices(payload));
+      return;
+    }
+
+    if (commandByte === CommandType.LAN_DELETE_SUB_DEV) {
+      parseSubDevices(payload).forEach(({cid}) => this._removeSubDevice(cid));
+      return;
+    }
+
+    if (payload && typeof payload.cid === 'string') {
+      debug(`Data of sub-device ${payload.cid}`);
+      this.subDevice(payload.cid).emit(event, ...args);
+    }
+  }
+
+  /**
+   * Updates sub-devices from a report of the gateway.
+   * @private
+   * @param {Array.<Object>} reported `{cid, online}` of every sub-device
+   */
+  _handleReport(reported) {
+    reported.forEach(({cid, online}) => {
+      const subDevice = this.subDevice(cid);
+
+      if (online !== undefined && online !== subDevice.online) {
+        subDevice.online = online;
+
+        /**
+         * Emitted when a sub-device goes online or offline.
+         * @event TuyaSubDevice#online
+         * @property {Boolean} online `true` if online
+         */
+        subDevice.emit('online', online);
+      }
+    });
+
+    /**
+     * Emitted when the gateway reports its sub-devices.
+     * @event TuyaGateway#sub-devices
+     * @property {Array.<Object>} subDevices `{cid, online}` of every sub-device
+     */
+    this.emit('sub-devices', reported);
+  }
+
+  /**
+   * Forgets a sub-device the gateway removed.
+   * @private
+   * @param {String} cid ID of sub-device
+   */
+  _removeSubDevice(cid) {
+    const subDevice = this._subDevices.get(cid);
+
+    if (!subDevice) {
+      return;
+    }
+
+    this._subDevices.delete(cid);
+
+    /**
+     * Emitted when the gateway removed the sub-device.
+     * @event TuyaSubDevice#removed
+     */
+    subDevice.emit('removed');
+
+    /**
+     * Emitted when the gateway removed a sub-device.
+     * @event TuyaGateway#sub-device-removed
+     * @property {String} cid ID of sub-device
+     */
+    this.emit('sub-device-removed', cid);
+  }
+}
+
+module.exports = {TuyaGateway, TuyaSubDevice};
@@ -1,9 +1,16 @@
 const Cipher = require('./cipher');
 const crc = require('./crc');
+const {TuyaParseError, TuyaCrcError, TuyaHmacMismatchError} = require('./errors');
 
 const HEADER_SIZE = 16;
 const HEADER_SIZE_3_5 = 4;
 
+const PREFIX_55AA = Buffer.from('000055AA', 'hex');
+const PREFIX_6699 = Buffer.from('00006699', 'hex');
+
+// Upper bound for a single frame, anything larger is treated as garbage
+const MAX_FRAME_SIZE = 0x10000;
+
 /**
  * Human-readable definitions
  * of command bytes.
@@ -36,6 +43,7 @@ const CommandType = {
   UDP_NEW: 19,
   AP_CONFIG_NEW: 20,
   BOARDCAST_LPV34: 35,
+  REQ_DEVINFO: 37, // Discovery request, sent to port 7000
   LAN_EXT_STREAM: 40,
   LAN_GW_ACTIVE: 240,
   LAN_SUB_DEV_REQUEST: 241,
@@ -52,6 +60,19 @@ const CommandType = {
   LAN_SET_GW_CHANNEL: 252
 };
 
+/**
+ * Checks if a command is used by UDP discovery broadcasts.
+ * @private
+ * @param {Number} commandByte command byte of packet
+ * @returns {Boolean}
+ */
+function isDiscoveryCommand(commandByte) {
+  return commandByte === CommandType.UDP ||
+    commandByte === CommandType.UDP_NEW ||
+    commandByte === CommandType.BOARDCAST_LPV34 ||
+    commandByte === CommandType.REQ_DEVINFO;
+}
+
 /**
  * A complete packet.
  * @typedef {Object} Packet
@@ -62,22 +83,48 @@ const CommandType = {
  * bytes adjacent to the parsed packet
  * @property {Number} commandByte
  * @property {Number} sequenceN
+ * @property {Number} [returnCode] return code of packets sent
+ * by devices, 0 on success. Undefined if the packet has none
+ * @property {String} prefix `55AA` or `6699`
+ * @property {Buffer} frame raw bytes of the frame
+ * @property {String} version protocol version of the packet,
+ * always 3.5 for 6699 frames
  */
 
+/**
+ * Reads the total length of the frame at the start of
+ * a buffer from its header.
+ * @private
+ * @param {Buffer} buffer starting with a 0x55AA or 0x6699 prefix
+ * @returns {Number} frame length in bytes, including prefix and suffix
+ */
+function getFrameLength(buffer) {
+  if (buffer.readUInt32BE(0) === 0x00006699) {
+    // Prefix (4), unknown (2), sequence (4), command (4), length (4), suffix (4)
+    return buffer.readUInt32BE(14) + 22;
+  }
+
+  // Prefix (4), sequence (4), command (4), length (4)
+  return buffer.readUInt32BE(12) + 16;
+}
+
 /**
  * Low-level class for parsing packets.
  * @class
  * @param {Object} options Options
  * @param {String} options.key localKey of cipher
  * @param {Number} [options.version=3.1] protocol version
+ * @param {Boolean} [options.asDevice=false] speak the device's side of
+ * the protocol: parse requests and encode responses with a return code
  * @example
  * const parser = new MessageParser({key: 'xxxxxxxxxxxxxxxx', version: 3.1})
  */
 class MessageParser {
-  constructor({key, version = 3.1} = {}) {
+  constructor({key, version = 3.1, asDevice = false} = {}) {
     // Ensure the version is a string
     version = version.toString();
     this.version = version;
+    this.asDevice = asDevice;
 
     if (key) {
       if (key.length !== 16) {
@@ -85,10 +132,13 @@ class MessageParser {
       }
 
       // Create a Cipher if we have a valid key
-      this.cipher = new Cipher({key, version});
+      this.cipher = new Cipher({key, version, asDevice});
 
       this.key = key;
     }
+
+    // Unparsed bytes received through push()
+    this._streamBuffer = Buffer.alloc(0);
   }
 
   /**
@@ -104,7 +154,7 @@ class MessageParser {
     // CRC (4), and suffix (4) for 24 total bytes
     // Messages from the device also include return code (4), for 28 total bytes
     if (buffer.length < 24) {
-      throw new TypeError(`Packet too short. Length: ${buffer.length}.`);
+      throw new TuyaParseError(`Packet too short. Length: ${buffer.length}.`);
     }
 
     // Check for prefix
@@ -112,15 +162,20 @@ class MessageParser {
 
     // Only for 3.4 and 3.5 packets
     if (prefix !== 0x000055AA && prefix !== 0x00006699) {
-      throw new TypeError(`Prefix does not match: ${buffer.toString('hex')}`);
+      throw new TuyaParseError(`Prefix does not match: ${buffer.toString('hex')}`);
     }
 
     // Check for extra data
     let leftover = false;
 
-    let suffixLocation = buffer.indexOf('0000AA55', 0, 'hex');
-    if (suffixLocation === -1) {// Couldn't find 0000AA55 during parse
-      suffixLocation = buffer.indexOf('00009966', 0, 'hex');
+    // Prefer the length from the header, the payload itself may contain the suffix bytes
+    let suffixLocation = getFrameLength(buffer) - 4;
+    if (suffixLocation + 4 > buffer.length ||
+        (buffer.readUInt32BE(suffixLocation) !== 0x0000AA55 && buffer.readUInt32BE(suffixLocation) !== 0x00009966)) {
+      suffixLocation = buffer.indexOf('0000AA55', 0, 'hex');
+      if (suffixLocation === -1) {// Couldn't find 0000AA55 during parse
+        suffixLocation = buffer.indexOf('00009966', 0, 'hex');
+      }
     }
 
     if (suffixLocation !== buffer.length - 4) {
@@ -132,7 +187,7 @@ class MessageParser {
     const suffix = buffer.readUInt32BE(buffer.length - 4);
 
     if (suffix !== 0x0000AA55 && suffix !== 0x00009966) {
-      throw new TypeError(`Suffix does not match: ${buffer.toString('hex')}`);
+      throw new TuyaParseError(`Suffix does not match: ${buffer.toString('hex')}`);
     }
 
     let sequenceN;
@@ -152,7 +207,7 @@ class MessageParser {
 
       // Check for payload
       if (buffer.length - 8 < payloadSize) {
-        throw new TypeError(`Packet missing payload: payload has length ${payloadSize}.`);
+        throw new TuyaParseError(`Packet missing payload: payload has length ${payloadSize}.`, {commandByte, sequenceN});
       }
     } else if (suffix === 0x00009966) {
       // When this suffix comes in we should have 3.5 version
@@ -169,21 +224,18 @@ class MessageParser {
 
       // Check for payload
       if (buffer.length - 8 < payloadSize) {
-        throw new TypeError(`Packet missing payload: payload has length ${payloadSize}.`);
+        throw new TuyaParseError(`Packet missing payload: payload has length ${payloadSize}.`, {commandByte, sequenceN});
       }
     } else {
-      throw new TypeError(`Suffix does not match: ${buffer.toString('hex')}`); // Should never happen
+      throw new TuyaParseError(`Suffix does not match: ${buffer.toString('hex')}`); // Should never happen
     }
 
-    const packageFromDiscovery = (
-      commandByte === CommandType.UDP ||
-      commandByte === CommandType.UDP_NEW ||
-      commandByte === CommandType.BOARDCAST_LPV34
-    );
+    const packageFromDiscovery = isDiscoveryCommand(commandByte);
 
     // Get the return code, 0 = success
     // This field is only present in messages from the devices
     // Absent in messages sent to device
+    // Encrypted with the payload in protocol 3.5, see getPayload()
     const returnCode = buffer.readUInt32BE(16);
 
     // Get the payload
@@ -216,19 +268,30 @@ class MessageParser {
         const computedCrc = this.cipher.hmac(buffer.slice(0, HEADER_SIZE + payloadSize - 0x24)).toString('hex');
 
         if (expectedCrc !== computedCrc) {
-          throw new Error(`HMAC mismatch: expected ${expectedCrc}, was ${computedCrc}. ${buffer.toString('hex')}`);
+          throw new TuyaHmacMismatchError(`HMAC mismatch: expected ${expectedCrc}, was ${computedCrc}. ${buffer.toString('hex')}`, {commandByte, sequenceN});
         }
       } else if (this.version !== '3.5') {
         const expectedCrc = buffer.readInt32BE(HEADER_SIZE + payloadSize - 8);
         const computedCrc = crc(buffer.slice(0, payloadSize + 8));
 
         if (expectedCrc !== computedCrc) {
-          throw new Error(`CRC mismatch: expected ${expectedCrc}, was ${computedCrc}. ${buffer.toString('hex')}`);
+          throw new TuyaCrcError(`CRC mismatch: expected ${expectedCrc}, was ${computedCrc}. ${buffer.toString('hex')}`, {commandByte, sequenceN});
         }
       }
     }
 
-    return {payload, leftover, commandByte, sequenceN, version: overwriteVersion || this.version};
+    const version = overwriteVersion || this.version;
+
+    return {
+      payload,
+      leftover,
+      commandByte,
+      sequenceN,
+      returnCode: this.asDevice || version === '3.5' || (returnCode & 0xFFFFFF00) ? undefined : returnCode,
+      prefix: suffix === 0x00009966 ? '6699' : '55AA',
+      frame: buffer,
+      version
+    };
   }
 
   /**
@@ -240,8 +303,22 @@ class MessageParser {
    * object if payload is JSON, otherwise string
    */
   getPayload(data, version) {
+    return this._decodePayload(data, version).payload;
+  }
+
+  /**
+   * Decodes a payload like getPayload(), also returning the
+   * return code of protocol 3.5, which is encrypted with it.
+   * @private
+   * @param {Buffer} data to decode
+   * @param {String} version of protocol
+   * @returns {Object} `{payload, returnCode}`
+   */
+  _decodePayload(data, version) {
+    let returnCode;
+
     if (data.length === 0) {
-      return false;
+      return {payload: false};
     }
 
     // Try to decrypt data first.
@@ -250,16 +327,18 @@ class MessageParser {
         throw new Error('Missing key or version in constructor.');
       }
 
-      data = this.cipher.decrypt(data, version);
+      if (version === '3.5') {
+        ({payload: data, returnCode} = this.cipher._decrypt35WithReturnCode(data));
+      } else {
+        data = this.cipher.decrypt(data, version);
+      }
     } catch (_) {
       data = data.toString('utf8');
     }
 
-    // Incoming 3.5 data isn't 0 because of iv and tag so check size after
-    if (version === '3.5') {
-      if (data.length === 0) {
-        return false;
-      }
+    // Encrypted data isn't empty because of padding, iv and tag so check size after
+    if (data.length === 0) {
+      return {payload: false, returnCode};
     }
 
     // Try to parse data as JSON.
@@ -270,7 +349,26 @@ class MessageParser {
       } catch (_) { }
     }
 
-    return data;
+    return {payload: data, returnCode};
+  }
+
+  /**
+   * Parses a complete frame and decodes its payload.
+   * @private
+   * @param {Buffer} buffer starting with a complete frame
+   * @returns {Packet} decoded packet
+   */
+  _parseAndDecode(buffer) {
+    const packet = this.parsePacket(buffer);
+    const {payload, returnCode} = this._decodePayload(packet.payload, packet.version);
+
+    packet.payload = payload;
+
+    if (returnCode !== undefined) {
+      packet.returnCode = returnCode;
+    }
+
+    return packet;
   }
 
   /**
@@ -284,9 +382,7 @@ class MessageParser {
    * @returns {Array.<Packet>} array of parsed packets
    */
   parseRecursive(buffer, packets) {
-    const result = this.parsePacket(buffer);
-
-    result.payload = this.getPayload(result.payload, result.version);
+    const result = this._parseAndDecode(buffer);
 
     packets.push(result);
 
@@ -308,6 +404,107 @@ class MessageParser {
     return this.parseRecursive(buffer, []);
   }
 
+  /**
+   * Feeds a chunk of a data stream (e.g. from a TCP socket)
+   * to the parser. Frames split across chunks are buffered
+   * until they are complete, and bytes that don't belong to
+   * a frame are skipped.
+   *
+   * If a complete frame fails to parse, iteration throws
+   * after dropping that frame. Call `push()` without a chunk
+   * to continue with the remaining buffered data.
+   * @param {Buffer} [chunk] data to append
+   * @returns {Iterator.<Packet>} iterator over complete packets
+   * @example
+   * socket.on('data', chunk => {
+   *   for (const packet of parser.push(chunk)) {
+   *     console.log(packet.payload);
+   *   }
+   * });
+   */
+  push(chunk) {
+    if (chunk && chunk.length > 0) {
+      this._streamBuffer = Buffer.concat([this._streamBuffer, chunk]);
+    }
+
+    return this._drainStream();
+  }
+
+  /**
+   * Discards any partial frame buffered by push().
+   * Call when the underlying stream is reset.
+   */
+  resetStream() {
+    this._streamBuffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Parses every complete frame in the stream buffer.
+   * @private
+   * @returns {Iterator.<Packet>} complete packets
+   */
+  * _drainStream() {
+    let frame = this._nextFrame();
+
+    while (frame) {
+      yield this._parseAndDecode(frame);
+
+      frame = this._nextFrame();
+    }
+  }
+
+  /**
+   * Removes the next complete frame from the stream buffer,
+   * resynchronizing on the next prefix if garbage is found.
+   * @private
+   * @returns {Buffer|null} complete frame or null if more data is needed
+   */
+  _nextFrame() {
+    for (;;) {
+      let buffer = this._streamBuffer;
+
+      const starts = [buffer.indexOf(PREFIX_55AA), buffer.indexOf(PREFIX_6699)].filter(i => i !== -1);
+
+      if (starts.length === 0) {
+        // Keep a possible partial prefix at the end
+        this._streamBuffer = buffer.slice(Math.max(0, buffer.length - 3));
+        return null;
+      }
+
+      buffer = buffer.slice(Math.min(...starts));
+      this._streamBuffer = buffer;
+
+      // Wait for the complete header
+      if (buffer.length < 18) {
+        return null;
+      }
+
+      const frameLength = getFrameLength(buffer);
+      const is6699 = buffer.readUInt32BE(0) === 0x00006699;
+
+      if (frameLength < 24 || frameLength > MAX_FRAME_SIZE) {
+        // Not a real header, skip past this prefix
+        this._streamBuffer = buffer.slice(4);
+        continue;
+      }
+
+      // Wait for the rest of the frame
+      if (buffer.length < frameLength) {
+        return null;
+      }
+
+      const suffix = buffer.readUInt32BE(frameLength - 4);
+
+      if (suffix !== (is6699 ? 0x00009966 : 0x0000AA55)) {
+        this._streamBuffer = buffer.slice(4);
+        continue;
+      }
+
+      this._streamBuffer = buffer.slice(frameLength);
+      return buffer.slice(0, frameLength);
+    }
+  }
+
   /**
    * Encodes a payload into a Tuya-protocol-compliant packet.
    * @param {Object} options Options for encoding
@@ -316,6 +513,8 @@ class MessageParser {
    * @param {Number} options.commandByte
    * command byte of packet (use CommandType definitions)
    * @param {Number} [options.sequenceN] optional, sequence number
+   * @param {Number} [options.returnCode=0] return code of response,
+   * only used when encoding as the device
    * @returns {Buffer} Encoded Buffer
    */
   encode(options) {
@@ -333,15 +532,23 @@ class MessageParser {
       options.data = Buffer.from(options.data);
     }
 
+    // Responses from devices start with a return code, broadcasts don't
+    let returnCode = Buffer.alloc(0);
+
+    if (this.asDevice && !isDiscoveryCommand(options.commandByte)) {
+      returnCode = Buffer.alloc(4);
+      returnCode.writeUInt32BE(options.returnCode || 0);
+    }
+
     if (this.version === '3.4') {
-      return this._encode34(options);
+      return this._encode34(options, returnCode);
     }
 
     if (this.version === '3.5') {
-      return this._encode35(options);
+      return this._encode35(options, returnCode);
     }
 
-    return this._encodePre34(options);
+    return this._encodePre34(options, returnCode);
   }
 
   /**
@@ -352,9 +559,10 @@ class MessageParser {
    * @param {Number} options.commandByte
    * command byte of packet (use CommandType definitions)
    * @param {Number} [options.sequenceN] optional, sequence number
+   * @param {Buffer} returnCode encoded return code, empty unless encoding as the device
    * @returns {Buffer} Encoded Buffer
    */
-  _encodePre34(options) {
+  _encodePre34(options, returnCode) {
     // Construct payload
     let payload = options.data;
 
@@ -368,7 +576,8 @@ class MessageParser {
 
       // Check if we need an extended header, only for certain CommandTypes
       if (options.commandByte !== CommandType.DP_QUERY &&
-          options.commandByte !== CommandType.DP_REFRESH) {
+          options.commandByte !== CommandType.DP_REFRESH &&
+          !isDiscoveryCommand(options.commandByte)) {
         // Add 3.3 header
         const buffer = Buffer.alloc(payload.length + 15);
         Buffer.from('3.3').copy(buffer, 0);
@@ -390,6 +599,8 @@ class MessageParser {
       payload = Buffer.from(this.version + md5 + payload);
     }
 
+    payload = Buffer.concat([returnCode, payload]);
+
     // Allocate buffer with room for payload + 24 bytes for
     // prefix, sequence, command, length, crc, and suffix
     const buffer = Buffer.alloc(payload.length + 24);
@@ -421,15 +632,17 @@ class MessageParser {
    * @param {Number} options.commandByte
    * command byte of packet (use CommandType definitions)
    * @param {Number} [options.sequenceN] optional, sequence number
+   * @param {Buffer} returnCode encoded return code, empty unless encoding as the device
    * @returns {Buffer} Encoded Buffer
    */
-  _encode34(options) {
+  _encode34(options, returnCode) {
     let payload = options.data;
 
     if (options.commandByte !== CommandType.DP_QUERY &&
         options.commandByte !== CommandType.HEART_BEAT &&
         options.commandByte !== CommandType.DP_QUERY_NEW &&
         options.commandByte !== CommandType.SESS_KEY_NEG_START &&
+        options.commandByte !== CommandType.SESS_KEY_NEG_RES &&
         options.commandByte !== CommandType.SESS_KEY_NEG_FINISH &&
         options.commandByte !== CommandType.DP_REFRESH) {
       // Add 3.4 header
@@ -451,7 +664,8 @@ class MessageParser {
       data: payload
     });
 
-    payload = Buffer.from(payload);
+    // The return code isn't encrypted, but covered by the HMAC
+    payload = Buffer.concat([returnCode, payload]);
 
     // Allocate buffer with room for payload + 24 bytes for
     // prefix, sequence, command, length, crc, and suffix
@@ -483,17 +697,20 @@ class MessageParser {
    * @param {Number} options.commandByte
    * command byte of packet (use CommandType definitions)
    * @param {Number} [options.sequenceN] optional, sequence number
+   * @param {Buffer} returnCode encoded return code, empty unless encoding as the device
    * @returns {Buffer} Encoded Buffer
    */
-  _encode35(options) {
+  _encode35(options, returnCode) {
     let payload = options.data;
 
     if (options.commandByte !== CommandType.DP_QUERY &&
         options.commandByte !== CommandType.HEART_BEAT &&
         options.commandByte !== CommandType.DP_QUERY_NEW &&
         options.commandByte !== CommandType.SESS_KEY_NEG_START &&
+        options.commandByte !== CommandType.SESS_KEY_NEG_RES &&
         options.commandByte !== CommandType.SESS_KEY_NEG_FINISH &&
-        options.commandByte !== CommandType.DP_REFRESH) {
+        options.commandByte !== CommandType.DP_REFRESH &&
+        !isDiscoveryCommand(options.commandByte)) {
       // Add 3.5 header
       const buffer = Buffer.alloc(payload.length + 15);
       Buffer.from('3.5').copy(buffer, 0);
@@ -502,6 +719,9 @@ class MessageParser {
       // OO options.data = '3.5\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00' + options.data;
     }
 
+    // The return code is encrypted along with the payload
+    payload = Buffer.concat([returnCode, payload]);
+
     // Allocate buffer for prefix, unknown, sequence, command, length
     let buffer = Buffer.alloc(18);
 
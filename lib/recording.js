@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const {EventEmitter} = require('events');
+const fs = require('fs');
+const debug = require('debug')('TuyAPI:Recording');
+const {MessageParser, CommandType} = require('./message-parser');
+
+// Version of the recording file format
+const FORMAT_VERSION = 1;
+
+/**
+ * Records the raw traffic of a device's connections,
+ * to reproduce issues later without the hardware.
+ * Pass it as the `recorder` option of `TuyaDevice`;
+ * every `connect()` starts a new session.
+ *
+ * Recordings contain everything needed to decrypt the
+ * traffic once the device key is known, so treat them
+ * like the key itself.
+ * @class
+ * @example
+ * const recorder = new SessionRecorder();
+ * const device = new TuyaDevice({id: 'xxxxxxxxxxxxxxxxxxxx',
+ *                                key: 'xxxxxxxxxxxxxxxx',
+ *                                recorder});
+ *
+ * // ... use device, then
+ * await recorder.save('session.json');
+ */
+class SessionRecorder {
+  constructor() {
+    this.sessions = [];
+  }
+
+  /**
+   * Starts recording a new session on a transport.
+   * Called by `TuyaDevice#connect()`.
+   * @param {Transport} socket transport of the connection
+   * @param {TuyaDevice} device device that owns the socket
+   */
+  tap(socket, device) {
+    const startedAt = Date.now();
+    const session = {
+      id: device.device.id,
+      ip: device.device.ip,
+      version: device.device.version,
+      startedAt: new Date(startedAt).toISOString(),
+      frames: []
+    };
+
+    const negotiates = session.version === '3.4' || session.version === '3.5';
+
+    const record = (direction, data) => {
+      session.frames.push({
+        direction,
+        time: Date.now() - startedAt,
+        data: Buffer.from(data).toString('hex')
+      });
+    };
+
+    const tapWrite = () => {
+      const {write} = socket;
+
+      socket.write = (data, ...args) => {
+        // Keep the local half of the session key, so the
+        // session key can be derived again when replaying
+        if (negotiates && !session.localNonce) {
+          session.localNonce = readLocalNonce(data, device.device.key, session.version);
+        }
+
+        record('out', data);
+        return write.call(socket, data, ...args);
+      };
+    };
+
+    // `net.Socket#connect()` restores the original `write()`,
+    // so tap it again before the device starts writing
+    tapWrite();
+    socket.prependListener('connect', tapWrite);
+
+    const close = () => {
+      if (session.closedAt === undefined) {
+        session.closedAt = Date.now() - startedAt;
+      }
+    };
+
+    // `close` is emitted asynchronously, too late for
+    // `device.disconnect()` followed by `recorder.save()`
+    const {destroy} = socket;
+    socket.destroy = (...args) => {
+      close();
+      return destroy.apply(socket, args);
+    };
+
+    socket.on('data', data => record('in', data));
+    socket.on('close', close);
+
+    this.sessions.push(session);
+
+    debug(`Recording session ${this.sessions.length} of ${session.id}`);
+  }
+
+  /**
+   * Returns the recording.
+   * @returns {Object} recording, as written by `save()`
+   */
+  toJSON() {
+    return {format: FORMAT_VERSION, sessions: this.sessions};
+  }
+
+  /**
+   * Writes the recording to a file.
+   * @param {String} file path of file
+   * @returns {Promise} resolves once written
+   */
+  save(file) {
+    return fs.promises.writeFile(file, JSON.stringify(this, null, 2));
+  }
+
+  /**
+   * Reads a recording written by `save()`.
+   * @param {String} file path of file
+   * @returns {Promise<Object>} the recording
+   */
+  static load(file) {
+    return fs.promises.readFile(file, 'utf8').then(contents => {
+      const recording = JSON.parse(contents);
+
+      if (recording.format !== FORMAT_VERSION) {
+        throw new TypeError(`Unsupported recording format: ${recording.format}.`);
+      }
+
+      return recording;
+    });
+  }
+}
+
+/**
+ * Reads the nonce a client sends to start negotiating a session key.
+ * @private
+ * @param {Buffer} data data written by the client
+ * @param {String} key device key
+ * @param {String} version protocol version
+ * @returns {String|undefined} nonce as hex, if `data` starts a negotiation
+ */
+function readLocalNonce(data, key, version) {
+  let packets;
+
+  try {
+    packets = new MessageParser({key, version, asDevice: true}).parse(data);
+  } catch (_) {
+    // Encrypted with the session key, so after the negotiation
+    return undefined;
+  }
+
+  const start = packets.find(({commandByte}) => commandByte === CommandType.SESS_KEY_NEG_START);
+
+  return start && Buffer.isBuffer(start.payload) ? start.payload.toString('hex') : undefined;
+}
+
+/**
+ * A transport that plays back the device's side of a
+ * recorded session, with the original timing. What the
+ * device writes is collected in `written` and emitted
+ * as `write` events.
+ * @class
+ * @param {Object} session recorded session
+ * @param {Object} [options] Options object
+ * @param {Number} [options.speed=1] playback speed, e.g. `10` to replay ten times as fast
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(session, {speed = 1} = {}) {
+    super();
+
+    this.session = session;
+    this.speed = speed;
+    this.written = [];
+    this.destroyed = false;
+
+    this._timers = [];
+  }
+
+  /**
+   * Starts the playback.
+   * @returns {ReplaySocket} this
+   */
+  connect() {
+    this._schedule(0, () => {
+      this.emit('connect');
+
+      this.session.frames
+        .filter(frame => frame.direction === 'in')
+        .forEach(frame => this._schedule(frame.time, () => this.emit('data', Buffer.from(frame.data, 'hex'))));
+
+      if (this.session.closedAt !== undefined) {
+        this._schedule(this.session.closedAt, () => this.destroy());
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Collects data written by the device.
+   * @param {Buffer} data written data
+   * @returns {Boolean} `true`
+   */
+  write(data) {
+    this.written.push(data);
+    this.emit('write', data);
+
+    return true;
+  }
+
+  /**
+   * Returns the nonce of the recording, so the device
+   * negotiates the same session key as it did then.
+   * @returns {Buffer} nonce
+   */
+  localNonce() {
+    return this.session.localNonce ? Buffer.from(this.session.localNonce, 'hex') : crypto.randomBytes(16);
+  }
+
+  /**
+   * Stops the playback.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.destroyed = true;
+    this._timers.forEach(timer => clearTimeout(timer));
+    this._timers = [];
+
+    setImmediate(() => this.emit('close'));
+  }
+
+  /**
+   * Runs a function at a time of the recording.
+   * @private
+   * @param {Number} time milliseconds since the session started
+   * @param {Function} fn function to run
+   */
+  _schedule(time, fn) {
+    this._timers.push(setTimeout(fn, time / this.speed));
+  }
+}
+
+/**
+ * Creates a transport that replays a recorded session
+ * instead of connecting to the network. Pass it as the
+ * `transport` option of a device with the key of the
+ * recorded device, every connection replays the session.
+ * The device switches to the protocol version of the recording.
+ * @param {Object} recording recording from `SessionRecorder`
+ * @param {Object} [options] Options object
+ * @param {Number} [options.session=0] index of session to replay
+ * @param {Number} [options.speed=1] playback speed
+ * @returns {Function} transport factory, returning a `ReplaySocket`
+ * @example
+ * const recording = await SessionRecorder.load('session.json');
+ * const device = new TuyaDevice({id: 'xxxxxxxxxxxxxxxxxxxx',
+ *                                key: 'xxxxxxxxxxxxxxxx',
+ *                                ip: '127.0.0.1',
+ *                                transport: replaySession(recording)});
+ *
+ * device.on('data', data => console.log(data));
+ * await device.connect();
+ */
+function replaySession(recording, {session = 0, speed = 1} = {}) {
+  const recorded = recording.sessions[session];
+
+  if (!recorded) {
+    throw new RangeError(`Recording has no session ${session}.`);
+  }
+
+  return device => {
+    device.updateDeviceInfo({version: recorded.version});
+
+    return new ReplaySocket(recorded, {speed});
+  };
+}
+
+module.exports = {SessionRecorder, ReplaySocket, replaySession};
@@ -0,0 +1,522 @@
+const fs = require('fs');
+const path = require('path');
+const {FORMATS} = require('./colour');
+
+const TYPES = ['bool', 'value', 'enum', 'string', 'raw', 'bitmap'];
+
+// Type names of Tuya's cloud, `Json` DPs are sent as strings
+const CLOUD_TYPES = {
+  boolean: 'bool',
+  integer: 'value',
+  enum: 'enum',
+  string: 'string',
+  json: 'string',
+  raw: 'raw',
+  bitmap: 'bitmap'
+};
+
+/**
+ * Definition of a DP.
+ * @typedef {Object} DPDefinition
+ * @property {String} code name of the DP, e.g. `switch_led`
+ * @property {String} type `bool`, `value`, `enum`, `string`, `raw` or `bitmap`
+ * @property {Number} [min] smallest value of `value` DPs, as sent by the device
+ * @property {Number} [max] largest value of `value` DPs, as sent by the device
+ * @property {Number} [step=1] step of `value` DPs, as sent by the device
+ * @property {Number} [scale=0] `value` DPs are sent multiplied by 10^scale
+ * @property {String} [unit] unit of `value` DPs
+ * @property {Array.<String>} [range] values of `enum` DPs
+ * @property {Array.<String>} [label] names of the bits of `bitmap` DPs
+ * @property {Number} [maxlen] longest `string`, in characters, or `raw`
+ * value, in bytes. Number of bits of `bitmap` DPs.
+ * @property {String} [format] format of `string` DPs of lights: `colour`,
+ * `colour-legacy`, `scene` or `music`, see `lib/colour.js`. Values are
+ * then objects. Inferred for the standard codes, e.g. `colour_data_v2`.
+ * @property {Boolean} [readOnly=false] `true` if the DP can't be set
+ */
+
+/**
+ * Describes the DPs of a device, to access them by name
+ * and validate values before they are sent. Values are
+ * given and returned scaled, e.g. `21.5` for a temperature
+ * DP with scale 1 that the device sends as `215`. Raw DPs
+ * are Buffers, bitmaps with labels are arrays of the names
+ * of the bits that are set.
+ * @class
+ * @param {Object.<String, DPDefinition>|Array.<DPDefinition>} [definitions]
+ * definitions by DP index, or a list of definitions with an `id` property
+ * @example
+ * const schema = new DeviceSchema({
+ *   1: {code: 'switch_led', type: 'bool'},
+ *   3: {code: 'bright_value', type: 'value', min: 10, max: 1000},
+ *   5: {code: 'temp_current', type: 'value', scale: 1, unit: '°C', readOnly: true}
+ * });
+ */
+class DeviceSchema {
+  constructor(definitions = {}) {
+    this._byId = new Map();
+    this._byCode = new Map();
+
+    const entries = Array.isArray(definitions) ?
+      definitions.map(definition => [definition.id, definition]) :
+      Object.entries(definitions);
+
+    entries.forEach(([id, definition]) => {
+      if (!/^\d+$/.test(String(id))) {
+        throw new TypeError(`Invalid DP index: ${id}.`);
+      }
+
+      if (!definition || typeof definition.code !== 'string' || definition.code === '') {
+        throw new TypeError(`DP ${id} has no code.`);
+      }
+
+      if (!TYPES.includes(definition.type)) {
+        throw new TypeError(`DP ${definition.code} has an unknown type: ${definition.type}.`);
+      }
+
+      const normalized = {...definition, id: String(id)};
+
+      if (normalized.type === 'string' && normalized.format === undefined && inferFormat(normalized)) {
+        normalized.format = inferFormat(normalized);
+      }
+
+      if (normalized.format !== undefined && !FORMATS[normalized.format]) {
+        throw new TypeError(`DP ${definition.code} has an unknown format: ${normalized.format}.`);
+      }
+
+      this._byId.set(normalized.id, normalized);
+      this._byCode.set(normalized.code, normalized);
+    });
+  }
+
+  /**
+   * All definitions, with their `id`.
+   * @returns {Array.<DPDefinition>} definitions
+   */
+  get definitions() {
+    return [...this._byId.values()];
+  }
+
+  /**
+   * Finds the definition of a DP.
+   * @param {String|Number} dp DP index or code
+   * @returns {DPDefinition|undefined} definition, with its `id`
+   */
+  find(dp) {
+    return this._byId.get(String(dp)) || this._byCode.get(dp);
+  }
+
+  /**
+   * Returns the index of a DP.
+   * @param {String|Number} dp DP index or code
+   * @returns {String} DP index
+   * @throws {TypeError} for codes not in the schema
+   */
+  resolve(dp) {
+    const definition = this.find(dp);
+
+    if (definition) {
+      return definition.id;
+    }
+
+    if (/^\d+$/.test(String(dp))) {
+      return String(dp);
+    }
+
+    throw new TypeError(`Unknown DP: ${dp}.`);
+  }
+
+  /**
+   * Validates a value and converts it to what the device expects.
+   * DPs without a definition are passed through, and `null`
+   * is always allowed, to ask the device for the current value.
+   * @param {String|Number} dp DP index or code
+   * @param {*} value value to set
+   * @returns {Object} `{id, value}` DP index and encoded value
+   * @throws {TypeError} for read-only DPs and values of the wrong type
+   * @throws {RangeError} for values outside the DP's range
+   */
+  encode(dp, value) {
+    const id = this.resolve(dp);
+    const definition = this._byId.get(id);
+
+    if (!definition || value === null) {
+      return {id, value};
+    }
+
+    if (definition.readOnly) {
+      throw new TypeError(`DP ${definition.code} is read-only.`);
+    }
+
+    return {id, value: encodeValue(definition, value)};
+  }
+
+  /**
+   * Encodes every value of a DPS object, see `encode()`.
+   * @param {Object} dps values by DP index or code
+   * @returns {Object} encoded values by DP index
+   */
+  encodeDps(dps) {
+    const encoded = {};
+
+    Object.keys(dps).forEach(dp => {
+      const {id, value} = this.encode(dp, dps[dp]);
+      encoded[id] = value;
+    });
+
+    return encoded;
+  }
+
+  /**
+   * Converts a value sent by the device.
+   * @param {String|Number} dp DP index or code
+   * @param {*} value value sent by the device
+   * @returns {*} decoded value, unchanged for DPs without a definition
+   */
+  decodeValue(dp, value) {
+    const definition = this.find(dp);
+
+    if (!definition || value === null || value === undefined) {
+      return value;
+    }
+
+    return decodeValue(definition, value);
+  }
+
+  /**
+   * Decodes the DPS sent by a device.
+   * @param {Object} dps values by DP index
+   * @returns {Object} decoded values by code, or by
+   * index for DPs without a definition
+   * @example
+   * schema.decode({1: true, 5: 215})
+   * // {switch_led: true, temp_current: 21.5}
+   */
+  decode(dps) {
+    const decoded = {};
+
+    Object.keys(dps).forEach(id => {
+      const definition = this._byId.get(id);
+
+      decoded[definition ? definition.code : id] = this.decodeValue(id, dps[id]);
+    });
+
+    return decoded;
+  }
+
+  /**
+   * Creates a schema from a data model exported from Tuya's IoT
+   * platform. Both the list of DPs, with `id`, `code`, `type`,
+   * `mode` and `values` as JSON, and the things data model, with
+   * `services` of `properties`, are supported, also wrapped in
+   * the `result` of an API response.
+   * @param {Object|String} model data model, or its JSON
+   * @returns {DeviceSchema} schema
+   * @throws {TypeError} for unsupported data models
+   * @example
+   * DeviceSchema.fromModel({dps: [
+   *   {id: 20, code: 'switch_led', type: 'Boolean', mode: 'rw', values: '{}'},
+   *   {id: 22, code: 'bright_value', type: 'Integer', mode: 'rw',
+   *    values: '{"min":10,"max":1000,"scale":0,"step":1}'}
+   * ]});
+   */
+  static fromModel(model) {
+    return new DeviceSchema(parseModel(model));
+  }
+
+  /**
+   * Reads a data model file, see `fromModel()`.
+   * @param {String} file path of file
+   * @returns {Promise<DeviceSchema>} the schema
+   */
+  static load(file) {
+    return fs.promises.readFile(file, 'utf8').then(contents => DeviceSchema.fromModel(contents));
+  }
+
+  /**
+   * Reads the data model of a product from a directory
+   * of models named after their product key, e.g.
+   * `keyjup78v54myhan.json`.
+   * @param {String} productKey product key, as found by `TuyaDevice#find()`
+   * @param {String} directory path of directory
+   * @returns {Promise<DeviceSchema>} the schema
+   */
+  static loadProduct(productKey, directory) {
+    if (!/^\w+$/.test(productKey || '')) {
+      return Promise.reject(new TypeError(`Invalid product key: ${productKey}.`));
+    }
+
+    return DeviceSchema.load(path.join(directory, `${productKey}.json`));
+  }
+}
+
+/**
+ * Reads the DP definitions of a data model.
+ * @private
+ * @param {Object|String} model data model, or its JSON
+ * @returns {Array.<DPDefinition>} definitions, with their `id`
+ */
+function parseModel(model) {
+  if (typeof model === 'string') {
+    model = JSON.parse(model);
+  }
+
+  if (model && model.result) {
+    model = model.result;
+  }
+
+  // The API returns the things data model as JSON
+  if (model && typeof model.model === 'string') {
+    model = JSON.parse(model.model);
+  }
+
+  if (model && Array.isArray(model.dps)) {
+    return model.dps.map(dp => ({
+      ...parseValues(dp.values),
+      id: dp.id === undefined ? dp.dp_id : dp.id,
+      code: dp.code,
+      type: parseType(dp),
+      readOnly: dp.mode === 'ro'
+    }));
+  }
+
+  if (model && Array.isArray(model.services)) {
+    return model.services.reduce((definitions, service) => definitions.concat((service.properties || []).map(property => {
+      const {type, ...values} = property.typeSpec || {};
+
+      return {
+        ...values,
+        id: property.abilityId,
+        code: property.code,
+        type: parseType({code: property.code, type}),
+        readOnly: property.accessMode === 'ro'
+      };
+    })), []);
+  }
+
+  throw new TypeError('Unsupported data model, expected a list of dps or services.');
+}
+
+/**
+ * Converts the type of a DP in a data model.
+ * @private
+ * @param {Object} dp DP of data model
+ * @returns {String} type, one of `TYPES`
+ */
+function parseType({code, type}) {
+  const name = String(type).toLowerCase();
+
+  if (TYPES.includes(name)) {
+    return name;
+  }
+
+  if (CLOUD_TYPES[name]) {
+    return CLOUD_TYPES[name];
+  }
+
+  throw new TypeError(`DP ${code} has an unknown type: ${type}.`);
+}
+
+/**
+ * Reads the `values` of a DP in a data model.
+ * @private
+ * @param {Object|String} [values] values, or their JSON
+ * @returns {Object} `min`, `max`, `range`, ... of the DP
+ */
+function parseValues(values) {
+  if (typeof values === 'string') {
+    values = values === '' ? {} : JSON.parse(values);
+  }
+
+  const {type, ...rest} = values || {};
+
+  return rest;
+}
+
+/**
+ * Returns the format of a string DP with a standard code.
+ * `colour_data` of bulbs with DPs below 20 is the older format.
+ * @private
+ * @param {DPDefinition} definition definition of DP, with its `id`
+ * @returns {String|undefined} format
+ */
+function inferFormat({id, code}) {
+  const legacy = Number(id) < 20;
+
+  if (code === 'colour_data_v2' || (code === 'colour_data' && !legacy)) {
+    return 'colour';
+  }
+
+  if (code === 'colour_data') {
+    return 'colour-legacy';
+  }
+
+  if (code === 'scene_data_v2' || (code === 'scene_data' && !legacy)) {
+    return 'scene';
+  }
+
+  if (code === 'music_data') {
+    return 'music';
+  }
+
+  return undefined;
+}
+
+/**
+ * Validates and encodes a value of a DP.
+ * @private
+ * @param {DPDefinition} definition definition of DP
+ * @param {*} value value to encode
+ * @returns {*} encoded value
+ */
+function encodeValue(definition, value) {
+  const {code, type} = definition;
+  const expect = (valid, expected) => {
+    if (!valid) {
+      throw new TypeError(`DP ${code} expects ${expected}, got ${JSON.stringify(value)}.`);
+    }
+  };
+
+  if (type === 'bool') {
+    expect(typeof value === 'boolean', 'a boolean');
+    return value;
+  }
+
+  if (type === 'value') {
+    expect(typeof value === 'number' && Number.isFinite(value), 'a number');
+    return encodeNumber(definition, value);
+  }
+
+  if (type === 'enum') {
+    expect(typeof value === 'string', 'a string');
+
+    if (definition.range && !definition.range.includes(value)) {
+      throw new RangeError(`DP ${code} expects one of ${definition.range.join(', ')}, got ${value}.`);
+    }
+
+    return value;
+  }
+
+  if (type === 'string' && definition.format && typeof value !== 'string') {
+    return FORMATS[definition.format].encode(value);
+  }
+
+  if (type === 'string') {
+    expect(typeof value === 'string', 'a string');
+
+    if (definition.maxlen !== undefined && value.length > definition.maxlen) {
+      throw new RangeError(`DP ${code} is limited to ${definition.maxlen} characters.`);
+    }
+
+    return value;
+  }
+
+  if (type === 'raw') {
+    expect(Buffer.isBuffer(value) || typeof value === 'string', 'a Buffer or base64 string');
+
+    const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64');
+
+    if (definition.maxlen !== undefined && buffer.length > definition.maxlen) {
+      throw new RangeError(`DP ${code} is limited to ${definition.maxlen} bytes.`);
+    }
+
+    return buffer.toString('base64');
+  }
+
+  // Bitmap
+  return encodeBitmap(definition, value);
+}
+
+/**
+ * Validates a number and scales it for the device.
+ * @private
+ * @param {DPDefinition} definition definition of a `value` DP
+ * @param {Number} value scaled value
+ * @returns {Number} value as sent to the device
+ */
+function encodeNumber({code, min, max, step = 1, scale = 0}, value) {
+  const factor = 10 ** scale;
+  const scaled = value * factor;
+  const raw = Math.round(scaled);
+
+  if (min !== undefined && raw < min) {
+    throw new RangeError(`DP ${code} expects a value of at least ${min / factor}, got ${value}.`);
+  }
+
+  if (max !== undefined && raw > max) {
+    throw new RangeError(`DP ${code} expects a value of at most ${max / factor}, got ${value}.`);
+  }
+
+  // Compare with a tolerance for floating point errors of the scaling
+  if (Math.abs(scaled - raw) > 1e-6 || (raw - (min || 0)) % step !== 0) {
+    throw new RangeError(`DP ${code} expects steps of ${step / factor}, got ${value}.`);
+  }
+
+  return raw;
+}
+
+/**
+ * Validates a bitmap, given as number or as names of set bits.
+ * @private
+ * @param {DPDefinition} definition definition of a `bitmap` DP
+ * @param {Number|Array.<String>} value bitmap
+ * @returns {Number} bitmap as number
+ */
+function encodeBitmap({code, label, maxlen}, value) {
+  if (Array.isArray(value)) {
+    return value.reduce((bitmap, name) => {
+      const bit = label ? label.indexOf(name) : -1;
+
+      if (bit === -1) {
+        throw new RangeError(`DP ${code} has no bit named ${name}.`);
+      }
+
+      return bitmap | (2 ** bit);
+    }, 0);
+  }
+
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError(`DP ${code} expects a non-negative integer or a list of bit names, got ${JSON.stringify(value)}.`);
+  }
+
+  if (maxlen !== undefined && value >= 2 ** maxlen) {
+    throw new RangeError(`DP ${code} only has ${maxlen} bits.`);
+  }
+
+  return value;
+}
+
+/**
+ * Decodes a value of a DP.
+ * @private
+ * @param {DPDefinition} definition definition of DP
+ * @param {*} value value sent by the device
+ * @returns {*} decoded value
+ */
+function decodeValue({type, scale, label, format}, value) {
+  if (type === 'string' && format && typeof value === 'string') {
+    try {
+      return FORMATS[format].decode(value);
+    } catch (_) {
+      // Keep data the device sent in another format
+      return value;
+    }
+  }
+
+  if (type === 'value' && scale && typeof value === 'number') {
+    // Round away floating point errors of the division
+    return Number((value / (10 ** scale)).toFixed(scale));
+  }
+
+  if (type === 'raw' && typeof value === 'string') {
+    return Buffer.from(value, 'base64');
+  }
+
+  if (type === 'bitmap' && label && typeof value === 'number') {
+    return label.filter((name, bit) => value & (2 ** bit));
+  }
+
+  return value;
+}
+
+module.exports = {DeviceSchema, TYPES};
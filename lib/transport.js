@@ -0,0 +1,99 @@
+const net = require('net');
+const {EventEmitter} = require('events');
+
+/**
+ * A transport carries the byte stream between a `TuyaDevice`
+ * and the physical device. Any object with these members works:
+ *
+ * - `connect({host, port, localAddress})` opens the connection
+ * - `write(buffer)` sends data
+ * - `destroy()` closes the connection
+ * - `connect`, `data`, `error` and `close` events, like `net.Socket`
+ * - optionally `localNonce()`, returning the 16 byte nonce to
+ *   negotiate the session key of protocol 3.4 and 3.5 with,
+ *   a random one is used otherwise
+ *
+ * Pass a factory returning a new transport for every connection
+ * as the `transport` option of `TuyaDevice`.
+ * @typedef {Object} Transport
+ */
+
+/**
+ * The default transport, a plain TCP socket.
+ * @returns {net.Socket} new socket
+ */
+function tcpTransport() {
+  return new net.Socket();
+}
+
+/**
+ * Adapts an already connected duplex stream to a
+ * transport, e.g. a socket from a SOCKS client or
+ * one end of an in-memory stream pair for tests.
+ * `connect()` ignores the address and emits
+ * `connect` right away.
+ * @class
+ * @param {stream.Duplex} stream stream to the device
+ * @example
+ * const device = new TuyaDevice({id: 'xxxxxxxxxxxxxxxxxxxx',
+ *                                key: 'xxxxxxxxxxxxxxxx',
+ *                                ip: '192.168.1.10',
+ *                                transport: () => new StreamTransport(stream)});
+ */
+class StreamTransport extends EventEmitter {
+  constructor(stream) {
+    super();
+
+    this.stream = stream;
+    this.destroyed = false;
+
+    stream.on('data', data => this.emit('data', data));
+    stream.on('error', error => {
+      // Ignore errors caused by destroying the stream ourselves
+      if (!this.destroyed) {
+        this.emit('error', error);
+      }
+    });
+    stream.on('end', () => this.destroy());
+    stream.on('close', () => this.destroy());
+  }
+
+  /**
+   * Emits `connect` on the next tick.
+   * @returns {StreamTransport} this
+   */
+  connect() {
+    setImmediate(() => {
+      if (!this.destroyed) {
+        this.emit('connect');
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Writes data to the stream.
+   * @param {Buffer} data data to write
+   * @returns {Boolean} result of `stream.write()`
+   */
+  write(data) {
+    return this.stream.write(data);
+  }
+
+  /**
+   * Destroys the stream and emits `close`.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.destroyed = true;
+    this.stream.destroy();
+
+    setImmediate(() => this.emit('close'));
+  }
+}
+
+module.exports = {tcpTransport, StreamTransport};
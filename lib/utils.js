@@ -1,3 +1,8 @@
+/* global AbortController */
+const {EventEmitter} = require('events');
+const debug = require('debug')('TuyAPI:Utils');
+const {TuyaTimeoutError} = require('./errors');
+
 /**
  * Checks a given input string.
  * @private
@@ -9,4 +14,183 @@ function isValidString(input) {
   return typeof input === 'string' && input.length > 0;
 }
 
-module.exports = {isValidString};
+/**
+ * Converts a dotted IPv4 address to a number.
+ * @private
+ * @param {String} ip IPv4 address
+ * @returns {Number} address as unsigned 32 bit integer
+ */
+function ipToNumber(ip) {
+  const parts = ip.split('.').map(Number);
+
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    throw new TypeError(`Invalid IPv4 address: ${ip}`);
+  }
+
+  return parts.reduce((number, part) => (number * 256) + part, 0);
+}
+
+/**
+ * Converts a number to a dotted IPv4 address.
+ * @private
+ * @param {Number} number address as unsigned 32 bit integer
+ * @returns {String} IPv4 address
+ */
+function numberToIp(number) {
+  return [24, 16, 8, 0].map(shift => (number >>> shift) & 0xFF).join('.');
+}
+
+/**
+ * Expands a list of IPv4 addresses and CIDR
+ * ranges into a list of addresses. Network and
+ * broadcast addresses of ranges are skipped.
+ * @private
+ * @param {Array.<String>} targets addresses or ranges,
+ * e.g. `['192.168.0.10', '10.0.1.0/24']`
+ * @returns {Array.<String>} addresses
+ */
+function expandTargets(targets) {
+  const addresses = [];
+
+  targets.forEach(target => {
+    if (!target.includes('/')) {
+      addresses.push(target);
+      return;
+    }
+
+    const [ip, prefixString] = target.split('/');
+    const prefix = Number(prefixString);
+
+    if (!Number.isInteger(prefix) || prefix < 16 || prefix > 32) {
+      throw new RangeError(`Unsupported range ${target}, prefix must be between 16 and 32.`);
+    }
+
+    const size = 2 ** (32 - prefix);
+    const network = ipToNumber(ip) - (ipToNumber(ip) % size);
+
+    // /31 and /32 ranges have no network or broadcast address
+    const first = size > 2 ? network + 1 : network;
+    const last = size > 2 ? network + size - 2 : network + size - 1;
+
+    for (let number = first; number <= last; number++) {
+      addresses.push(numberToIp(number));
+    }
+  });
+
+  return addresses;
+}
+
+/**
+ * Returns the error to reject with when a signal is aborted.
+ * @private
+ * @param {AbortSignal} signal aborted signal
+ * @returns {Error} the signal's reason, or an `AbortError`
+ */
+function abortError(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+
+  const error = new Error('The operation was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Rejects if a promise doesn't settle within a timeout
+ * or if an `AbortSignal` is aborted first.
+ * @private
+ * @param {Promise} promise promise to wrap
+ * @param {Object} [options] Options object
+ * @param {Number} [options.timeout] timeout in seconds, no timeout if omitted
+ * @param {AbortSignal} [options.signal] signal to cancel with
+ * @param {String} [options.message='Operation timed out.'] message of timeout error
+ * @param {Object} [options.details] details of timeout error, see `TuyaError`
+ * @param {Function} [options.onCancel] called with the error when cancelled,
+ * to clean up whatever is waiting for `promise`
+ * @returns {Promise} settles like `promise`, unless cancelled first
+ */
+function cancellable(promise, {timeout, signal, message = 'Operation timed out.', details, onCancel = () => {}} = {}) {
+  if (timeout === undefined && !signal) {
+    return promise;
+  }
+
+  let timer;
+  let onAbort;
+
+  const cancellation = new Promise((resolve, reject) => {
+    const cancel = error => {
+      // Reject first, so cleanup rejecting `promise` doesn't win the race
+      reject(error);
+
+      // Cleanup runs from a timer or an abort listener, where throwing would crash
+      try {
+        onCancel(error);
+      } catch (error_) {
+        debug('Cleanup after cancelling failed:', error_);
+      }
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        cancel(abortError(signal));
+        return;
+      }
+
+      onAbort = () => cancel(abortError(signal));
+      signal.addEventListener('abort', onAbort, {once: true});
+    }
+
+    if (timeout !== undefined) {
+      timer = setTimeout(() => cancel(new TuyaTimeoutError(message, details)), timeout * 1000);
+    }
+  });
+
+  return Promise.race([promise, cancellation]).finally(() => {
+    clearTimeout(timer);
+
+    if (onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * Creates an `AbortController`. Node before 15 has none,
+ * there it returns a stand-in with the parts of
+ * `AbortSignal` that `cancellable()` uses.
+ * @private
+ * @returns {AbortController} controller
+ */
+function createAbortController() {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController();
+  }
+
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: (type, listener, {once = false} = {}) => {
+      emitter[once ? 'once' : 'on'](type, listener);
+    },
+    removeEventListener: (type, listener) => {
+      emitter.removeListener(type, listener);
+    }
+  };
+
+  return {
+    signal,
+    abort(reason) {
+      if (signal.aborted) {
+        return;
+      }
+
+      signal.aborted = true;
+      signal.reason = reason;
+      emitter.emit('abort');
+    }
+  };
+}
+
+module.exports = {isValidString, expandTargets, abortError, cancellable, createAbortController};
@@ -0,0 +1,25 @@
+const TuyAPI = require('..');
+const {TuyaEmulator} = require('../lib/emulator');
+
+const id = '22325186db4a2217dc8e';
+const key = '4226aa407d5c1e2b';
+
+// Connects a device to an emulator and runs `fn` with both,
+// closing them again even if `fn` fails. `options.emulator` and
+// `options.device` are passed on, `Device` defaults to TuyAPI.
+async function emulate({Device = TuyAPI, version = 3.3, emulator: emulatorOptions, device: deviceOptions}, fn) {
+  const emulator = new TuyaEmulator({id, key, version, ...emulatorOptions});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const device = new Device({id, key, version, port, ip: '127.0.0.1', issueGetOnConnect: false, ...deviceOptions});
+
+  try {
+    await device.connect();
+    return await fn({emulator, device});
+  } finally {
+    device.disconnect();
+    await emulator.close();
+  }
+}
+
+module.exports = {emulate, id, key};
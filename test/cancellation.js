@@ -0,0 +1,132 @@
+import test from 'ava';
+
+const net = require('net');
+const TuyAPI = require('..');
+const {TuyaTimeoutError} = require('../lib/errors');
+const {createAbortController} = require('../lib/utils');
+
+// Accepts connections but never answers
+function startSilentServer(port) {
+  const sockets = [];
+  const server = net.createServer(socket => sockets.push(socket));
+
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve({
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      server.close();
+    }
+  })));
+}
+
+function createDevice() {
+  return new TuyAPI({id: '22325186db4a2217dc8e',
+                     key: '4226aa407d5c1e2b',
+                     ip: '127.0.0.1',
+                     port: 6690,
+                     issueGetOnConnect: false});
+}
+
+test.serial('get rejects after per-call timeout and cleans up', async t => {
+  const server = await startSilentServer(6690);
+  const device = createDevice();
+
+  const error = await t.throwsAsync(() => device.get({timeout: 0.5}), {instanceOf: TuyaTimeoutError});
+
+  t.is(error.code, 'ERR_TUYA_TIMEOUT');
+  t.is(error.deviceId, '22325186db4a2217dc8e');
+
+  t.deepEqual(device._resolvers, {});
+
+  device.disconnect();
+  server.close();
+});
+
+test.serial('get is cancelled by an AbortSignal', async t => {
+  const server = await startSilentServer(6690);
+  const device = createDevice();
+  const controller = createAbortController();
+
+  const request = device.get({signal: controller.signal});
+  setTimeout(() => controller.abort(), 200);
+
+  await t.throwsAsync(() => request, {name: 'AbortError'});
+
+  t.deepEqual(device._resolvers, {});
+
+  device.disconnect();
+  server.close();
+});
+
+test.serial('set is cancelled by an AbortSignal', async t => {
+  const server = await startSilentServer(6690);
+  const device = createDevice();
+  const controller = createAbortController();
+
+  device.on('error', () => {});
+
+  const first = device.set({set: true, signal: controller.signal});
+  // Queued behind the first one
+  const second = device.set({set: false, signal: controller.signal});
+
+  setTimeout(() => controller.abort(), 200);
+
+  await t.throwsAsync(() => first, {name: 'AbortError'});
+  await t.throwsAsync(() => second, {name: 'AbortError'});
+
+  t.is(device._setRequests.size, 0);
+  t.deepEqual(device._resolvers, {});
+
+  device.disconnect();
+  server.close();
+});
+
+test.serial('set emits and rejects with a timeout error', async t => {
+  const server = await startSilentServer(6690);
+  const device = createDevice();
+  const errors = [];
+
+  device.on('error', error => errors.push(error));
+
+  const error = await t.throwsAsync(() => device.set({set: true, timeout: 0.3}), {instanceOf: TuyaTimeoutError});
+
+  t.is(errors[0], error);
+  t.is(error.sequenceN, 1);
+  t.is(device._setRequests.size, 0);
+
+  device.disconnect();
+  server.close();
+});
+
+test.serial('set only rejects on timeout without an error listener', async t => {
+  const server = await startSilentServer(6690);
+  const device = createDevice();
+
+  await t.throwsAsync(() => device.set({set: true, timeout: 0.3}), {instanceOf: TuyaTimeoutError});
+
+  // Would have crashed with an unhandled 'error' event by now
+  await new Promise(resolve => setTimeout(resolve, 100));
+  t.is(device._setRequests.size, 0);
+
+  device.disconnect();
+  server.close();
+});
+
+test.serial('aborting connect cancels the connection attempt', async t => {
+  const server = await startSilentServer(6690);
+  const device = new TuyAPI({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             ip: '127.0.0.1',
+                             port: 6690,
+                             version: 3.4});
+  const controller = createAbortController();
+
+  // Waits for the session key negotiation that never happens
+  const connecting = device.connect({signal: controller.signal});
+  setTimeout(() => controller.abort(), 200);
+
+  await t.throwsAsync(() => connecting, {name: 'AbortError'});
+
+  t.is(device.state, TuyAPI.ConnectionState.CLOSED);
+
+  server.close();
+});
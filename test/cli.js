@@ -0,0 +1,136 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {run, parseArgs} = require('../lib/cli');
+const {createAbortController} = require('../lib/utils');
+const {TuyaEmulator} = require('../lib/emulator');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+
+const id = '22325186db4a2217dc8e';
+const key = '4226aa407d5c1e2b';
+
+// Collects what is written to it
+function output() {
+  const chunks = [];
+
+  return {
+    write: chunk => chunks.push(chunk),
+    toString: () => chunks.join('')
+  };
+}
+
+test('parses commands, options and flags', t => {
+  t.deepEqual(parseArgs(['get', '1', '--ip', '10.0.0.2', '--version=3.4', '--json']), {
+    command: 'get',
+    args: ['1'],
+    options: {ip: '10.0.0.2', version: '3.4', json: true}
+  });
+
+  t.deepEqual(parseArgs(['decode', 'capture.pcap', '--key', 'a', '--key=b']).options, {key: ['a', 'b']});
+});
+
+test('exits with usage errors', async t => {
+  const stderr = output();
+
+  t.is(await run(['frobnicate'], {stderr, env: {}}), 2);
+  t.true(stderr.toString().startsWith('Unknown command: frobnicate.'));
+
+  t.is(await run(['get', '--ip'], {stderr, env: {}}), 2);
+  t.is(await run(['set', '--ip', '127.0.0.1', '--key', key], {stderr, env: {}}), 2);
+  t.is(await run(['get', '--ip', '127.0.0.1', '--key', key, '--key', key], {stderr, env: {}}), 2);
+});
+
+test('decodes frames', async t => {
+  const parser = new MessageParser({key, version: 3.3, asDevice: true});
+  const frame = parser.encode({data: {dps: {1: true}}, commandByte: CommandType.STATUS, sequenceN: 4});
+
+  const stdout = output();
+
+  t.is(await run(['decode', frame.toString('hex'), '--key', key, '--version', '3.3', '--json'], {stdout, env: {}}), 0);
+  t.deepEqual(JSON.parse(stdout.toString()), {
+    direction: 'from-device',
+    sequenceN: 4,
+    commandByte: 8,
+    command: 'STATUS',
+    returnCode: 0,
+    version: '3.3',
+    payload: {dps: {1: true}}
+  });
+});
+
+test.serial('gets and sets DPS with credentials from the environment', async t => {
+  const emulator = new TuyaEmulator({id, key, version: 3.4, state: {1: false, 2: 20}});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+  const env = {TUYA_ID: id, TUYA_KEY: key, TUYA_IP: '127.0.0.1', TUYA_VERSION: '3.4', TUYA_PORT: String(port)};
+
+  const stdout = output();
+
+  t.is(await run(['get', '--json'], {stdout, env}), 0);
+  t.is(await run(['set', '1=true', '2=25', '--json'], {stdout, env}), 0);
+  t.is(await run(['get', '2'], {stdout, env}), 0);
+
+  await emulator.close();
+
+  const lines = stdout.toString().trim().split('\n');
+
+  t.deepEqual(JSON.parse(lines[0]), {1: false, 2: 20});
+  t.deepEqual(JSON.parse(lines[1]), {1: true, 2: 25});
+  t.is(lines[2], '25');
+});
+
+test.serial('reads devices from a config file', async t => {
+  const emulator = new TuyaEmulator({id, key, version: 3.5, state: {1: true}});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const file = path.join(os.tmpdir(), `tuyapi-cli-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({devices: [
+    {name: 'lamp', id, key, ip: '127.0.0.1', port, version: '3.5'},
+    {name: 'fan', id: 'bbbbbbbbbbbbbbbbbbbb', key, ip: '127.0.0.2'}
+  ]}));
+
+  const stdout = output();
+  const stderr = output();
+
+  t.is(await run(['toggle', '--config', file, '--device', 'lamp'], {stdout, env: {}}), 0);
+  t.is(await run(['get', '--config', file], {stderr, env: {}}), 2);
+
+  fs.unlinkSync(file);
+  await emulator.close();
+
+  t.is(stdout.toString(), 'false\n');
+  t.false(emulator.state['1']);
+  t.true(stderr.toString().includes('lists several devices'));
+});
+
+test.serial('monitor prints reported data until stopped', async t => {
+  const emulator = new TuyaEmulator({id, key, version: 3.3, state: {1: true}});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const controller = createAbortController();
+  const stdout = output();
+
+  emulator.on('request', packet => {
+    // Change state once the monitor asked for the current one
+    if (packet.commandByte === CommandType.DP_QUERY) {
+      setTimeout(() => {
+        emulator.setState({1: false});
+        setTimeout(() => controller.abort(), 100);
+      }, 100);
+    }
+  });
+
+  const argv = ['monitor', '--id', id, '--key', key, '--ip', '127.0.0.1', '--port', String(port), '--version', '3.3', '--json'];
+
+  t.is(await run(argv, {stdout, stderr: output(), env: {}, signal: controller.signal}), 0);
+
+  await emulator.close();
+
+  const events = stdout.toString().trim().split('\n').map(line => JSON.parse(line));
+
+  t.deepEqual(events.map(event => [event.event, event.dps]), [
+    ['data', {1: true}],
+    ['data', {1: false}]
+  ]);
+});
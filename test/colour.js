@@ -0,0 +1,91 @@
+// DP codes are defined by Tuya
+/* eslint-disable camelcase */
+import test from 'ava';
+
+const {DeviceSchema} = require('../lib/schema');
+const {
+  hsvToRgb,
+  rgbToHsv,
+  encodeColour,
+  encodeLegacyColour,
+  decodeColour,
+  encodeColourTemperature,
+  decodeColourTemperature,
+  encodeScene,
+  decodeScene,
+  encodeMusic,
+  decodeMusic
+} = require('../lib/colour');
+
+test('converts between RGB and HSV', t => {
+  t.deepEqual(hsvToRgb({h: 120, s: 100, v: 100}), {r: 0, g: 255, b: 0});
+  t.deepEqual(hsvToRgb({h: 30, s: 50, v: 80}), {r: 204, g: 153, b: 102});
+  t.deepEqual(rgbToHsv({r: 204, g: 153, b: 102}), {h: 30, s: 50, v: 80});
+  t.deepEqual(rgbToHsv({r: 0, g: 0, b: 0}), {h: 0, s: 0, v: 0});
+  t.throws(() => rgbToHsv({r: 256, g: 0, b: 0}), {instanceOf: RangeError});
+});
+
+test('encodes and decodes both colour formats', t => {
+  t.is(encodeColour({h: 240, s: 50, v: 100}), '00f001f403e8');
+  t.is(encodeColour({r: 255, g: 0, b: 0}), '000003e803e8');
+  t.deepEqual(decodeColour('00f001f403e8'), {h: 240, s: 50, v: 100});
+
+  t.is(encodeLegacyColour({r: 0, g: 255, b: 0}), '00ff000078ffff');
+  t.is(encodeLegacyColour({h: 0, s: 100, v: 100}), 'ff00000000ffff');
+  t.deepEqual(decodeColour('00ff000078ffff'), {h: 120, s: 100, v: 100});
+
+  t.throws(() => encodeColour({h: 361, s: 0, v: 0}), {instanceOf: RangeError});
+  t.throws(() => encodeColour('red'), {instanceOf: TypeError});
+  t.throws(() => decodeColour('00f001f4'), {instanceOf: TypeError});
+});
+
+test('scales colour temperatures', t => {
+  t.is(encodeColourTemperature(4600), 500);
+  t.is(encodeColourTemperature(10000), 1000);
+  t.is(encodeColourTemperature(2000, {max: 255}), 0);
+  t.is(decodeColourTemperature(255, {max: 255, warmest: 3000, coldest: 6000}), 6000);
+});
+
+test('encodes and decodes scenes and music', t => {
+  const scene = {scene: 4, units: [
+    {mode: 'gradient', switchDuration: 50, gradientDuration: 50, colour: {h: 0, s: 100, v: 100}, brightness: 0, temperature: 0},
+    {mode: 'static', switchDuration: 0, gradientDuration: 0, colour: {h: 0, s: 0, v: 0}, brightness: 100, temperature: 50}
+  ]};
+
+  const data = encodeScene(scene);
+  // Scene number, then units of durations, mode, HSV, brightness and temperature
+  t.is(data, '04323202000003e803e80000000000000000000000000003e801f4');
+  t.deepEqual(decodeScene(data), scene);
+
+  t.is(encodeMusic({mode: 'gradient', colour: {h: 240, s: 100, v: 50}}), '100f003e801f400000000');
+  t.deepEqual(decodeMusic('100f003e801f400000000'), {mode: 'gradient', colour: {h: 240, s: 100, v: 50}, brightness: 0, temperature: 0});
+
+  t.throws(() => encodeScene({scene: 1, units: []}), {instanceOf: TypeError});
+  t.throws(() => encodeScene({scene: 1, units: [{mode: 'flash'}]}), {instanceOf: RangeError});
+});
+
+test('schemas encode and decode light DPs by format', t => {
+  const schema = new DeviceSchema({
+    5: {code: 'colour_data', type: 'string'},
+    24: {code: 'colour_data_v2', type: 'string'},
+    25: {code: 'scene_data', type: 'string'},
+    27: {code: 'music_data', type: 'string'},
+    101: {code: 'rgb', type: 'string', format: 'colour'}
+  });
+
+  t.is(schema.find('colour_data').format, 'colour-legacy');
+  t.is(schema.find('scene_data').format, 'scene');
+
+  t.deepEqual(schema.encodeDps({colour_data_v2: {r: 255, g: 0, b: 0}, colour_data: {h: 120, s: 100, v: 100}, rgb: '000003e803e8'}), {
+    24: '000003e803e8',
+    5: '00ff000078ffff',
+    101: '000003e803e8'
+  });
+
+  t.deepEqual(schema.decode({24: '00f001f403e8', 101: 'not colour data'}), {
+    colour_data_v2: {h: 240, s: 50, v: 100},
+    rgb: 'not colour data'
+  });
+
+  t.throws(() => new DeviceSchema({1: {code: 'x', type: 'string', format: 'hsl'}}), {instanceOf: TypeError});
+});
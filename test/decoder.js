@@ -0,0 +1,259 @@
+import test from 'ava';
+
+const TuyAPI = require('..');
+const {decodeHex, decodeCapture, formatTranscript} = require('../lib/decoder');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+const {SessionRecorder} = require('../lib/recording');
+const {TuyaEmulator} = require('../lib/emulator');
+
+const id = '22325186db4a2217dc8e';
+const key = '4226aa407d5c1e2b';
+
+const APP = [192, 168, 1, 2];
+const DEVICE = [192, 168, 1, 10];
+
+// Wraps a TCP or UDP segment in Ethernet and IPv4 headers
+function ethernet(source, destination, protocol, segment) {
+  const ip = Buffer.alloc(20);
+  ip[0] = 0x45;
+  ip.writeUInt16BE(20 + segment.length, 2);
+  ip[8] = 64;
+  ip[9] = protocol;
+  Buffer.from(source).copy(ip, 12);
+  Buffer.from(destination).copy(ip, 16);
+
+  const header = Buffer.alloc(14);
+  header.writeUInt16BE(0x0800, 12);
+
+  return Buffer.concat([header, ip, segment]);
+}
+
+function tcp({sourcePort, destinationPort, sequence, payload = Buffer.alloc(0), syn = false}) {
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(sourcePort, 0);
+  header.writeUInt16BE(destinationPort, 2);
+  header.writeUInt32BE(sequence, 4);
+  header[12] = 5 << 4;
+  header[13] = syn ? 0x02 : 0x18;
+
+  return Buffer.concat([header, payload]);
+}
+
+function udp(sourcePort, destinationPort, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16BE(sourcePort, 0);
+  header.writeUInt16BE(destinationPort, 2);
+  header.writeUInt16BE(8 + payload.length, 4);
+
+  return Buffer.concat([header, payload]);
+}
+
+// Turns a recorded session into captured Ethernet frames
+function capturePackets(session, {retransmit = false} = {}) {
+  const sequences = {out: 1000, in: 5000};
+  const packets = [
+    ethernet(APP, DEVICE, 6, tcp({sourcePort: 50000, destinationPort: 6668, sequence: sequences.out - 1, syn: true})),
+    ethernet(DEVICE, APP, 6, tcp({sourcePort: 6668, destinationPort: 50000, sequence: sequences.in - 1, syn: true}))
+  ];
+
+  session.frames.forEach(({direction, data}) => {
+    const payload = Buffer.from(data, 'hex');
+    const segment = direction === 'out' ?
+      ethernet(APP, DEVICE, 6, tcp({sourcePort: 50000, destinationPort: 6668, sequence: sequences.out, payload})) :
+      ethernet(DEVICE, APP, 6, tcp({sourcePort: 6668, destinationPort: 50000, sequence: sequences.in, payload}));
+
+    packets.push(segment);
+
+    if (retransmit) {
+      packets.push(segment);
+    }
+
+    sequences[direction] += payload.length;
+  });
+
+  return packets;
+}
+
+function pcap(packets) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xA1B2C3D4, 0);
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(65535, 16);
+  header.writeUInt32LE(1, 20);
+
+  return Buffer.concat([header, ...packets.map((data, i) => {
+    const record = Buffer.alloc(16);
+    record.writeUInt32LE(1700000000, 0);
+    record.writeUInt32LE(i * 1000, 4);
+    record.writeUInt32LE(data.length, 8);
+    record.writeUInt32LE(data.length, 12);
+
+    return Buffer.concat([record, data]);
+  })]);
+}
+
+function pcapng(packets) {
+  const block = (type, body) => {
+    const padded = Buffer.concat([body, Buffer.alloc((4 - (body.length % 4)) % 4)]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(padded.length + 12);
+
+    const start = Buffer.alloc(4);
+    start.writeUInt32BE(type);
+
+    return Buffer.concat([start, length, padded, length]);
+  };
+
+  // Big endian section with an Ethernet interface of millisecond resolution
+  const section = Buffer.from('1a2b3c4d00010000ffffffffffffffff', 'hex');
+  const description = Buffer.from('000100000000ffff000900010300000000000000', 'hex');
+
+  return Buffer.concat([
+    block(0x0A0D0D0A, section),
+    block(1, description),
+    ...packets.map((data, i) => {
+      const time = 1700000000000 + i;
+      const header = Buffer.alloc(20);
+      header.writeUInt32BE(0, 0);
+      header.writeUInt32BE(Math.floor(time / (2 ** 32)), 4);
+      header.writeUInt32BE(time % (2 ** 32), 8);
+      header.writeUInt32BE(data.length, 12);
+      header.writeUInt32BE(data.length, 16);
+
+      return block(6, Buffer.concat([header, data]));
+    })
+  ]);
+}
+
+// Records a session of a device with the emulator
+async function recordSession(version) {
+  const emulator = new TuyaEmulator({id, key, version, state: {1: false}});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const recorder = new SessionRecorder();
+  const device = new TuyAPI({id, key, version, port, ip: '127.0.0.1', issueGetOnConnect: false, recorder});
+
+  await device.connect();
+  await device.get({schema: true});
+  await device.set({dps: 1, set: true});
+
+  device.disconnect();
+  await emulator.close();
+
+  return {session: recorder.sessions[0], sessionKey: device.sessionKey, emulator};
+}
+
+test('decodes hex frames, trying each key', t => {
+  const response = new MessageParser({key, version: 3.3, asDevice: true});
+  const request = new MessageParser({key, version: 3.3});
+
+  const [status] = decodeHex(response.encode({data: {dps: {1: true}}, commandByte: CommandType.STATUS, sequenceN: 4}).toString('hex'), {
+    keys: ['aaaaaaaaaaaaaaaa', key]
+  });
+
+  t.deepEqual(status, {
+    direction: 'from-device',
+    sequenceN: 4,
+    commandByte: CommandType.STATUS,
+    command: 'STATUS',
+    returnCode: 0,
+    version: '3.3',
+    payload: {dps: {1: true}}
+  });
+
+  const [control] = decodeHex(request.encode({data: {dps: {1: false}}, commandByte: CommandType.CONTROL, sequenceN: 5}).toString('hex'), {
+    keys: key,
+    direction: 'to-device'
+  });
+
+  t.is(control.command, 'CONTROL');
+  t.is(control.returnCode, undefined);
+  t.deepEqual(control.payload, {dps: {1: false}});
+
+  t.is(formatTranscript([status]), 'from-device #4 STATUS (8) 3.3 rc=0 {"dps":{"1":true}}\n');
+});
+
+test('reports frames that no key decodes', t => {
+  const parser = new MessageParser({key, version: 3.5, asDevice: true});
+  const frame = parser.encode({data: {dps: {1: true}}, commandByte: CommandType.STATUS, sequenceN: 2});
+
+  const [entry] = decodeHex(frame.toString('hex'), {keys: 'aaaaaaaaaaaaaaaa'});
+
+  t.is(entry.command, 'STATUS');
+  t.true(entry.payload.equals(frame));
+  t.true(entry.error.includes('session key negotiation may be missing'));
+});
+
+test.serial('decodes a pcap capture, deriving the 3.4 session key', async t => {
+  const {session, sessionKey} = await recordSession(3.4);
+  const entries = decodeCapture(pcap(capturePackets(session, {retransmit: true})), {keys: ['aaaaaaaaaaaaaaaa', key]});
+
+  t.deepEqual(entries.map(entry => [entry.direction, entry.command]), [
+    ['to-device', 'SESS_KEY_NEG_START'],
+    ['from-device', 'SESS_KEY_NEG_RES'],
+    ['to-device', 'SESS_KEY_NEG_FINISH'],
+    ['to-device', 'DP_QUERY_NEW'],
+    ['from-device', 'DP_QUERY_NEW'],
+    ['to-device', 'CONTROL_NEW'],
+    ['from-device', 'CONTROL_NEW'],
+    ['from-device', 'STATUS']
+  ]);
+
+  t.true(entries[2].sessionKey.equals(sessionKey));
+  t.is(entries[0].source, '192.168.1.2:50000');
+  t.is(entries[1].destination, '192.168.1.2:50000');
+  t.is(entries[4].returnCode, 0);
+  t.deepEqual(entries[4].payload, {devId: id, dps: {1: false}});
+  t.deepEqual(entries[5].payload.dps, {1: true});
+  t.is(entries[0].time.getTime(), 1700000000002);
+});
+
+test.serial('decodes a pcapng capture of protocol 3.5 with broadcasts', async t => {
+  const {session, emulator} = await recordSession(3.5);
+  const broadcast = ethernet(DEVICE, [255, 255, 255, 255], 17, udp(49153, 6669, emulator._encodeBroadcast()));
+
+  const entries = decodeCapture(pcapng([broadcast, ...capturePackets(session)]), {keys: key});
+
+  t.deepEqual(entries.map(entry => entry.command), [
+    'UDP_NEW',
+    'SESS_KEY_NEG_START',
+    'SESS_KEY_NEG_RES',
+    'SESS_KEY_NEG_FINISH',
+    'DP_QUERY_NEW',
+    'DP_QUERY_NEW',
+    'CONTROL_NEW',
+    'CONTROL_NEW',
+    'STATUS'
+  ]);
+
+  t.is(entries[0].direction, 'broadcast');
+  t.is(entries[0].payload.gwId, id);
+  t.true(entries.every(entry => !entry.error && entry.version === '3.5'));
+  t.is(entries[2].returnCode, 0);
+  t.deepEqual(entries[5].payload.dps, {1: false});
+  t.is(entries[1].time.getTime(), 1700000000003);
+});
+
+test.serial('skips packets cut short and reads IPv4 packets without a total length', async t => {
+  const {session} = await recordSession(3.3);
+
+  // Captured before TCP segmentation offload, the total length is 0
+  const packets = capturePackets(session).map(packet => {
+    packet.writeUInt16BE(0, 16);
+    return packet;
+  });
+
+  const cutShort = ethernet(APP, DEVICE, 6, tcp({sourcePort: 50000, destinationPort: 6668, sequence: 1})).slice(0, 30);
+
+  const entries = decodeCapture(pcap([
+    Buffer.alloc(10),
+    cutShort,
+    ethernet(APP, DEVICE, 6, Buffer.alloc(6)),
+    ethernet(APP, DEVICE, 17, Buffer.alloc(4)),
+    ...packets
+  ]), {keys: key});
+
+  t.deepEqual(entries.map(entry => entry.command), ['DP_QUERY', 'DP_QUERY', 'CONTROL', 'CONTROL', 'STATUS']);
+  t.deepEqual(entries[1].payload.dps, {1: false});
+});
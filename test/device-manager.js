@@ -0,0 +1,84 @@
+import test from 'ava';
+import TuyaStub from '@tuyapi/stub';
+import delay from 'delay';
+
+const TuyAPI = require('..');
+const TuyaDeviceManager = require('../lib/device-manager');
+
+test('add, get and remove devices', t => {
+  const manager = new TuyaDeviceManager();
+
+  const device = manager.add({id: '22325186db4a2217dc8e', key: '4226aa407d5c1e2b'});
+
+  t.true(device instanceof TuyAPI);
+  t.is(manager.getDevice('22325186db4a2217dc8e'), device);
+  t.is(manager.getDevices().length, 1);
+
+  t.true(manager.remove('22325186db4a2217dc8e'));
+  t.is(manager.getDevice('22325186db4a2217dc8e'), undefined);
+  t.false(manager.remove('22325186db4a2217dc8e'));
+});
+
+test('add throws if device has no ID', t => {
+  const manager = new TuyaDeviceManager();
+
+  t.throws(() => {
+    manager.add({ip: 'localhost', key: '4226aa407d5c1e2b'});
+  });
+});
+
+test.serial('creates devices from discovery broadcasts', async t => {
+  const manager = new TuyaDeviceManager({keys: {'22325186db4a2217dc8e': '4226aa407d5c1e2b'}});
+  const stub = new TuyaStub({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             state: {1: false}});
+
+  const added = new Promise(resolve => manager.once('added', (id, device) => resolve(device)));
+
+  await manager.startDiscovery();
+  stub.startUDPBroadcast({interval: 0.2});
+
+  const device = await added;
+
+  manager.stopDiscovery();
+  stub.shutdown();
+
+  await delay(100);
+
+  t.is(device.device.id, '22325186db4a2217dc8e');
+  t.is(device.device.ip, 'localhost');
+});
+
+test.serial('connectAll connects devices and forwards tagged events', async t => {
+  const manager = new TuyaDeviceManager({concurrency: 1});
+  const stubs = [
+    new TuyaStub({id: '22325186db4a2217dc8e', key: '4226aa407d5c1e2b', state: {1: false}}),
+    new TuyaStub({id: '22325186db4a2217dc8f', key: '4226aa407d5c1e2c', state: {1: true}})
+  ];
+
+  stubs[0].startServer(6668);
+  stubs[1].startServer(6670);
+
+  manager.add({id: '22325186db4a2217dc8e', key: '4226aa407d5c1e2b', ip: 'localhost', port: 6668});
+  manager.add({id: '22325186db4a2217dc8f', key: '4226aa407d5c1e2c', ip: 'localhost', port: 6670});
+
+  const received = {};
+  const allData = new Promise(resolve => {
+    manager.on('data', (id, data) => {
+      received[id] = data.dps['1'];
+
+      if (Object.keys(received).length === 2) {
+        resolve();
+      }
+    });
+  });
+
+  const results = await manager.connectAll();
+  await allData;
+
+  manager.disconnectAll();
+  stubs.forEach(stub => stub.shutdown());
+
+  t.deepEqual(results.map(result => result.connected), [true, true]);
+  t.deepEqual(received, {'22325186db4a2217dc8e': false, '22325186db4a2217dc8f': true});
+});
@@ -0,0 +1,105 @@
+import test from 'ava';
+
+const {TuyaSwitch, TuyaPlug, TuyaBulb, TuyaCover, TuyaThermostat} = require('../lib/devices');
+const {emulate, id, key} = require('./_emulate');
+
+test.serial('switches turn gangs on and off', async t => {
+  await emulate({Device: TuyaSwitch, emulator: {state: {1: false, 2: false}}, device: {gangs: 2}}, async ({emulator, device}) => {
+    const switched = new Promise(resolve => device.once('switch', (...args) => resolve(args)));
+
+    await device.turnOn(2);
+    t.deepEqual(emulator.state, {1: false, 2: true});
+    t.deepEqual(await switched, [true, 2]);
+    t.false(await device.isOn(1));
+    t.throws(() => device.turnOn(3), {instanceOf: TypeError});
+  });
+});
+
+test.serial('plugs report power, current and voltage', async t => {
+  await emulate({Device: TuyaPlug, emulator: {state: {1: true, 4: 120, 5: 253, 6: 2301}}, device: {metering: 4}}, async ({emulator, device}) => {
+    t.deepEqual(await device.getMetering(), {power: 25.3, current: 120, voltage: 230.1});
+    t.is(device.power, 25.3);
+
+    const reported = new Promise(resolve => device.once('power', resolve));
+    emulator.setState({5: 1000});
+    t.deepEqual(await reported, {power: 100, current: 120, voltage: 230.1});
+
+    t.throws(() => new TuyaPlug({id, key, ip: '127.0.0.1', metering: 4, gangs: 4}), {instanceOf: TypeError});
+  });
+});
+
+test.serial('bulbs set brightness, colour temperature and colour', async t => {
+  await emulate({Device: TuyaBulb, emulator: {state: {20: false, 21: 'white', 22: 10, 23: 0, 24: '000003e803e8'}}}, async ({emulator, device}) => {
+    await device.turnOn();
+    await device.setBrightness(50);
+    t.is(emulator.state['22'], 505);
+    t.is(await device.getBrightness(), 50);
+
+    await device.setColourTemperature(100);
+    t.is(emulator.state['23'], 1000);
+
+    const colour = new Promise(resolve => device.once('colour', resolve));
+
+    await device.setColour({h: 240, s: 50, v: 100});
+    t.is(emulator.state['21'], 'colour');
+    t.is(emulator.state['24'], '00f001f403e8');
+    t.deepEqual(await device.getColour(), {h: 240, s: 50, v: 100});
+    t.deepEqual(await colour, {h: 240, s: 50, v: 100});
+
+    t.throws(() => device.setColour({h: 400, s: 50, v: 50}), {instanceOf: RangeError});
+
+    await device.setScene({scene: 1, units: [{colour: {r: 255, g: 0, b: 0}}]});
+    t.is(emulator.state['21'], 'scene');
+    t.is(emulator.state['25'], '01000000000003e803e800000000');
+  });
+});
+
+test.serial('older bulbs use the legacy colour format', async t => {
+  await emulate({Device: TuyaBulb, emulator: {state: {1: true, 2: 'white', 3: 255, 5: 'ff00000000ffff'}}, device: {legacy: true}}, async ({emulator, device}) => {
+    await device.setColour({h: 120, s: 100, v: 100});
+    t.is(emulator.state['5'], '00ff000078ffff');
+    t.deepEqual(await device.getColour(), {h: 120, s: 100, v: 100});
+    t.is(await device.getBrightness(), 100);
+  });
+});
+
+test.serial('covers open, close and move to a position', async t => {
+  await emulate({Device: TuyaCover, emulator: {state: {1: 'stop', 2: 0, 3: 0}}}, async ({emulator, device}) => {
+    const moving = new Promise(resolve => device.once('moving', resolve));
+    const position = new Promise(resolve => device.once('position', resolve));
+
+    await device.open();
+    t.is(emulator.state['1'], 'open');
+
+    emulator.setState({7: 'opening'});
+    t.is(await moving, 'opening');
+
+    await device.setPosition(40);
+    t.is(emulator.state['2'], 40);
+
+    emulator.setState({3: 40});
+    t.is(await position, 40);
+    t.is(await device.getPosition(), 40);
+
+    await device.stop();
+    t.is(emulator.state['1'], 'stop');
+  });
+});
+
+test.serial('thermostats set and report temperatures', async t => {
+  await emulate({Device: TuyaThermostat, emulator: {state: {1: true, 2: 200, 3: 185, 4: 'manual'}}}, async ({emulator, device}) => {
+    t.is(await device.getTemperature(), 18.5);
+
+    const target = new Promise(resolve => device.once('target-temperature', resolve));
+
+    await device.setTargetTemperature(21.5);
+    t.is(emulator.state['2'], 215);
+    t.is(await target, 21.5);
+    t.is(await device.getTargetTemperature(), 21.5);
+    t.throws(() => device.setTargetTemperature(21.2), {instanceOf: RangeError});
+
+    const measured = new Promise(resolve => device.once('temperature', resolve));
+    emulator.setState({3: 190});
+    t.is(await measured, 19);
+  });
+});
@@ -0,0 +1,106 @@
+import test from 'ava';
+import TuyaStub from '@tuyapi/stub';
+import delay from 'delay';
+
+const TuyAPI = require('..');
+const {TuyaDiscovery, decodeBroadcast} = require('../lib/discovery');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+const {UDP_KEY} = require('../lib/config');
+
+test.serial('emits deviceFound and keeps a registry', async t => {
+  const discovery = new TuyaDiscovery({interval: 0.2});
+  const stub = new TuyaStub({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             state: {1: false}});
+
+  const found = new Promise(resolve => discovery.once('deviceFound', resolve));
+
+  await discovery.start();
+  stub.startUDPBroadcast({interval: 0.1});
+
+  const device = await found;
+
+  discovery.stop();
+  stub.shutdown();
+
+  await delay(100);
+
+  t.is(device.id, '22325186db4a2217dc8e');
+  t.is(device.ip, 'localhost');
+  t.true(device.lastSeen instanceof Date);
+  t.is(discovery.getDevice('22325186db4a2217dc8e'), device);
+});
+
+test.serial('emits deviceLost when broadcasts stop', async t => {
+  const discovery = new TuyaDiscovery({interval: 0.1, lostAfter: 2});
+  const stub = new TuyaStub({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             state: {1: false}});
+
+  await discovery.start();
+  stub.startUDPBroadcast({interval: 0.1});
+
+  await new Promise(resolve => discovery.once('deviceFound', resolve));
+
+  stub.shutdown();
+
+  const lost = await new Promise(resolve => discovery.once('deviceLost', resolve));
+
+  discovery.stop();
+
+  await delay(100);
+
+  t.is(lost.id, '22325186db4a2217dc8e');
+  t.deepEqual(discovery.getDevices(), []);
+});
+
+test.serial('updates tracked devices', async t => {
+  const discovery = new TuyaDiscovery({interval: 0.2});
+  const stub = new TuyaStub({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             state: {1: false}});
+  const device = new TuyAPI({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             ip: '192.168.0.100'});
+
+  discovery.track(device);
+
+  const found = new Promise(resolve => discovery.once('deviceFound', resolve));
+
+  await discovery.start();
+  stub.startUDPBroadcast({interval: 0.1});
+
+  await found;
+
+  discovery.stop();
+  stub.shutdown();
+
+  await delay(100);
+
+  t.is(device.device.ip, 'localhost');
+});
+
+test('decodes protocol 3.5 broadcasts', t => {
+  const payload = {ip: '192.168.0.10', gwId: '22325186db4a2217dc8e', productKey: 'keyjup78v54myhan', version: '3.5'};
+
+  const parser = new MessageParser({key: UDP_KEY, version: '3.5'});
+  const message = parser.encode({
+    data: Buffer.concat([Buffer.from(JSON.stringify(payload)), Buffer.alloc(3)]),
+    commandByte: CommandType.UDP_NEW,
+    sequenceN: 0
+  });
+
+  const packet = decodeBroadcast(message);
+
+  t.is(packet.version, '3.5');
+  t.deepEqual(packet.payload, payload);
+});
+
+test('decodes protocol 3.3 broadcasts', t => {
+  const payload = {ip: '192.168.0.10', gwId: '22325186db4a2217dc8e', version: '3.3'};
+
+  const parser = new MessageParser({key: UDP_KEY, version: '3.3'});
+  const message = parser.encode({data: payload, commandByte: CommandType.UDP_NEW});
+
+  t.deepEqual(decodeBroadcast(message, {version: '3.5'}).payload, payload);
+});
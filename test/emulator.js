@@ -0,0 +1,88 @@
+import test from 'ava';
+
+const TuyAPI = require('..');
+const {TuyaEmulator} = require('../lib/emulator');
+const {DiscoveryListener} = require('../lib/discovery');
+
+const id = '22325186db4a2217dc8e';
+const key = '4226aa407d5c1e2b';
+
+['3.1', '3.3', '3.4', '3.5'].forEach(version => {
+  test.serial(`get, set and refresh over protocol ${version}`, async t => {
+    const emulator = new TuyaEmulator({id, key, version, state: {1: false, 2: 20, 19: 5}});
+    const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+    const device = new TuyAPI({id, key, version, port, ip: '127.0.0.1', issueGetOnConnect: false});
+
+    await device.connect();
+
+    t.false(await device.get());
+    t.deepEqual((await device.get({schema: true})).dps, {1: false, 2: 20, 19: 5});
+
+    await device.set({multiple: true, data: {1: true, 2: 30}});
+    t.deepEqual(emulator.state, {1: true, 2: 30, 19: 5});
+
+    t.deepEqual(await device.refresh(), {19: 5});
+
+    // Changes on the device are pushed to the client
+    const pushed = new Promise(resolve => device.once('data', resolve));
+    emulator.setState({1: false});
+    t.deepEqual((await pushed).dps, {1: false});
+
+    device.disconnect();
+    await emulator.close();
+  });
+});
+
+test.serial('emulator answers heartbeats after negotiating a session key', async t => {
+  const emulator = new TuyaEmulator({id, key, version: 3.5});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const device = new TuyAPI({id, key, port, version: 3.5, ip: '127.0.0.1', issueGetOnConnect: false});
+  device._pingPongPeriod = 0.2;
+
+  await device.connect();
+  await new Promise(resolve => device.once('heartbeat', resolve));
+
+  device.disconnect();
+  await emulator.close();
+
+  t.pass();
+});
+
+test.serial('emulator drops clients with a different key', async t => {
+  const emulator = new TuyaEmulator({id, key, version: 3.4});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const device = new TuyAPI({id, key: 'aaaaaaaaaaaaaaaa', port, version: 3.4, ip: '127.0.0.1', retries: 0});
+  device.on('error', () => {});
+
+  const clientError = new Promise(resolve => emulator.once('clientError', resolve));
+
+  await t.throwsAsync(() => device.connect(), {code: 'ERR_TUYA_CONNECTION'});
+  t.is((await clientError).code, 'ERR_TUYA_HMAC_MISMATCH');
+
+  device.disconnect();
+  await emulator.close();
+});
+
+test.serial('emulator broadcasts in the format of its protocol version', async t => {
+  const listener = new DiscoveryListener({ports: [6684], address: '127.0.0.1'});
+  const received = [];
+
+  listener.on('broadcast', info => received.push(info.version));
+
+  await listener.start();
+
+  for (const version of ['3.1', '3.3', '3.4', '3.5']) {
+    const emulator = new TuyaEmulator({id, key, version});
+
+    // eslint-disable-next-line no-await-in-loop
+    await emulator.broadcast({address: '127.0.0.1', port: 6684});
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  listener.stop();
+
+  t.deepEqual(received, ['3.1', '3.3', '3.4', '3.5']);
+});
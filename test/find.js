@@ -3,7 +3,11 @@ import TuyaStub from '@tuyapi/stub';
 import clone from 'clone';
 import delay from 'delay';
 
+const dgram = require('dgram');
 const TuyAPI = require('..');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+const {UDP_KEY} = require('../lib/config');
+const {decodeBroadcast} = require('../lib/discovery');
 
 const stub = new TuyaStub({id: '22325186db4a2217dc8e',
                            key: '4226aa407d5c1e2b',
@@ -125,3 +129,121 @@ test.serial('find with option all', async t => {
 
   t.truthy(foundDevices.length);
 });
+
+test.serial('find protocol 3.5 device broadcasting on port 6669', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b'});
+
+  const parser = new MessageParser({key: UDP_KEY, version: '3.5'});
+  const message = parser.encode({
+    data: {ip: '127.0.0.1', gwId: '22325186db4a2217dc8e', productKey: 'keyjup78v54myhan', version: '3.5'},
+    commandByte: CommandType.UDP_NEW,
+    sequenceN: 0
+  });
+
+  const broadcaster = dgram.createSocket({type: 'udp4', reuseAddr: true});
+  const interval = setInterval(() => broadcaster.send(message, 6669, '127.0.0.1'), 100);
+
+  await stubDevice.find({timeout: 2});
+
+  clearInterval(interval);
+  broadcaster.close();
+
+  await delay(100);
+
+  t.is(stubDevice.device.ip, '127.0.0.1');
+  t.is(stubDevice.device.version, '3.5');
+  t.is(stubDevice.device.productKey, 'keyjup78v54myhan');
+  t.deepEqual(stubDevice.foundDevices, [{id: '22325186db4a2217dc8e', ip: '127.0.0.1'}]);
+});
+
+test.serial('find device with an active discovery request', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b'});
+
+  // Fake device that only answers discovery requests
+  const parser = new MessageParser({key: UDP_KEY, version: '3.5'});
+  const fakeDevice = dgram.createSocket({type: 'udp4', reuseAddr: true});
+  const requests = [];
+
+  fakeDevice.on('message', message => {
+    requests.push(decodeBroadcast(message).payload);
+
+    const answer = parser.encode({
+      data: {ip: '127.0.0.1', gwId: '22325186db4a2217dc8e', version: '3.5'},
+      commandByte: CommandType.UDP_NEW,
+      sequenceN: 0
+    });
+
+    fakeDevice.send(answer, 6669, '127.0.0.1');
+  });
+
+  await new Promise(resolve => fakeDevice.bind(7000, resolve));
+
+  const start = Date.now();
+  await stubDevice.find({active: true, targets: ['127.0.0.1']});
+
+  fakeDevice.close();
+
+  await delay(100);
+
+  t.true(Date.now() - start < 1000);
+  t.is(stubDevice.device.ip, '127.0.0.1');
+  t.is(requests[0].from, 'app');
+});
+
+test('find rejects invalid active targets', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b'});
+
+  await t.throwsAsync(() => stubDevice.find({active: true, targets: ['10.0.0.0/8']}), {instanceOf: RangeError});
+});
+
+test.serial('find on custom port and bind address', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b'});
+
+  const parser = new MessageParser({key: UDP_KEY, version: '3.5'});
+  const message = parser.encode({
+    data: {ip: '127.0.0.1', gwId: '22325186db4a2217dc8e', version: '3.5'},
+    commandByte: CommandType.UDP_NEW,
+    sequenceN: 0
+  });
+
+  const broadcaster = dgram.createSocket({type: 'udp4', reuseAddr: true});
+  const interval = setInterval(() => broadcaster.send(message, 6680, '127.0.0.1'), 100);
+
+  await stubDevice.find({ports: [6680], bindAddress: '127.0.0.1', timeout: 2});
+
+  clearInterval(interval);
+  broadcaster.close();
+
+  await delay(100);
+
+  t.is(stubDevice.device.ip, '127.0.0.1');
+});
+
+test.serial('find on an externally created socket leaves it open', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b'});
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  const socket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+  await new Promise(resolve => socket.bind(6681, resolve));
+
+  thisStub.startUDPBroadcast({interval: 1, port: 6681});
+
+  await stubDevice.find({sockets: [socket]});
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+
+  await delay(100);
+
+  t.not(stubDevice.device.ip, undefined);
+  t.is(socket.listenerCount('message'), 0);
+  t.is(socket.address().port, 6681);
+
+  socket.close();
+});
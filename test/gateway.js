@@ -0,0 +1,97 @@
+import test from 'ava';
+
+const {TuyaGateway, TuyaSubDevice} = require('../lib/gateway');
+const {emulate, id, key} = require('./_emulate');
+
+// Emulates a gateway with the given sub-devices
+const gateway = subDevices => ({Device: TuyaGateway, emulator: {state: {1: true}, subDevices}});
+
+test('gateways keep one object per sub-device', t => {
+  const device = new TuyaGateway({id, key, ip: '127.0.0.1', subDevices: ['a4c1380a6b1c0d2e']});
+
+  const created = [];
+  device.on('sub-device', subDevice => created.push(subDevice.cid));
+
+  const subDevice = device.subDevice('a4c1380a6b1c0d2e');
+
+  t.true(subDevice instanceof TuyaSubDevice);
+  t.is(subDevice.gateway, device);
+  t.is(device.subDevice('0c4314fffe6a3b1d'), device.subDevice('0c4314fffe6a3b1d'));
+  t.deepEqual(device.subDevices.map(({cid}) => cid), ['a4c1380a6b1c0d2e', '0c4314fffe6a3b1d']);
+  t.deepEqual(created, ['0c4314fffe6a3b1d']);
+  t.throws(() => device.subDevice(''), {instanceOf: TypeError});
+});
+
+test.serial('sub-devices get and set through the gateway', async t => {
+  await emulate(gateway({a4c1380a6b1c0d2e: {1: false}, '0c4314fffe6a3b1d': {1: true}}), async ({emulator, device}) => {
+    const plug = device.subDevice('a4c1380a6b1c0d2e');
+    const sensor = device.subDevice('0c4314fffe6a3b1d');
+
+    t.false(await plug.get());
+    t.deepEqual(await sensor.get({schema: true}), {devId: id, cid: '0c4314fffe6a3b1d', dps: {1: true}});
+
+    const set = new Promise(resolve => emulator.once('set', (...args) => resolve(args)));
+    t.true(await plug.toggle());
+    t.deepEqual(await set, [{1: true}, 'a4c1380a6b1c0d2e']);
+    t.deepEqual(emulator.subDevices.a4c1380a6b1c0d2e, {1: true});
+    t.deepEqual(emulator.state, {1: true});
+  });
+});
+
+test.serial('data of sub-devices is routed to them', async t => {
+  await emulate(gateway({a4c1380a6b1c0d2e: {1: false, 2: 20}, '0c4314fffe6a3b1d': {1: true}}), async ({emulator, device}) => {
+    const plug = device.subDevice('a4c1380a6b1c0d2e');
+    const sensor = device.subDevice('0c4314fffe6a3b1d');
+
+    const received = [];
+    sensor.on('dp-refresh', data => received.push(data));
+
+    const refreshed = new Promise(resolve => plug.once('dp-refresh', resolve));
+    emulator.setSubDeviceState('a4c1380a6b1c0d2e', {2: 25});
+
+    t.deepEqual((await refreshed).dps, {2: 25});
+    t.deepEqual(received, []);
+
+    const data = new Promise(resolve => sensor.once('data', resolve));
+    emulator.setSubDeviceState('0c4314fffe6a3b1d', {1: false});
+
+    t.deepEqual((await data).dps, {1: false});
+  });
+});
+
+test.serial('gateways list, add and remove sub-devices', async t => {
+  await emulate(gateway({a4c1380a6b1c0d2e: {1: false}}), async ({emulator, device}) => {
+    t.deepEqual(await device.listSubDevices(), [{cid: 'a4c1380a6b1c0d2e', online: true}]);
+    t.true(device.subDevice('a4c1380a6b1c0d2e').online);
+
+    const reported = new Promise(resolve => device.once('sub-devices', resolve));
+    const added = new Promise(resolve => device.once('sub-device', resolve));
+    emulator.addSubDevice('0c4314fffe6a3b1d', {1: true});
+
+    t.is((await added).cid, '0c4314fffe6a3b1d');
+    t.deepEqual(await reported, [{cid: 'a4c1380a6b1c0d2e', online: true}, {cid: '0c4314fffe6a3b1d', online: true}]);
+    t.true(device.subDevice('0c4314fffe6a3b1d').online);
+
+    const removed = new Promise(resolve => device.once('sub-device-removed', resolve));
+    emulator.removeSubDevice('a4c1380a6b1c0d2e');
+
+    t.is(await removed, 'a4c1380a6b1c0d2e');
+    t.deepEqual(device.subDevices.map(({cid}) => cid), ['0c4314fffe6a3b1d']);
+  });
+});
+
+test.serial('status of a sub-device does not resolve sets of another', async t => {
+  await emulate(gateway({a4c1380a6b1c0d2e: {1: false}, '0c4314fffe6a3b1d': {1: false}}), async ({emulator, device}) => {
+    const plug = device.subDevice('a4c1380a6b1c0d2e');
+
+    const set = plug.set({set: true});
+
+    // Reported before the response to the set
+    emulator.setSubDeviceState('0c4314fffe6a3b1d', {1: true});
+
+    const result = await set;
+
+    t.is(result.cid, 'a4c1380a6b1c0d2e');
+    t.deepEqual(result.dps, {1: true});
+  });
+});
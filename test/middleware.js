@@ -0,0 +1,81 @@
+import test from 'ava';
+import TuyaStub from '@tuyapi/stub';
+import clone from 'clone';
+
+const TuyAPI = require('..');
+
+const stub = new TuyaStub({id: '22325186db4a2217dc8e',
+                           key: '4226aa407d5c1e2b',
+                           state: {1: false, 2: true}});
+
+test.serial('middleware can rewrite and annotate requests', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost',
+                                 issueGetOnConnect: false});
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  const packets = [];
+  let annotation;
+
+  stubDevice.use({
+    onRequest: request => {
+      request.note = 'rewritten';
+
+      if (request.payload.dps) {
+        request.payload.dps['2'] = false;
+      }
+    },
+    onResponse: response => {
+      annotation = response.request.note;
+    },
+    onPacket: packet => {
+      packets.push(packet.commandByte);
+    }
+  });
+
+  await stubDevice.connect();
+  await stubDevice.set({dps: 1, set: true});
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+
+  t.deepEqual(thisStub.getState(), {1: true, 2: false});
+  t.is(annotation, 'rewritten');
+  t.true(packets.length > 0);
+});
+
+test.serial('middleware can veto requests', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost',
+                                 issueGetOnConnect: false});
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  const remove = stubDevice.use({
+    onRequest: request => !(request.payload.dps && request.payload.dps['1'] === true)
+  });
+
+  await stubDevice.connect();
+
+  await t.throwsAsync(() => stubDevice.set({set: true}), {code: 'ERR_TUYA_VETOED'});
+
+  t.is(thisStub.getProperty('1'), false);
+
+  remove();
+  await stubDevice.set({set: true});
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+
+  t.is(thisStub.getProperty('1'), true);
+});
+
+test('use throws without hooks', t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b'});
+
+  t.throws(() => stubDevice.use({}), {instanceOf: TypeError});
+});
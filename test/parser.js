@@ -1,6 +1,7 @@
 import test from 'ava';
 
 const {MessageParser, CommandType} = require('../lib/message-parser');
+const {TuyaParseError, TuyaCrcError} = require('../lib/errors');
 
 test('encode and decode message', t => {
   const payload = {devId: '002004265ccf7fb1b659', dps: {1: true, 2: 0}};
@@ -117,7 +118,7 @@ test('decode corrupt (prefix mismatch) message', t => {
 
   t.throws(() => {
     parser.parse(encoded);
-  });
+  }, {instanceOf: TuyaParseError, code: 'ERR_TUYA_PARSE'});
 });
 
 test('decode corrupt (suffix mismatch) message', t => {
@@ -139,9 +140,12 @@ test('decode corrupt (crc mismatch) message', t => {
   const encoded = parser.encode({data: payload, commandByte: CommandType.DP_QUERY});
   encoded.writeUInt32BE(0xDEADBEEF, encoded.length - 8);
 
-  t.throws(() => {
+  const error = t.throws(() => {
     parser.parse(encoded);
-  });
+  }, {instanceOf: TuyaCrcError});
+
+  t.is(error.code, 'ERR_TUYA_CRC');
+  t.is(error.commandByte, CommandType.DP_QUERY);
 });
 
 test('decode message with two packets', t => {
@@ -209,3 +213,113 @@ test('decode message with two packets 2', t => {
   t.deepEqual(parsed.payload, payload);
   t.is(parsed.commandByte, 10);
 });
+
+test('push reassembles a packet split across chunks', t => {
+  const payload = {devId: '002004265ccf7fb1b659', dps: {1: true, 2: 0}};
+
+  const parser = new MessageParser({key: 'bbe88b3f4106d354', version: '3.3'});
+  const encoded = parser.encode({data: payload, commandByte: CommandType.CONTROL, sequenceN: 3});
+
+  t.deepEqual([...parser.push(encoded.slice(0, 10))], []);
+  t.deepEqual([...parser.push(encoded.slice(10, 30))], []);
+
+  const packets = [...parser.push(encoded.slice(30))];
+
+  t.is(packets.length, 1);
+  t.deepEqual(packets[0].payload, payload);
+  t.is(packets[0].sequenceN, 3);
+});
+
+test('push returns every complete packet and keeps the partial one', t => {
+  const payload = {devId: '002004265ccf7fb1b659', dps: {1: true, 2: 0}};
+
+  const parser = new MessageParser();
+  const first = parser.encode({data: payload, commandByte: CommandType.DP_QUERY, sequenceN: 1});
+  const second = parser.encode({data: payload, commandByte: CommandType.DP_QUERY, sequenceN: 2});
+
+  const packets = [...parser.push(Buffer.concat([first, second.slice(0, 20)]))];
+
+  t.is(packets.length, 1);
+  t.is(packets[0].sequenceN, 1);
+
+  const rest = [...parser.push(second.slice(20))];
+
+  t.is(rest.length, 1);
+  t.is(rest[0].sequenceN, 2);
+});
+
+test('push skips garbage between packets', t => {
+  const payload = {devId: '002004265ccf7fb1b659', dps: {1: true, 2: 0}};
+
+  const parser = new MessageParser();
+  const encoded = parser.encode({data: payload, commandByte: CommandType.DP_QUERY, sequenceN: 1});
+
+  const packets = [...parser.push(Buffer.concat([Buffer.from('deadbeef000055aa', 'hex'), encoded, Buffer.from('00'), encoded]))];
+
+  t.is(packets.length, 2);
+  t.deepEqual(packets[1].payload, payload);
+});
+
+test('push reassembles protocol 3.5 packets', t => {
+  const payload = {devId: '002004265ccf7fb1b659', dps: {1: true, 2: 0}};
+
+  const parser = new MessageParser({key: 'bbe88b3f4106d354', version: '3.5'});
+  const encoded = parser.encode({data: payload, commandByte: CommandType.DP_QUERY_NEW, sequenceN: 5});
+  // Packets from devices start with a return code
+  const response = parser.encode({data: Buffer.concat([Buffer.alloc(4), Buffer.from(JSON.stringify(payload))]), commandByte: CommandType.DP_QUERY_NEW, sequenceN: 5});
+
+  t.deepEqual([...parser.push(response.slice(0, 40))], []);
+
+  const packets = [...parser.push(Buffer.concat([response.slice(40), encoded.slice(0, 5)]))];
+
+  t.is(packets.length, 1);
+  t.deepEqual(packets[0].payload, payload);
+  t.is(packets[0].sequenceN, 5);
+});
+
+test('push drops corrupt packet and continues with the rest', t => {
+  const payload = {devId: '002004265ccf7fb1b659', dps: {1: true, 2: 0}};
+
+  const parser = new MessageParser();
+  const corrupt = parser.encode({data: payload, commandByte: CommandType.DP_QUERY, sequenceN: 1});
+  corrupt.writeUInt32BE(0xDEADBEEF, corrupt.length - 8);
+  const valid = parser.encode({data: payload, commandByte: CommandType.DP_QUERY, sequenceN: 2});
+
+  t.throws(() => [...parser.push(Buffer.concat([corrupt, valid]))]);
+
+  const packets = [...parser.push()];
+
+  t.is(packets.length, 1);
+  t.is(packets[0].sequenceN, 2);
+});
+
+test('packets carry return code, prefix, frame and version', t => {
+  const device = new MessageParser({key: 'bbe88b3f4106d354', version: '3.3', asDevice: true});
+  const client = new MessageParser({key: 'bbe88b3f4106d354', version: '3.3'});
+
+  const response = device.encode({data: 'data format error', commandByte: CommandType.CONTROL, sequenceN: 3, returnCode: 1});
+  const [packet] = client.parse(response);
+
+  t.is(packet.returnCode, 1);
+  t.is(packet.prefix, '55AA');
+  t.is(packet.version, '3.3');
+  t.true(packet.frame.equals(response));
+
+  // Requests don't have a return code
+  const request = client.encode({data: {dps: {1: true}}, commandByte: CommandType.CONTROL, sequenceN: 4});
+  t.is(device.parse(request)[0].returnCode, undefined);
+});
+
+test('protocol 3.5 packets carry the encrypted return code', t => {
+  const device = new MessageParser({key: 'bbe88b3f4106d354', version: '3.5', asDevice: true});
+  const client = new MessageParser({key: 'bbe88b3f4106d354', version: '3.5'});
+
+  const response = device.encode({data: {dps: {1: true}}, commandByte: CommandType.STATUS, sequenceN: 0, encrypted: true, returnCode: 2});
+  const [packet] = [...client.push(response)];
+
+  t.is(packet.returnCode, 2);
+  t.is(packet.prefix, '6699');
+  t.is(packet.version, '3.5');
+  t.deepEqual(packet.payload, {dps: {1: true}});
+  t.true(packet.frame.equals(response));
+});
@@ -0,0 +1,87 @@
+import test from 'ava';
+import TuyaStub from '@tuyapi/stub';
+import clone from 'clone';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TuyAPI = require('..');
+const {SessionRecorder, replaySession} = require('../lib/recording');
+const {emulate, id, key} = require('./_emulate');
+
+const stub = new TuyaStub({id: '22325186db4a2217dc8e',
+                           key: '4226aa407d5c1e2b',
+                           state: {1: false, 2: true}});
+
+test.serial('records a session and replays it without the device', async t => {
+  const recorder = new SessionRecorder();
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost',
+                                 issueGetOnConnect: false,
+                                 recorder});
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  await stubDevice.connect();
+  const recorded = await stubDevice.get({schema: true});
+  await stubDevice.set({set: true});
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+
+  const file = path.join(os.tmpdir(), `tuyapi-recording-${process.pid}.json`);
+  await recorder.save(file);
+  const recording = await SessionRecorder.load(file);
+  fs.unlinkSync(file);
+
+  t.is(recording.sessions.length, 1);
+  t.is(recording.sessions[0].version, '3.1');
+  t.true(recording.sessions[0].frames.some(frame => frame.direction === 'out'));
+  t.is(typeof recording.sessions[0].closedAt, 'number');
+
+  // Replay against a device that isn't on the network
+  const replayDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                   key: '4226aa407d5c1e2b',
+                                   ip: '192.0.2.1',
+                                   version: 3.3,
+                                   issueGetOnConnect: false,
+                                   transport: replaySession(recording, {speed: 2})});
+  const received = [];
+  replayDevice.on('data', data => received.push(data));
+
+  await replayDevice.connect();
+  t.is(replayDevice.device.version, '3.1');
+
+  await new Promise(resolve => replayDevice.on('disconnected', resolve));
+
+  t.deepEqual(received[0], recorded);
+  t.deepEqual(received[received.length - 1].dps, {1: true, 2: true});
+});
+
+['3.4', '3.5'].forEach(version => {
+  test.serial(`replays sessions with a negotiated session key over protocol ${version}`, async t => {
+    const recorder = new SessionRecorder();
+    const recorded = await emulate({version, emulator: {state: {1: false}}, device: {recorder}}, async ({device}) => {
+      const data = await device.get({schema: true});
+      await device.set({set: true});
+
+      return data;
+    });
+    const recording = JSON.parse(JSON.stringify(recorder));
+
+    t.regex(recording.sessions[0].localNonce, /^[\da-f]{32}$/);
+
+    const replayDevice = new TuyAPI({id, key, ip: '192.0.2.1', issueGetOnConnect: false, transport: replaySession(recording)});
+    const received = [];
+    replayDevice.on('data', data => received.push(data));
+
+    await replayDevice.connect();
+    t.is(replayDevice.device.version, version);
+
+    await new Promise(resolve => replayDevice.on('disconnected', resolve));
+
+    t.deepEqual(received[0], recorded);
+    t.deepEqual(received[received.length - 1].dps, {1: true});
+  });
+});
@@ -0,0 +1,88 @@
+import test from 'ava';
+
+const net = require('net');
+const TuyAPI = require('..');
+const {TuyaDeviceError} = require('../lib/errors');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+
+const id = '22325186db4a2217dc8e';
+const key = '4226aa407d5c1e2b';
+
+// Fake 3.3 device that refuses set requests and,
+// once refused, status queries
+function startRefusingServer() {
+  let refuseQueries = false;
+
+  const server = net.createServer(socket => {
+    const parser = new MessageParser({key, version: 3.3, asDevice: true});
+
+    socket.on('data', data => {
+      for (const {commandByte, sequenceN} of parser.push(data)) {
+        if (commandByte === CommandType.CONTROL) {
+          refuseQueries = true;
+          socket.write(parser.encode({data: 'data format error', commandByte, sequenceN, encrypted: true, returnCode: 1}));
+        } else if (commandByte === CommandType.DP_QUERY) {
+          socket.write(parser.encode(refuseQueries ?
+            {data: Buffer.alloc(0), commandByte, sequenceN, returnCode: 2} :
+            {data: {devId: id, dps: {1: true}}, commandByte, sequenceN, encrypted: true}));
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test.serial('get and set reject with the return code of failed responses', async t => {
+  const server = await startRefusingServer();
+  const device = new TuyAPI({id, key, version: 3.3, ip: '127.0.0.1', port: server.address().port, issueGetOnConnect: false});
+
+  const received = new Promise(resolve => device.once('data', (data, commandByte, sequenceN, packet) => resolve(packet)));
+
+  await device.connect();
+
+  t.true(await device.get());
+
+  const packet = await received;
+  t.is(packet.returnCode, 0);
+  t.is(packet.prefix, '55AA');
+  t.is(packet.version, '3.3');
+  t.true(Buffer.isBuffer(packet.frame));
+
+  const setError = await t.throwsAsync(() => device.set({set: false}), {instanceOf: TuyaDeviceError});
+  t.is(setError.code, 'ERR_TUYA_DEVICE');
+  t.is(setError.returnCode, 1);
+  t.is(setError.payload, 'data format error');
+
+  const getError = await t.throwsAsync(() => device.get({retries: 0}), {instanceOf: TuyaDeviceError});
+  t.is(getError.returnCode, 2);
+
+  device.disconnect();
+  server.close();
+});
+
+test.serial('get falls back to a set when DP_QUERY is refused with a data format error', async t => {
+  // Fake 3.3 device that only answers status queries sent as set requests
+  const server = net.createServer(socket => {
+    const parser = new MessageParser({key, version: 3.3, asDevice: true});
+
+    socket.on('data', data => {
+      for (const {commandByte, sequenceN} of parser.push(data)) {
+        if (commandByte === CommandType.DP_QUERY) {
+          socket.write(parser.encode({data: 'data format error', commandByte, sequenceN, encrypted: true, returnCode: 1}));
+        } else if (commandByte === CommandType.CONTROL) {
+          socket.write(parser.encode({data: {devId: id, dps: {1: true}}, commandByte: CommandType.STATUS, sequenceN, encrypted: true}));
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const device = new TuyAPI({id, key, version: 3.3, ip: '127.0.0.1', port: server.address().port, issueGetOnConnect: false});
+  await device.connect();
+
+  t.true(await device.get({retries: 0}));
+
+  device.disconnect();
+  server.close();
+});
@@ -0,0 +1,39 @@
+import test from 'ava';
+
+const {TuyaDeviceError} = require('../lib/errors');
+const {CommandType} = require('../lib/message-parser');
+const {emulate} = require('./_emulate');
+
+[
+  ['3.3', CommandType.SCENE_EXECUTE],
+  ['3.4', CommandType.LAN_SCENE],
+  ['3.5', CommandType.LAN_SCENE]
+].forEach(([version, commandByte]) => {
+  test.serial(`executes scenes over protocol ${version}`, async t => {
+    await emulate({version, emulator: {scenes: ['a1b2c3d4e5f6', 3]}}, async ({emulator, device}) => {
+      const requested = new Promise(resolve => emulator.on('request', packet => {
+        if (packet.commandByte === commandByte) {
+          resolve(packet);
+        }
+      }));
+      const executed = new Promise(resolve => emulator.once('scene', resolve));
+
+      t.true(await device.executeScene('a1b2c3d4e5f6'));
+      t.is(await executed, 'a1b2c3d4e5f6');
+      t.is((await requested).payload.sceneId, 'a1b2c3d4e5f6');
+
+      t.true(await device.executeScene(3));
+    });
+  });
+});
+
+test.serial('executing an unknown scene rejects with the device error', async t => {
+  await emulate({emulator: {scenes: ['a1b2c3d4e5f6']}}, async ({device}) => {
+    const error = await t.throwsAsync(device.executeScene('ffffffffffff'), {instanceOf: TuyaDeviceError});
+    t.is(error.returnCode, 1);
+    t.is(error.payload, 'scene not found');
+
+    await t.throwsAsync(device.executeScene(''), {instanceOf: TypeError});
+    await t.throwsAsync(device.executeScene({sceneId: 1}), {instanceOf: TypeError});
+  });
+});
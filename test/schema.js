@@ -0,0 +1,147 @@
+// DP codes are defined by Tuya
+/* eslint-disable camelcase */
+import test from 'ava';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TuyAPI = require('..');
+const {DeviceSchema} = require('../lib/schema');
+const {TuyaEmulator} = require('../lib/emulator');
+const {emulate} = require('./_emulate');
+
+const id = '22325186db4a2217dc8e';
+const key = '4226aa407d5c1e2b';
+
+const definitions = {
+  1: {code: 'switch_led', type: 'bool'},
+  2: {code: 'work_mode', type: 'enum', range: ['white', 'colour', 'scene']},
+  3: {code: 'temp_set', type: 'value', min: 50, max: 300, step: 5, scale: 1, unit: '°C'},
+  4: {code: 'temp_current', type: 'value', scale: 1, readOnly: true},
+  5: {code: 'fault', type: 'bitmap', label: ['sensor', 'motor'], readOnly: true},
+  6: {code: 'scene_data', type: 'raw', maxlen: 4}
+};
+
+test('encodes values by code and index', t => {
+  const schema = new DeviceSchema(definitions);
+
+  t.deepEqual(schema.encode('temp_set', 21.5), {id: '3', value: 215});
+  t.deepEqual(schema.encode(2, 'colour'), {id: '2', value: 'colour'});
+  t.deepEqual(schema.encode('scene_data', Buffer.from([1, 2])), {id: '6', value: 'AQI='});
+  t.deepEqual(schema.encodeDps({switch_led: true, 9: 'unknown'}), {1: true, 9: 'unknown'});
+
+  // Null asks the device for the current value
+  t.deepEqual(schema.encode('temp_current', null), {id: '4', value: null});
+});
+
+test('rejects invalid values', t => {
+  const schema = new DeviceSchema(definitions);
+
+  t.throws(() => schema.encode('switch_led', 'on'), {instanceOf: TypeError});
+  t.throws(() => schema.encode('work_mode', 'disco'), {instanceOf: RangeError});
+  t.throws(() => schema.encode('temp_set', 4), {instanceOf: RangeError, message: /at least 5/});
+  t.throws(() => schema.encode('temp_set', 21.2), {instanceOf: RangeError, message: /steps of 0.5/});
+  t.throws(() => schema.encode('temp_current', 20), {instanceOf: TypeError, message: /read-only/});
+  t.throws(() => schema.encode('scene_data', Buffer.alloc(5)), {instanceOf: RangeError});
+  t.throws(() => schema.encode('colour_data', 'ff0000'), {instanceOf: TypeError, message: /Unknown DP/});
+  t.throws(() => new DeviceSchema({1: {code: 'switch', type: 'boolean'}}), {instanceOf: TypeError});
+});
+
+test('decodes DPS by code with scaled values', t => {
+  const schema = new DeviceSchema(Object.keys(definitions).map(id => ({id, ...definitions[id]})));
+
+  t.deepEqual(schema.decode({1: true, 3: 215, 4: 193, 5: 2, 6: 'AQI=', 101: 7}), {
+    switch_led: true,
+    temp_set: 21.5,
+    temp_current: 19.3,
+    fault: ['motor'],
+    scene_data: Buffer.from([1, 2]),
+    101: 7
+  });
+});
+
+test.serial('devices with a schema set, get and report DPs by code', async t => {
+  const emulator = new TuyaEmulator({id, key, version: 3.3, state: {1: false, 3: 200, 4: 193}});
+  const port = await emulator.listen({port: 0, host: '127.0.0.1'});
+
+  const device = new TuyAPI({id, key, version: 3.3, port, ip: '127.0.0.1', issueGetOnConnect: false, schema: definitions});
+
+  await device.connect();
+
+  t.is(await device.get({dp: 'temp_current'}), 19.3);
+
+  // Updates without DP 1 are reported as dp-refresh
+  const reported = new Promise(resolve => device.once('dp-refresh', resolve));
+
+  await device.set({dp: 'temp_set', set: 22.5});
+  t.is(emulator.state['3'], 225);
+  t.is((await reported).values.temp_set, 22.5);
+
+  t.throws(() => device.set({dp: 'temp_set', set: 99}), {instanceOf: RangeError});
+
+  t.true(await device.toggle('switch_led'));
+  t.true(emulator.state['1']);
+
+  device.disconnect();
+  await emulator.close();
+});
+
+test.serial('values read by index or code can be set again the same way', async t => {
+  await emulate({emulator: {state: {3: 215}}, device: {schema: definitions}}, async ({emulator, device}) => {
+    await device.set({dps: 3, set: await device.get({dps: 3})});
+    t.is(emulator.state['3'], 215);
+
+    await device.set({dp: 'temp_set', set: await device.get({dp: 'temp_set'})});
+    t.is(emulator.state['3'], 215);
+  });
+});
+
+test('DP codes need a schema', t => {
+  const device = new TuyAPI({id, key, ip: '127.0.0.1'});
+
+  t.throws(() => device.set({dp: 'switch_led', set: true}), {instanceOf: TypeError, message: /needs a schema/});
+});
+
+test('creates schemas from exported data models', t => {
+  const schema = DeviceSchema.fromModel(JSON.stringify({dps: [
+    {id: 20, code: 'switch_led', type: 'Boolean', mode: 'rw', values: '{}'},
+    {id: 22, code: 'bright_value', type: 'Integer', mode: 'rw', values: '{"unit":"","min":10,"max":1000,"scale":0,"step":1}'},
+    {id: 21, code: 'work_mode', type: 'Enum', mode: 'rw', values: '{"range":["white","colour"]}'},
+    {id: 24, code: 'colour_data', type: 'Json', mode: 'rw', values: '{}'},
+    {id: 25, code: 'fault', type: 'Bitmap', mode: 'ro', values: '{"label":["lamp_failure"],"maxlen":1}'}
+  ]}));
+
+  t.deepEqual(schema.find('bright_value'), {id: '22', code: 'bright_value', type: 'value', unit: '', min: 10, max: 1000, scale: 0, step: 1, readOnly: false});
+  t.deepEqual(schema.encodeDps({switch_led: true, work_mode: 'colour', colour_data: '000003e803e8'}), {20: true, 21: 'colour', 24: '000003e803e8'});
+  t.throws(() => schema.encode('bright_value', 5), {instanceOf: RangeError});
+  t.throws(() => schema.encode('fault', 1), {instanceOf: TypeError, message: /read-only/});
+
+  // Things data model, as returned by the API
+  const things = DeviceSchema.fromModel({result: {model: JSON.stringify({modelId: '000004f7fq', services: [{properties: [
+    {abilityId: 1, code: 'switch', accessMode: 'rw', typeSpec: {type: 'bool'}},
+    {abilityId: 2, code: 'temp_current', accessMode: 'ro', typeSpec: {type: 'value', min: -200, max: 600, scale: 1, step: 1, unit: '℃'}}
+  ]}]})}});
+
+  t.deepEqual(things.decode({1: true, 2: 215}), {switch: true, temp_current: 21.5});
+  t.throws(() => DeviceSchema.fromModel({functions: []}), {instanceOf: TypeError, message: /Unsupported data model/});
+});
+
+test('devices load the schema of their product from a directory', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tuyapi-schemas-'));
+  fs.writeFileSync(path.join(directory, 'keyjup78v54myhan.json'), JSON.stringify({dps: [
+    {id: 1, code: 'switch_1', type: 'Boolean', mode: 'rw', values: '{}'}
+  ]}));
+
+  const device = new TuyAPI({id, key, ip: '127.0.0.1'});
+  await t.throwsAsync(() => device.loadSchema(directory), {instanceOf: TypeError, message: /find\(\)/});
+
+  device.updateDeviceInfo({productKey: 'keyjup78v54myhan'});
+  const schema = await device.loadSchema(directory);
+
+  fs.unlinkSync(path.join(directory, 'keyjup78v54myhan.json'));
+  fs.rmdirSync(directory);
+
+  t.is(device.schema, schema);
+  t.is(schema.resolve('switch_1'), '1');
+  await t.throwsAsync(() => DeviceSchema.loadProduct('../etc/passwd', directory), {instanceOf: TypeError});
+});
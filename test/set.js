@@ -0,0 +1,66 @@
+import test from 'ava';
+
+const net = require('net');
+const TuyAPI = require('..');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+
+// Fake device that waits for two set requests,
+// then answers them in reverse order
+function startReversingServer(port) {
+  const parser = new MessageParser({key: '4226aa407d5c1e2b', version: 3.1});
+  const sockets = [];
+
+  const server = net.createServer(socket => {
+    const requests = [];
+    sockets.push(socket);
+
+    socket.on('data', data => {
+      parser.parse(data).forEach(packet => {
+        if (packet.commandByte !== CommandType.CONTROL) {
+          return;
+        }
+
+        requests.push(packet.payload.dps);
+
+        if (requests.length === 2) {
+          [...requests].reverse().forEach(dps => socket.write(parser.encode({
+            data: {dps},
+            commandByte: CommandType.STATUS,
+            sequenceN: 0
+          })));
+        }
+      });
+    });
+  });
+
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve({
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      server.close();
+    }
+  })));
+}
+
+test.serial('concurrent set requests are matched to responses by DPS', async t => {
+  const server = await startReversingServer(6691);
+  const device = new TuyAPI({id: '22325186db4a2217dc8e',
+                             key: '4226aa407d5c1e2b',
+                             ip: '127.0.0.1',
+                             port: 6691,
+                             issueGetOnConnect: false,
+                             setConcurrency: 2});
+
+  await device.connect();
+
+  const [first, second] = await Promise.all([
+    device.set({dps: 1, set: true}),
+    device.set({dps: 2, set: 'white'})
+  ]);
+
+  device.disconnect();
+  server.close();
+
+  t.deepEqual(first.dps, {1: true});
+  t.deepEqual(second.dps, {2: 'white'});
+  t.is(device._setRequests.size, 0);
+});
@@ -167,6 +167,67 @@ test.serial('disconnected event is fired when heartbeat times out', async t => {
   t.pass();
 });
 
+test.serial('state transitions are observable', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost',
+                                 issueGetOnConnect: false});
+
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  const states = [];
+  stubDevice.on('stateChange', (state, previousState) => states.push([previousState, state]));
+
+  t.is(stubDevice.state, TuyAPI.ConnectionState.IDLE);
+
+  await stubDevice.connect();
+
+  t.is(stubDevice.state, TuyAPI.ConnectionState.READY);
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+
+  t.deepEqual(states, [
+    ['idle', 'connecting'],
+    ['connecting', 'ready'],
+    ['ready', 'closing'],
+    ['closing', 'closed']
+  ]);
+});
+
+test.serial('state is failed when connection is refused', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost'});
+
+  stubDevice.on('error', () => {});
+
+  const error = await t.throwsAsync(() => stubDevice.connect(), {code: 'ERR_TUYA_CONNECTION'});
+
+  t.is(error.cause.code, 'ECONNREFUSED');
+  t.is(stubDevice.state, TuyAPI.ConnectionState.FAILED);
+  t.false(stubDevice.isConnected());
+});
+
+test.serial('connects from the given local address', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: '127.0.0.1',
+                                 localAddress: '127.0.0.2'});
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  await stubDevice.connect();
+
+  const {localAddress} = stubDevice.client;
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+
+  t.is(localAddress, '127.0.0.2');
+});
+
 test('can reconnect if device goes offline', async t => {
   const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
                                  key: '4226aa407d5c1e2b',
@@ -192,3 +253,63 @@ test('can reconnect if device goes offline', async t => {
 
   t.pass();
 });
+
+test.serial('automatically reconnects when connection is lost', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost',
+                                 autoReconnect: {minDelay: 0.2, maxDelay: 0.5}});
+
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  stubDevice.on('error', () => {});
+
+  await stubDevice.connect();
+
+  const reconnected = new Promise(resolve => stubDevice.on('reconnected', resolve));
+
+  thisStub.shutdown();
+
+  await delay(100);
+
+  thisStub.startServer();
+
+  const attempts = await reconnected;
+
+  t.true(stubDevice.isConnected());
+  t.true(attempts >= 1);
+
+  stubDevice.disconnect();
+  thisStub.shutdown();
+});
+
+test.serial('disconnect() stops automatic reconnection', async t => {
+  const stubDevice = new TuyAPI({id: '22325186db4a2217dc8e',
+                                 key: '4226aa407d5c1e2b',
+                                 ip: 'localhost',
+                                 autoReconnect: {minDelay: 0.1, jitter: 0}});
+
+  const thisStub = clone(stub);
+  thisStub.startServer();
+
+  stubDevice.on('error', () => {});
+
+  await stubDevice.connect();
+
+  const attempts = [];
+  stubDevice.on('reconnecting', attempt => {
+    attempts.push(attempt);
+
+    if (attempt === 2) {
+      stubDevice.disconnect();
+    }
+  });
+
+  thisStub.shutdown();
+
+  await delay(1000);
+
+  t.deepEqual(attempts, [1, 2]);
+  t.false(stubDevice.isConnected());
+});
@@ -0,0 +1,78 @@
+import test from 'ava';
+import {Duplex} from 'stream';
+
+const TuyAPI = require('..');
+const {StreamTransport} = require('../lib/transport');
+const {MessageParser, CommandType} = require('../lib/message-parser');
+
+// Returns both ends of an in-memory connection
+function streamPair() {
+  const end = peer => new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      peer().push(chunk);
+      callback();
+    },
+    final(callback) {
+      peer().push(null);
+      callback();
+    }
+  });
+
+  const client = end(() => device);
+  const device = end(() => client);
+
+  return {client, device};
+}
+
+test('get property over an in-memory transport', async t => {
+  const {client, device} = streamPair();
+  const parser = new MessageParser({key: '4226aa407d5c1e2b', version: 3.1});
+
+  // Answer status requests like a device
+  device.on('data', data => {
+    parser.parse(data).forEach(packet => {
+      if (packet.commandByte === CommandType.DP_QUERY) {
+        device.write(parser.encode({
+          data: {devId: '22325186db4a2217dc8e', dps: {1: true}},
+          commandByte: CommandType.DP_QUERY,
+          sequenceN: packet.sequenceN
+        }));
+      }
+    });
+  });
+
+  const tuya = new TuyAPI({id: '22325186db4a2217dc8e',
+                           key: '4226aa407d5c1e2b',
+                           ip: '192.168.1.10',
+                           issueGetOnConnect: false,
+                           transport: () => new StreamTransport(client)});
+
+  await tuya.connect();
+
+  t.true(await tuya.get({dps: 1}));
+
+  tuya.disconnect();
+
+  t.true(client.destroyed);
+});
+
+test('closing the stream disconnects the device', async t => {
+  const {client, device} = streamPair();
+
+  const tuya = new TuyAPI({id: '22325186db4a2217dc8e',
+                           key: '4226aa407d5c1e2b',
+                           ip: '192.168.1.10',
+                           issueGetOnConnect: false,
+                           transport: () => new StreamTransport(client)});
+
+  await tuya.connect();
+
+  const disconnected = new Promise(resolve => tuya.on('disconnected', resolve));
+
+  device.end();
+
+  await disconnected;
+
+  t.false(tuya.isConnected());
+});
@@ -0,0 +1,69 @@
+import test from 'ava';
+
+const {isValidString, expandTargets, cancellable, createAbortController} = require('../lib/utils');
+
+test('isValidString', t => {
+  t.true(isValidString('abc'));
+  t.false(isValidString(''));
+  t.false(isValidString(undefined));
+});
+
+test('expandTargets keeps single addresses', t => {
+  t.deepEqual(expandTargets(['192.168.0.10', '255.255.255.255']), ['192.168.0.10', '255.255.255.255']);
+});
+
+test('expandTargets expands CIDR ranges without network and broadcast address', t => {
+  const addresses = expandTargets(['192.168.1.77/24']);
+
+  t.is(addresses.length, 254);
+  t.is(addresses[0], '192.168.1.1');
+  t.is(addresses[253], '192.168.1.254');
+});
+
+test('expandTargets handles /31 and /32 ranges', t => {
+  t.deepEqual(expandTargets(['10.0.0.5/32']), ['10.0.0.5']);
+  t.deepEqual(expandTargets(['10.0.0.4/31']), ['10.0.0.4', '10.0.0.5']);
+});
+
+test('expandTargets throws on invalid input', t => {
+  t.throws(() => expandTargets(['10.0.0.0/8']), {instanceOf: RangeError});
+  t.throws(() => expandTargets(['10.0.0.300/24']), {instanceOf: TypeError});
+});
+
+test('cancellable rejects on timeout and calls onCancel', async t => {
+  let cancelled;
+
+  await t.throwsAsync(() => cancellable(new Promise(() => {}), {
+    timeout: 0.05,
+    message: 'Too slow',
+    onCancel: error => {
+      cancelled = error;
+    }
+  }), {message: 'Too slow'});
+
+  t.is(cancelled.message, 'Too slow');
+});
+
+test.serial('createAbortController works without a global AbortController', async t => {
+  const {AbortController} = global;
+  delete global.AbortController;
+
+  let controller;
+  try {
+    controller = createAbortController();
+  } finally {
+    global.AbortController = AbortController;
+  }
+
+  const cancelled = cancellable(new Promise(() => {}), {signal: controller.signal});
+
+  controller.abort();
+  controller.abort();
+
+  const error = await t.throwsAsync(cancelled);
+  t.is(error.name, 'AbortError');
+  t.true(controller.signal.aborted);
+
+  // Already aborted signals cancel right away
+  await t.throwsAsync(cancellable(new Promise(() => {}), {signal: controller.signal}));
+});
@@ -0,0 +1,88 @@
+import test from 'ava';
+
+const {TuyaUnsupportedError, TuyaDeviceError} = require('../lib/errors');
+const {CommandType} = require('../lib/message-parser');
+const {emulate} = require('./_emulate');
+
+// Collects the Wi-Fi queries an emulator receives from now on
+function wifiQueries(emulator) {
+  const queries = [];
+
+  emulator.on('request', packet => {
+    if (packet.commandByte === CommandType.QUERY_WIFI) {
+      queries.push(packet);
+    }
+  });
+
+  return queries;
+}
+
+['3.3', '3.5'].forEach(version => {
+  test.serial(`queries Wi-Fi details over protocol ${version}`, async t => {
+    await emulate({version, emulator: {wifi: {ssid: 'Living room', rssi: -67, channel: 11}}}, async ({device}) => {
+      t.deepEqual(await device.queryWifi(), {ssid: 'Living room', rssi: -67, channel: 11});
+    });
+  });
+});
+
+test.serial('reports only the Wi-Fi details a device sends', async t => {
+  await emulate({emulator: {wifi: {signal: '-72'}}}, async ({emulator, device}) => {
+    t.deepEqual(await device.queryWifi(), {rssi: -72});
+
+    // Empty values are left out rather than read as 0
+    emulator.wifi = {ssid: 'Living room', rssi: null, channel: ''};
+    t.deepEqual(await device.queryWifi(), {ssid: 'Living room'});
+  });
+});
+
+test.serial('devices without Wi-Fi queries reject with a typed error', async t => {
+  await emulate({}, async ({emulator, device}) => {
+    const error = await t.throwsAsync(device.queryWifi(), {instanceOf: TuyaUnsupportedError});
+    t.true(error instanceof TuyaDeviceError);
+    t.is(error.code, 'ERR_TUYA_UNSUPPORTED');
+    t.is(error.returnCode, 1);
+
+    // Answers without any Wi-Fi details are no better
+    emulator.wifi = {online: true};
+    await t.throwsAsync(device.queryWifi(), {instanceOf: TuyaUnsupportedError});
+  });
+});
+
+test.serial('polls Wi-Fi details until stopped', async t => {
+  await emulate({emulator: {wifi: {rssi: -50}}}, async ({emulator, device}) => {
+    const reports = [];
+    device.on('wifi', wifi => reports.push(wifi.rssi));
+
+    device.startWifiPolling({interval: 0.1});
+    await new Promise(resolve => device.once('wifi', resolve));
+
+    emulator.wifi = {rssi: -80};
+    await new Promise(resolve => device.once('wifi', resolve));
+
+    device.stopWifiPolling();
+    const count = reports.length;
+    const queries = wifiQueries(emulator);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    t.deepEqual(reports.slice(0, 1), [-50]);
+    t.is(reports[reports.length - 1], -80);
+    t.is(reports.length, count);
+    t.is(queries.length, 0);
+  });
+});
+
+test.serial('stops polling devices without Wi-Fi queries', async t => {
+  await emulate({}, async ({emulator, device}) => {
+    const queries = wifiQueries(emulator);
+    const errors = [];
+    device.on('error', error => errors.push(error));
+    device.on('wifi', () => t.fail());
+
+    device.startWifiPolling({interval: 0.1});
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    t.is(errors.length, 1);
+    t.true(errors[0] instanceof TuyaUnsupportedError);
+    t.is(queries.length, 1);
+  });
+});